@@ -0,0 +1,330 @@
+// Mock of the Quarkus service to try the API client (scripts/api.js) and the components using it locally.
+// Node.js only, no dependencies: node _tools/mock-api-server.mjs
+// Then set in _config.yml: my_gh.backends: { quarkus: http://localhost:8080/api/ }
+// Endpoints below /api:
+//   GET    /hello                     text greeting, ?name=
+//   GET    /items, POST /items        list (?q= filters by name) and create, JSON
+//   GET    /items/{id}, PUT, DELETE   read, replace and delete one item
+//   GET    /me                        claims of the bearer token, 401 without one (the signature is not checked)
+//   POST   /calculate                 { expression } (+ - * / % ^ and parentheses) or { operation, operands }, answers { result }
+//   GET    /slow?delay=3000           answers after delay milliseconds, to try timeouts
+//   GET    /flaky?fail=2              fails with 503 fail times per key (?key=), then answers, to try retries
+// Health and metrics, also below /q like Quarkus and at the root:
+//   GET    /health, /health/live, /health/ready, /health/started   { status, checks }, 503 when DOWN
+//   GET    /metrics                                                the canned metrics of METRICS_FILE in _tools/metrics
+//                                                                  (default quarkus-micrometer.txt) with live mock_* metrics
+//   GET    /openapi                                                _tools/openapi.yaml, JSON with ?format=json or Accept: application/json
+// DELAY adds milliseconds to every answer, FAILURE_RATE (0 to 1) answers that part of the requests with 503.
+// MISMATCH_RATE (0 to 1) adds 1 to that part of the results, to try the comparison mode of my-calculator.
+// HEALTH_DOWN_RATE (0 to 1) reports that part of the readiness checks DOWN, to try my-health-panel.
+// Not for production.
+
+import { readFileSync } from "fs";
+import { createServer } from "http";
+import { parseYaml } from "../scripts/yaml.js";
+
+const port = Number(process.env.PORT) || 8080;
+const delay = Number(process.env.DELAY) || 0;
+const failureRate = Number(process.env.FAILURE_RATE) || 0;
+const mismatchRate = Number(process.env.MISMATCH_RATE) || 0;
+const healthDownRate = Number(process.env.HEALTH_DOWN_RATE) || 0;
+const openApiFile = new URL("openapi.yaml", import.meta.url);
+const metricsFile = new URL(`metrics/${process.env.METRICS_FILE || "quarkus-micrometer.txt"}`, import.meta.url);
+
+const items = new Map();
+const failures = new Map();
+const requests = new Map();
+let nextId = 1;
+
+[
+  { name: "Quarkus", description: "Supersonic Subatomic Java" },
+  { name: "UI5 Web Components", description: "Enterprise-flavored web components" },
+].forEach(item => {
+  const id = String(nextId++);
+  items.set(id, Object.assign({ id }, item));
+});
+
+const send = (response, status, body, headers = {}) => {
+  response.writeHead(status, Object.assign({
+    "Access-Control-Allow-Origin": "*",
+    "Access-Control-Allow-Headers": "Authorization, Content-Type",
+    "Access-Control-Allow-Methods": "GET, POST, PUT, PATCH, DELETE, OPTIONS",
+    "Access-Control-Expose-Headers": "Location, Retry-After",
+  }, headers));
+  response.end(body);
+};
+
+const sendJSON = (response, status, body, headers = {}) => send(response, status, JSON.stringify(body), Object.assign({ "Content-Type": "application/json" }, headers));
+
+// errors in the format of Quarkus (RESTEasy Reactive): { title, status, detail }
+const sendError = (response, status, title, detail, headers) => sendJSON(response, status, { title, status, detail }, headers);
+
+const readJSON = request => new Promise((resolve, reject) => {
+  let body = "";
+  request.on("data", chunk => {
+    body += chunk;
+  });
+  request.on("end", () => {
+    try {
+      resolve(body ? JSON.parse(body) : undefined);
+    } catch (error) {
+      reject(error);
+    }
+  });
+});
+
+const decodeJWT = token => {
+  try {
+    return JSON.parse(Buffer.from(token.split(".")[1], "base64").toString());
+  } catch (error) {
+    return undefined;
+  }
+};
+
+// violations in the format of Hibernate Validator in Quarkus
+const validateItem = item => {
+  if (!item || typeof item !== "object" || typeof item.name !== "string" || !item.name.trim()) {
+    return [{ field: "item.name", message: "must not be blank" }];
+  }
+  if (item.description !== undefined && item.description !== null && typeof item.description !== "string") {
+    return [{ field: "item.description", message: "must be a string" }];
+  }
+};
+
+const handleItems = async (request, response, id) => {
+  if (!id && request.method === "GET") {
+    const query = (new URL(request.url, "http://localhost").searchParams.get("q") || "").toLowerCase();
+    sendJSON(response, 200, Array.from(items.values()).filter(item => item.name.toLowerCase().includes(query)));
+    return;
+  }
+  if (id && !items.has(id)) {
+    sendError(response, 404, "Not Found", `Item ${id} does not exist`);
+    return;
+  }
+  if (id && request.method === "GET") {
+    sendJSON(response, 200, items.get(id));
+    return;
+  }
+  if (id && request.method === "DELETE") {
+    items.delete(id);
+    send(response, 204, "");
+    return;
+  }
+  if (!["POST", "PUT"].includes(request.method) || (request.method === "POST") === !!id) {
+    sendError(response, 405, "Method Not Allowed", `${request.method} is not supported here`);
+    return;
+  }
+
+  let item;
+  try {
+    item = await readJSON(request);
+  } catch (error) {
+    sendError(response, 400, "Bad Request", `Invalid JSON: ${error.message}`);
+    return;
+  }
+
+  const violations = validateItem(item);
+  if (violations) {
+    sendJSON(response, 400, { title: "Constraint Violation", status: 400, violations });
+    return;
+  }
+
+  const itemId = id || String(nextId++);
+  items.set(itemId, { id: itemId, name: item.name.trim(), description: item.description || "" });
+
+  if (id) {
+    sendJSON(response, 200, items.get(itemId));
+  } else {
+    sendJSON(response, 201, items.get(itemId), { Location: `/api/items/${itemId}` });
+  }
+};
+
+const fail = message => {
+  throw new Error(message);
+};
+
+// a separate implementation from scripts/calculator.js on purpose, like the Java service it stands in for
+const evaluate = expression => {
+  const tokens = expression.match(/\d+\.?\d*(?:e[+-]?\d+)?|\.\d+|[-+*/%^()]|\S/gi) || [];
+  let index = 0;
+
+  const take = () => tokens[index++];
+  const sum = () => {
+    let value = product();
+    while (tokens[index] === "+" || tokens[index] === "-") {
+      value = take() === "+" ? value + product() : value - product();
+    }
+    return value;
+  };
+  const product = () => {
+    let value = unary();
+    while (["*", "/", "%"].includes(tokens[index])) {
+      const operator = take();
+      const operand = unary();
+      if (operator !== "*" && operand === 0) {
+        fail("Division by zero");
+      }
+      value = operator === "*" ? value * operand : operator === "/" ? value / operand : value % operand;
+    }
+    return value;
+  };
+  const unary = () => {
+    if (tokens[index] === "-" || tokens[index] === "+") {
+      return take() === "-" ? -unary() : unary();
+    }
+    const base = primary();
+    return tokens[index] === "^" && take() ? base ** unary() : base;
+  };
+  const primary = () => {
+    const token = take();
+    if (token === "(") {
+      const value = sum();
+      return take() === ")" ? value : fail("Missing )");
+    }
+    return /^[\d.]/.test(token || "") ? Number(token) : fail(`Unexpected ${token || "end"}`);
+  };
+
+  const result = sum();
+  return index < tokens.length ? fail(`Unexpected ${tokens[index]}`) : result;
+};
+
+const calculate = async (request, response) => {
+  let input;
+  let result;
+
+  try {
+    input = await readJSON(request) || {};
+    if (typeof input.expression === "string") {
+      result = evaluate(input.expression);
+    } else if (Array.isArray(input.operands) && input.operands.length && input.operands.every(operand => typeof operand === "number")) {
+      const apply = {
+        add: (a, b) => a + b,
+        subtract: (a, b) => a - b,
+        multiply: (a, b) => a * b,
+        divide: (a, b) => (b === 0 ? fail("Division by zero") : a / b),
+      }[input.operation];
+      result = apply ? input.operands.reduce(apply) : fail(`Unknown operation ${input.operation}`);
+    } else {
+      fail("expression or operation and operands are required");
+    }
+    if (!isFinite(result)) {
+      fail("The result is not a finite number");
+    }
+  } catch (error) {
+    sendError(response, 400, "Bad Request", error.message);
+    return;
+  }
+
+  sendJSON(response, 200, { result: Math.random() < mismatchRate ? result + 1 : result });
+};
+
+// kind is live, ready, started or undefined for all checks
+const sendHealth = (response, kind) => {
+  const checks = [];
+
+  if (kind !== "ready") {
+    checks.push({ name: "Mock API liveness check", status: "UP" });
+  }
+  if (kind !== "live" && kind !== "started") {
+    checks.push({
+      name: "Item store health check",
+      status: Math.random() < healthDownRate ? "DOWN" : "UP",
+      data: { items: items.size },
+    });
+  }
+
+  const status = checks.every(check => check.status === "UP") ? "UP" : "DOWN";
+  sendJSON(response, status === "UP" ? 200 : 503, { status, checks });
+};
+
+// the canned metrics, OpenMetrics when the file ends with # EOF, after the live ones of the mock
+const sendMetrics = response => {
+  const canned = readFileSync(metricsFile, "utf8");
+  const openMetrics = /^# EOF\s*$/m.test(canned);
+  const live = [
+    "# HELP mock_requests Requests to the mock service",
+    "# TYPE mock_requests counter",
+    ...Array.from(requests, ([method, count]) => `mock_requests${openMetrics ? "_total" : ""}{method="${method}"} ${count}`),
+    "# HELP mock_items Items in the store",
+    "# TYPE mock_items gauge",
+    `mock_items ${items.size}`,
+    "# HELP mock_heap_used_bytes Heap used by the mock service",
+    "# TYPE mock_heap_used_bytes gauge",
+    `mock_heap_used_bytes ${process.memoryUsage().heapUsed}`,
+  ];
+
+  send(response, 200, `${live.join("\n")}\n${canned}`, {
+    "Content-Type": openMetrics ? "application/openmetrics-text; version=1.0.0; charset=utf-8" : "text/plain; version=0.0.4; charset=utf-8",
+  });
+};
+
+// YAML like Quarkus, JSON when asked for
+const sendOpenApi = (request, response, url) => {
+  const yaml = readFileSync(openApiFile, "utf8");
+
+  if (url.searchParams.get("format") === "json" || /^application\/json\b/.test(request.headers.accept || "")) {
+    sendJSON(response, 200, parseYaml(yaml));
+  } else {
+    send(response, 200, yaml, { "Content-Type": "application/yaml;charset=UTF-8" });
+  }
+};
+
+const handle = async (request, response, url) => {
+  const path = url.pathname.replace(/^\/api/, "");
+  const [, resource, id] = path.split("/");
+  const health = url.pathname.match(/^(?:\/api|\/q)?\/health(?:\/(live|ready|started))?\/?$/);
+
+  if (health && request.method === "GET") {
+    sendHealth(response, health[1]);
+  } else if (/^(?:\/api|\/q)?\/metrics\/?$/.test(url.pathname) && request.method === "GET") {
+    sendMetrics(response);
+  } else if (/^(?:\/api|\/q)?\/openapi\/?$/.test(url.pathname) && request.method === "GET") {
+    sendOpenApi(request, response, url);
+  } else if (url.pathname === path) {
+    sendError(response, 404, "Not Found", `${url.pathname} does not exist`);
+  } else if (Math.random() < failureRate) {
+    sendError(response, 503, "Service Unavailable", "Random failure (FAILURE_RATE)");
+  } else if (resource === "hello" && request.method === "GET") {
+    send(response, 200, `Hello ${url.searchParams.get("name") || "from Quarkus"}`, { "Content-Type": "text/plain" });
+  } else if (resource === "items") {
+    await handleItems(request, response, id);
+  } else if (resource === "calculate" && request.method === "POST") {
+    await calculate(request, response);
+  } else if (resource === "me") {
+    const claims = decodeJWT((request.headers.authorization || "").replace(/^Bearer /, ""));
+    if (claims) {
+      sendJSON(response, 200, claims);
+    } else {
+      sendError(response, 401, "Unauthorized", "Bearer token required", { "WWW-Authenticate": "Bearer" });
+    }
+  } else if (resource === "slow") {
+    setTimeout(() => sendJSON(response, 200, { slow: true }), Number(url.searchParams.get("delay")) || 3000);
+  } else if (resource === "flaky") {
+    const key = url.searchParams.get("key") || "default";
+    const failed = failures.get(key) || 0;
+    if (failed < (Number(url.searchParams.get("fail")) || 2)) {
+      failures.set(key, failed + 1);
+      sendError(response, 503, "Service Unavailable", `Failure ${failed + 1}`);
+    } else {
+      failures.delete(key);
+      sendJSON(response, 200, { attempts: failed + 1 });
+    }
+  } else {
+    sendError(response, 404, "Not Found", `${url.pathname} does not exist`);
+  }
+};
+
+createServer((request, response) => {
+  const url = new URL(request.url, `http://localhost:${port}`);
+
+  if (request.method === "OPTIONS") {
+    send(response, 204, "");
+    return;
+  }
+
+  requests.set(request.method, (requests.get(request.method) || 0) + 1);
+
+  setTimeout(() => handle(request, response, url), delay);
+}).listen(port, () => {
+  console.log(`Mock API at http://localhost:${port}/api/, items: ${items.size}`);
+});
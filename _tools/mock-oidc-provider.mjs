@@ -0,0 +1,224 @@
+// Mock OpenID Connect provider to try the sign in of my-gh-header locally, without Keycloak.
+// Node.js only, no dependencies: node _tools/mock-oidc-provider.mjs
+// Then set in _config.yml: my_gh.auth: { authority: http://localhost:8180, clientId: my-gh }
+// Supports discovery, authorization code with PKCE (S256), refresh tokens, prompt=none (silent sign in with a cookie),
+// userinfo and end session. REFRESH_TOKENS=false leaves out refresh tokens, so the silent sign in is used to renew.
+// Not for production.
+
+import { createHash, createHmac, randomBytes } from "crypto";
+import { createServer } from "http";
+
+const port = Number(process.env.PORT) || 8180;
+const issuer = process.env.ISSUER || `http://localhost:${port}`;
+const clientId = process.env.CLIENT_ID || "my-gh";
+const tokenLifetime = Number(process.env.TOKEN_LIFETIME) || 300;
+const refreshTokensEnabled = process.env.REFRESH_TOKENS !== "false";
+const sessionCookie = "mock-oidc-user";
+const secret = randomBytes(32);
+
+const users = {
+  jane: { sub: "jane", name: "Jane Doe", given_name: "Jane", family_name: "Doe", email: "jane@example.com", roles: ["admin", "user"] },
+  john: { sub: "john", name: "John Roe", given_name: "John", family_name: "Roe", email: "john@example.com", roles: ["user"] },
+};
+
+const codes = new Map();
+const accessTokens = new Map();
+const refreshTokens = new Map();
+
+const base64Url = value => Buffer.from(value).toString("base64").replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+
+const signJWT = claims => {
+  const unsigned = `${base64Url(JSON.stringify({ alg: "HS256", typ: "JWT" }))}.${base64Url(JSON.stringify(claims))}`;
+  return `${unsigned}.${base64Url(createHmac("sha256", secret).update(unsigned).digest())}`;
+};
+
+const escapeHtml = text => String(text).replace(/[&<>"]/g, char => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", "\"": "&quot;" })[char]);
+
+const send = (response, status, body, headers = {}) => {
+  response.writeHead(status, Object.assign({
+    "Access-Control-Allow-Origin": "*",
+    "Access-Control-Allow-Headers": "Authorization, Content-Type",
+  }, headers));
+  response.end(body);
+};
+
+const sendJSON = (response, status, body) => send(response, status, JSON.stringify(body), { "Content-Type": "application/json" });
+
+const readForm = request => new Promise(resolve => {
+  let body = "";
+  request.on("data", chunk => {
+    body += chunk;
+  });
+  request.on("end", () => resolve(new URLSearchParams(body)));
+});
+
+const discovery = () => ({
+  issuer,
+  authorization_endpoint: `${issuer}/authorize`,
+  token_endpoint: `${issuer}/token`,
+  userinfo_endpoint: `${issuer}/userinfo`,
+  end_session_endpoint: `${issuer}/logout`,
+  response_types_supported: ["code"],
+  grant_types_supported: refreshTokensEnabled ? ["authorization_code", "refresh_token"] : ["authorization_code"],
+  code_challenge_methods_supported: ["S256"],
+  scopes_supported: ["openid", "profile", "email"],
+  subject_types_supported: ["public"],
+  id_token_signing_alg_values_supported: ["HS256"],
+});
+
+// the sign in page: pick a user, the form posts back to /authorize with the request parameters
+const renderSignIn = params => `<!doctype html>
+<html><head><meta charset="utf-8"><title>Mock sign in</title></head>
+<body style="font-family: Arial, sans-serif; max-width: 20rem; margin: 4rem auto">
+  <h1>Mock sign in</h1>
+  <form method="post" action="/authorize">
+    ${Array.from(params, ([name, value]) => `<input type="hidden" name="${escapeHtml(name)}" value="${escapeHtml(value)}">`).join("\n    ")}
+    ${Object.values(users).map(user => `<p><button name="user" value="${user.sub}">${escapeHtml(user.name)}</button></p>`).join("\n    ")}
+  </form>
+</body></html>`;
+
+const authorize = async (request, response, url) => {
+  const params = request.method === "POST" ? await readForm(request) : url.searchParams;
+  const redirectUri = params.get("redirect_uri");
+
+  if (params.get("client_id") !== clientId || !redirectUri) {
+    send(response, 400, "Unknown client_id or missing redirect_uri", { "Content-Type": "text/plain" });
+    return;
+  }
+
+  const redirect = new URL(redirectUri);
+  redirect.searchParams.set("state", params.get("state") || "");
+
+  if (params.get("response_type") !== "code" || params.get("code_challenge_method") !== "S256" || !params.get("code_challenge")) {
+    redirect.searchParams.set("error", "invalid_request");
+    redirect.searchParams.set("error_description", "Authorization code with PKCE (S256) is required");
+    send(response, 302, "", { Location: redirect.href });
+    return;
+  }
+
+  // the provider session is a cookie with the user, prompt=none signs in with it or fails with login_required
+  const cookieUser = ((request.headers.cookie || "").match(new RegExp(`${sessionCookie}=(\\w+)`)) || [])[1];
+  const user = users[params.get("user")] || (params.get("prompt") === "none" ? users[cookieUser] : undefined);
+
+  if (!user && params.get("prompt") === "none") {
+    redirect.searchParams.set("error", "login_required");
+    send(response, 302, "", { Location: redirect.href });
+    return;
+  }
+  if (!user) {
+    send(response, 200, renderSignIn(Array.from(params).filter(([name]) => name !== "user")), { "Content-Type": "text/html; charset=utf-8" });
+    return;
+  }
+
+  const code = randomBytes(16).toString("hex");
+  codes.set(code, {
+    user, redirectUri, nonce: params.get("nonce"), challenge: params.get("code_challenge"), expires: Date.now() + 60000,
+  });
+
+  redirect.searchParams.set("code", code);
+  send(response, 302, "", { Location: redirect.href, "Set-Cookie": `${sessionCookie}=${user.sub}; Path=/; HttpOnly; SameSite=Lax` });
+};
+
+const issueTokens = (user, nonce) => {
+  const now = Math.floor(Date.now() / 1000);
+  const claims = {
+    iss: issuer, sub: user.sub, aud: clientId, iat: now, exp: now + tokenLifetime,
+  };
+  const accessToken = signJWT(Object.assign({}, claims, { roles: user.roles, scope: "openid profile email" }));
+
+  accessTokens.set(accessToken, user);
+
+  const tokens = {
+    access_token: accessToken,
+    id_token: signJWT(Object.assign({}, claims, user, nonce ? { nonce } : {})),
+    token_type: "Bearer",
+    expires_in: tokenLifetime,
+  };
+
+  if (refreshTokensEnabled) {
+    tokens.refresh_token = randomBytes(16).toString("hex");
+    refreshTokens.set(tokens.refresh_token, user);
+  }
+
+  return tokens;
+};
+
+// refresh tokens are rotated: each one can be used once
+const refresh = (response, params) => {
+  const user = refreshTokens.get(params.get("refresh_token"));
+  refreshTokens.delete(params.get("refresh_token"));
+
+  if (!user || params.get("client_id") !== clientId) {
+    sendJSON(response, 400, { error: "invalid_grant", error_description: "Unknown refresh token" });
+    return;
+  }
+
+  sendJSON(response, 200, issueTokens(user));
+};
+
+const token = async (request, response) => {
+  const params = await readForm(request);
+  const grant = codes.get(params.get("code"));
+
+  if (refreshTokensEnabled && params.get("grant_type") === "refresh_token") {
+    refresh(response, params);
+    return;
+  }
+  if (params.get("grant_type") !== "authorization_code") {
+    sendJSON(response, 400, { error: "unsupported_grant_type" });
+    return;
+  }
+
+  codes.delete(params.get("code"));
+
+  const verifier = params.get("code_verifier") || "";
+  if (!grant || grant.expires < Date.now() || grant.redirectUri !== params.get("redirect_uri") || params.get("client_id") !== clientId) {
+    sendJSON(response, 400, { error: "invalid_grant", error_description: "Unknown or expired code" });
+    return;
+  }
+  if (base64Url(createHash("sha256").update(verifier).digest()) !== grant.challenge) {
+    sendJSON(response, 400, { error: "invalid_grant", error_description: "PKCE verification failed" });
+    return;
+  }
+
+  sendJSON(response, 200, issueTokens(grant.user, grant.nonce));
+};
+
+const userinfo = (request, response) => {
+  const user = accessTokens.get((request.headers.authorization || "").replace(/^Bearer /, ""));
+
+  if (!user) {
+    sendJSON(response, 401, { error: "invalid_token" });
+    return;
+  }
+
+  sendJSON(response, 200, user);
+};
+
+const logout = (request, response, url) => {
+  const redirect = url.searchParams.get("post_logout_redirect_uri");
+  const clearCookie = { "Set-Cookie": `${sessionCookie}=; Path=/; Max-Age=0` };
+  send(response, redirect ? 302 : 200, redirect ? "" : "Signed out", Object.assign(clearCookie, redirect ? { Location: redirect } : { "Content-Type": "text/plain" }));
+};
+
+createServer(async (request, response) => {
+  const url = new URL(request.url, issuer);
+
+  if (request.method === "OPTIONS") {
+    send(response, 204, "");
+  } else if (url.pathname === "/.well-known/openid-configuration") {
+    sendJSON(response, 200, discovery());
+  } else if (url.pathname === "/authorize") {
+    await authorize(request, response, url);
+  } else if (url.pathname === "/token" && request.method === "POST") {
+    await token(request, response);
+  } else if (url.pathname === "/userinfo") {
+    userinfo(request, response);
+  } else if (url.pathname === "/logout") {
+    logout(request, response, url);
+  } else {
+    send(response, 404, "Not found", { "Content-Type": "text/plain" });
+  }
+}).listen(port, () => {
+  console.log(`Mock OpenID provider at ${issuer}, client ${clientId}, users: ${Object.keys(users).join(", ")}`);
+});
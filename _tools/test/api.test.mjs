@@ -0,0 +1,185 @@
+import assert from "node:assert/strict";
+import { createServer } from "node:http";
+import { after, before, describe, it } from "node:test";
+import { setUpDom } from "./dom.mjs";
+import { authorize } from "./oidc.mjs";
+import { startServer } from "./servers.mjs";
+
+const authority = "http://localhost:18181";
+const page = "https://moewes.github.io/mycloudplayground/";
+
+const dom = setUpDom({ backends: { quarkus: "http://localhost:18080/api/" }, auth: { authority, clientId: "my-gh" } }, page);
+
+const {
+  HttpError, NetworkError, ParseError, TimeoutError, createApiClient,
+} = await import("../../scripts/api.js");
+const auth = await import("../../scripts/auth.js");
+
+let services;
+
+// answers of a gateway in front of the backend, one per request, the last one repeated
+const startGateway = answers => new Promise(resolve => {
+  const server = createServer((request, response) => {
+    const {
+      status, contentType, headers, body, bodyDelay = 0,
+    } = answers.length > 1 ? answers.shift() : answers[0];
+
+    response.writeHead(status, Object.assign({ "Content-Type": contentType }, headers));
+    response.write(body);
+    setTimeout(() => response.end(), bodyDelay);
+  });
+
+  server.listen(0, () => resolve({
+    baseUrl: `http://localhost:${server.address().port}/`,
+    stop: () => server.close(),
+  }));
+});
+
+describe("createApiClient", () => {
+  before(async () => {
+    services = await Promise.all([
+      startServer("mock-api-server.mjs", { PORT: "18080" }),
+      startServer("mock-oidc-provider.mjs", { PORT: "18181" }),
+    ]);
+  });
+
+  after(() => services.forEach(service => service.stop()));
+
+  it("sends and reads JSON and text", async () => {
+    const api = createApiClient({ backend: "quarkus" });
+    const item = await api.post("items", { name: "jsdom", description: "tests" });
+
+    assert.equal((await api.get(`items/${item.id}`)).name, "jsdom");
+    assert.equal(await api.get("hello", { query: { name: "test" } }), "Hello test");
+    assert.equal(await api.delete(`items/${item.id}`), undefined);
+  });
+
+  it("retries 503 with backoff until the backend answers", async () => {
+    const api = createApiClient({ backend: "quarkus", retryDelay: 10 });
+
+    assert.deepEqual(await api.get("flaky", { query: { fail: 2, key: "twice" } }), { attempts: 3 });
+
+    const error = await api.get("flaky", { query: { fail: 3, key: "thrice" } }).catch(reason => reason);
+    assert.ok(error instanceof HttpError);
+    assert.equal(error.status, 503);
+    assert.equal(error.body.detail, "Failure 3");
+    assert.equal(api.state.error, error);
+  });
+
+  it("does not retry requests that are not idempotent", async () => {
+    const gateway = await startGateway([
+      { status: 503, contentType: "text/plain", body: "Unavailable" },
+      { status: 200, contentType: "application/json", body: "{}" },
+    ]);
+
+    try {
+      const api = createApiClient({ baseUrl: gateway.baseUrl, retryDelay: 10 });
+      await assert.rejects(api.post("items", {}), { name: "HttpError", status: 503, body: "Unavailable" });
+    } finally {
+      gateway.stop();
+    }
+  });
+
+  it("keeps the status of error pages that are not JSON, and retries them", async () => {
+    const gateway = await startGateway([
+      { status: 502, contentType: "application/json", body: "<html>Bad Gateway</html>" },
+      { status: 502, contentType: "application/json", body: "<html>Bad Gateway</html>" },
+      { status: 200, contentType: "application/json", body: "{\"ok\":true}" },
+    ]);
+
+    try {
+      await assert.rejects(createApiClient({ baseUrl: gateway.baseUrl, retries: 0 }).get("status"), {
+        name: "HttpError", status: 502, body: "<html>Bad Gateway</html>",
+      });
+      assert.deepEqual(await createApiClient({ baseUrl: gateway.baseUrl, retryDelay: 10 }).get("status"), { ok: true });
+    } finally {
+      gateway.stop();
+    }
+  });
+
+  it("waits for Retry-After, unless it is longer than the timeout", async () => {
+    const gateway = await startGateway([
+      { status: 503, contentType: "text/plain", headers: { "Retry-After": "0" }, body: "Unavailable" },
+      { status: 503, contentType: "text/plain", headers: { "Retry-After": "3600" }, body: "Maintenance" },
+      { status: 200, contentType: "application/json", body: "{}" },
+    ]);
+
+    try {
+      const api = createApiClient({ baseUrl: gateway.baseUrl, timeout: 1000, retryDelay: 10 });
+      const started = Date.now();
+
+      await assert.rejects(api.get("status"), { name: "HttpError", status: 503, body: "Maintenance" });
+      assert.ok(Date.now() - started < 1000);
+      assert.deepEqual(await api.get("status"), {});
+    } finally {
+      gateway.stop();
+    }
+  });
+
+  it("rejects successful answers that are not what their content type says", async () => {
+    const gateway = await startGateway([{ status: 200, contentType: "application/json", body: "{\"ok\":" }]);
+
+    try {
+      await assert.rejects(createApiClient({ baseUrl: gateway.baseUrl }).get("status"), ParseError);
+    } finally {
+      gateway.stop();
+    }
+  });
+
+  it("tells a timeout from a network error", async () => {
+    const slow = createApiClient({ backend: "quarkus", timeout: 100, retries: 0 });
+    await assert.rejects(slow.get("slow", { query: { delay: 1000 } }), TimeoutError);
+
+    // nothing listens on the port
+    const offline = createApiClient({ baseUrl: "http://localhost:1/", retries: 1, retryDelay: 10 });
+    const error = await offline.get("items").catch(reason => reason);
+    assert.ok(error instanceof NetworkError);
+    assert.ok(error.cause);
+  });
+
+  it("times out while the body arrives", async () => {
+    const gateway = await startGateway([{
+      status: 200, contentType: "application/json", body: "[", bodyDelay: 1000,
+    }]);
+
+    try {
+      await assert.rejects(createApiClient({ baseUrl: gateway.baseUrl, timeout: 100, retries: 0 }).get("items"), TimeoutError);
+    } finally {
+      gateway.stop();
+    }
+  });
+
+  it("does not send requests with an aborted signal", async () => {
+    const api = createApiClient({ backend: "quarkus" });
+    const controller = new AbortController();
+    const changes = [];
+
+    controller.abort();
+    api.attachStateChange(state => changes.push(state.pending));
+
+    await assert.rejects(api.get("slow", { query: { delay: 1000 }, signal: controller.signal }), { name: "AbortError" });
+    assert.deepEqual(changes, [1, 0]);
+    assert.equal(api.state.error, undefined);
+  });
+
+  it("renews the session once on 401 and repeats the request", async () => {
+    await auth.signIn();
+    const redirect = await authorize(auth.getAuthConfiguration(), "jane");
+
+    // auth.js takes the tokens of the redirect when it is loaded
+    dom.reconfigure({ url: redirect });
+    const redirected = await import("../../scripts/auth.js?redirect");
+    await redirected.whenAuthReady();
+    dom.reconfigure({ url: page });
+
+    // expired, requests go without a token until it is renewed
+    auth.restoreSession(Object.assign({}, redirected.getSession(), { expiresAt: Date.now() - 1000 }));
+
+    const api = createApiClient({ backend: "quarkus" });
+    assert.equal((await api.get("me")).sub, "jane");
+    assert.ok(auth.getAccessToken());
+
+    auth.restoreSession(undefined);
+    await assert.rejects(api.get("me"), { name: "HttpError", status: 401 });
+  });
+});
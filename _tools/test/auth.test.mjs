@@ -0,0 +1,118 @@
+import assert from "node:assert/strict";
+import { after, before, describe, it } from "node:test";
+import { setUpDom } from "./dom.mjs";
+import { authorize } from "./oidc.mjs";
+import { startServer } from "./servers.mjs";
+
+const authority = "http://localhost:18180";
+const page = "https://moewes.github.io/mycloudplayground/docs/page.html";
+
+const dom = setUpDom({ auth: { authority, clientId: "my-gh" } }, `${page}?tab=1`);
+
+let provider;
+let loads = 0;
+
+// auth.js handles the redirect of the provider when it is loaded, like after the redirect to the page
+const loadAuth = async url => {
+  dom.reconfigure({ url });
+  const auth = await import(`../../scripts/auth.js?load=${++loads}`);
+  await auth.whenAuthReady();
+  return auth;
+};
+
+describe("auth", () => {
+  before(async () => {
+    provider = await startServer("mock-oidc-provider.mjs", { PORT: "18180" });
+  });
+
+  after(() => provider.stop());
+
+  it("is signed out without a session", async () => {
+    const auth = await loadAuth(`${page}?tab=1`);
+
+    assert.equal(auth.getUser(), undefined);
+    assert.equal(auth.getAccessToken(), undefined);
+    assert.equal(auth.hasAnyRole(""), true);
+    assert.equal(auth.hasAnyRole("user"), false);
+    assert.equal(auth.getAuthConfiguration().redirectUri, page);
+  });
+
+  it("ignores a redirect with a state of another request", async () => {
+    await (await loadAuth(`${page}?tab=1`)).signIn();
+    const auth = await loadAuth(`${page}?code=forged&state=forged`);
+
+    assert.equal(auth.getUser(), undefined);
+    assert.notEqual(window.sessionStorage.getItem("my-gh-auth:request"), null);
+  });
+
+  it("stays signed out when the provider answers with an error", async () => {
+    await (await loadAuth(`${page}?tab=1`)).signIn();
+    const { state } = JSON.parse(window.sessionStorage.getItem("my-gh-auth:request"));
+    const auth = await loadAuth(`${page}?error=access_denied&state=${state}`);
+
+    assert.equal(auth.getUser(), undefined);
+    assert.equal(auth.getSignInError().message, "access_denied");
+    assert.equal(window.sessionStorage.getItem("my-gh-auth:request"), null);
+    // back on the page the sign in started on, without error and state
+    assert.equal(window.location.href, `${page}?tab=1`);
+  });
+
+  it("signs in with the authorization code and PKCE", async () => {
+    const signedOut = await loadAuth(`${page}?tab=1`);
+    await signedOut.signIn();
+    const auth = await loadAuth(await authorize(signedOut.getAuthConfiguration(), "jane"));
+
+    assert.equal(auth.getUser().name, "Jane Doe");
+    assert.equal(auth.getUser().email, "jane@example.com");
+    assert.equal(auth.decodeJWT(auth.getAccessToken()).sub, "jane");
+    assert.deepEqual(Array.from(auth.getUserRoles()).sort(), ["admin", "user"]);
+    assert.equal(auth.hasAnyRole("guest admin"), true);
+    // the page the sign in started on, without code and state
+    assert.equal(window.location.href, `${page}?tab=1`);
+    assert.equal(window.sessionStorage.getItem("my-gh-auth:request"), null);
+
+    // the session is kept for the other pages of the tab
+    assert.equal((await loadAuth(page)).getUser().name, "Jane Doe");
+  });
+
+  it("renews the session with the refresh token, which can be used once", async () => {
+    const auth = await loadAuth(page);
+    const previous = auth.getSession();
+    const changes = [];
+    const handleAuthChange = user => changes.push(user && user.id);
+
+    auth.attachAuthChange(handleAuthChange);
+    await auth.renewSession();
+    auth.detachAuthChange(handleAuthChange);
+
+    assert.notEqual(auth.getSession().refreshToken, previous.refreshToken);
+    assert.equal(auth.getUser().name, "Jane Doe");
+    assert.deepEqual(changes, ["jane"]);
+
+    auth.restoreSession(previous);
+    await assert.rejects(auth.renewSession(), /Unknown refresh token/);
+    assert.equal(auth.getSession(), previous);
+  });
+
+  it("has no access token once it expired", async () => {
+    const auth = await loadAuth(page);
+
+    auth.restoreSession(Object.assign({}, auth.getSession(), { expiresAt: Date.now() - 1000 }));
+
+    assert.equal(auth.getAccessToken(), undefined);
+    assert.equal(auth.getUser().name, "Jane Doe");
+  });
+
+  it("signs out", async () => {
+    const auth = await loadAuth(page);
+    const changes = [];
+
+    auth.attachAuthChange(user => changes.push(user));
+    await auth.signOut();
+
+    assert.deepEqual(changes, [undefined]);
+    assert.equal(auth.getUser(), undefined);
+    assert.equal(window.sessionStorage.getItem("my-gh-auth:session"), null);
+    await assert.rejects(auth.renewSession(), /no session/);
+  });
+});
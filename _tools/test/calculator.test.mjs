@@ -0,0 +1,158 @@
+import assert from "node:assert/strict";
+import { after, before, describe, it } from "node:test";
+import { setUpDom, tick } from "./dom.mjs";
+import { startServer } from "./servers.mjs";
+
+setUpDom({ backends: { calculator: "http://localhost:18083/api/" } });
+
+const { ParseError, createApiClient } = await import("../../scripts/api.js");
+const {
+  CalculationError, calculateLocally, calculateOperands, calculateRemotely, describeError, evaluateExpression, formatInput,
+  isUnreachable, parseOperands, resultsMatch,
+} = await import("../../scripts/calculator.js");
+await import("../../scripts/my-calculator.js");
+
+describe("evaluateExpression", () => {
+  it("follows the precedence of the operators", () => {
+    assert.equal(evaluateExpression("1 + 2 * 3"), 7);
+    assert.equal(evaluateExpression("(1 + 2) * 3"), 9);
+    assert.equal(evaluateExpression("10 - 4 - 3"), 3);
+    assert.equal(evaluateExpression("12 / 3 / 2"), 2);
+    assert.equal(evaluateExpression("7 % 4 * 2"), 6);
+  });
+
+  it("binds ^ tighter than the sign and from the right", () => {
+    assert.equal(evaluateExpression("-2^2"), -4);
+    assert.equal(evaluateExpression("(-2)^2"), 4);
+    assert.equal(evaluateExpression("2^3^2"), 512);
+    assert.equal(evaluateExpression("2^-1"), 0.5);
+    assert.equal(evaluateExpression("--3"), 3);
+  });
+
+  it("knows numbers, constants and functions", () => {
+    assert.equal(evaluateExpression(".5e1 + 1.5E-1"), 5.15);
+    assert.equal(evaluateExpression("round(pi * 100)"), 314);
+    assert.equal(evaluateExpression("max(1, sqrt(16), abs(-3))"), 4);
+    assert.equal(evaluateExpression("e"), Math.E);
+  });
+
+  it("rejects division by zero and results that are not finite", () => {
+    assert.throws(() => evaluateExpression("1 / 0"), { name: "CalculationError", message: "Division by zero" });
+    assert.throws(() => evaluateExpression("1 / (2 - 2)"), CalculationError);
+    assert.throws(() => evaluateExpression("10^400"), { message: "The result is not a finite number" });
+    assert.throws(() => evaluateExpression("sqrt(-1)"), { message: "The result is not a finite number" });
+  });
+
+  it("tells where the syntax is wrong", () => {
+    assert.throws(() => evaluateExpression("1 + * 2"), { name: "CalculationError", position: 4 });
+    assert.throws(() => evaluateExpression("(1 + 2"), CalculationError);
+    assert.throws(() => evaluateExpression("foo(1)"), CalculationError);
+    assert.throws(() => evaluateExpression(""), CalculationError);
+  });
+});
+
+describe("operand sets", () => {
+  it("applies the operation from left to right", () => {
+    assert.equal(calculateOperands("subtract", [10, 2, 3]), 5);
+    assert.equal(calculateOperands("divide", [12, 3, 2]), 2);
+    assert.throws(() => calculateOperands("divide", [1, 0]), { message: "Division by zero" });
+    assert.throws(() => calculateOperands("power", [1, 2]), CalculationError);
+    assert.throws(() => calculateOperands("add", [1, NaN]), CalculationError);
+  });
+
+  it("reads and formats operands", () => {
+    assert.deepEqual(parseOperands("1, 2.5; -3  4"), [1, 2.5, -3, 4]);
+    assert.ok(isNaN(parseOperands("1 x")[1]));
+    assert.equal(formatInput({ operation: "multiply", operands: [2, 3] }), "2 * 3");
+    assert.equal(formatInput({ expression: " 1 + 2 " }), "1 + 2");
+    assert.equal(calculateLocally({ operation: "add", operands: [1, 2, 3] }), 6);
+  });
+
+  it("compares results relative to their size", () => {
+    assert.equal(resultsMatch(0.1 + 0.2, 0.3, 1e-9), true);
+    assert.equal(resultsMatch(1e20, 1e20 + 1e5, 1e-9), true);
+    assert.equal(resultsMatch(1, 2, 1e-9), false);
+  });
+});
+
+describe("calculateRemotely", () => {
+  let service;
+
+  before(async () => {
+    service = await startServer("mock-api-server.mjs", { PORT: "18083" });
+  });
+
+  after(() => service.stop());
+
+  it("calculates with the endpoint like in the browser", async () => {
+    const client = createApiClient({ backend: "calculator" });
+
+    for (const expression of ["1 + 2 * 3", "-2^2", "2^3^2", "(1 + 2) % 2"]) {
+      assert.equal(await calculateRemotely(client, "calculate", { expression }), evaluateExpression(expression));
+    }
+    assert.equal(await calculateRemotely(client, "calculate", { operation: "subtract", operands: [10, 2, 3] }), 5);
+  });
+
+  it("rejects inputs of the endpoint with its detail, not as unreachable", async () => {
+    const error = await calculateRemotely(createApiClient({ backend: "calculator" }), "calculate", { expression: "1 / 0" }).catch(reason => reason);
+
+    assert.equal(error.status, 400);
+    assert.equal(describeError(error), "Division by zero");
+    assert.equal(isUnreachable(error), false);
+  });
+
+  it("falls back when the backend cannot be reached or is not configured", async () => {
+    const offline = await calculateRemotely(createApiClient({ baseUrl: "http://localhost:1/", retries: 0 }), "calculate", { expression: "1" })
+      .catch(reason => reason);
+    const missing = await calculateRemotely(createApiClient({ backend: "unknown" }), "calculate", { expression: "1" })
+      .catch(reason => reason);
+    const notFound = await calculateRemotely(createApiClient({ backend: "calculator" }), "unknown", { expression: "1" })
+      .catch(reason => reason);
+
+    assert.equal(isUnreachable(offline), true);
+    assert.equal(isUnreachable(missing), true);
+    assert.equal(isUnreachable(notFound), true);
+    assert.equal(isUnreachable(new CalculationError("Division by zero")), false);
+  });
+
+  it("does not fall back on unreadable answers", () => {
+    const error = new ParseError(new SyntaxError("Unexpected token"), { method: "POST", url: "http://localhost:18083/api/calculate" });
+
+    assert.equal(isUnreachable(error), false);
+  });
+
+  it("rejects answers without a number", async () => {
+    const client = { post: async () => ({ value: 1 }) };
+
+    await assert.rejects(calculateRemotely(client, "calculate", { expression: "1" }), CalculationError);
+    assert.equal(await calculateRemotely({ post: async () => " 42 " }, "calculate", { expression: "42" }), 42);
+  });
+});
+
+describe("my-calculator", () => {
+  it("shows unreadable answers as errors of the backend instead of calculating locally", async () => {
+    const error = new ParseError(new SyntaxError("Unexpected token"), { method: "POST", url: "http://localhost:18083/api/calculate" });
+    const calculator = document.createElement("my-calculator");
+
+    calculator.client = { post: async () => { throw error; } };
+    document.body.append(calculator);
+
+    try {
+      await tick();
+      const entry = await calculator.calculate({ expression: "1 + 1" });
+
+      assert.equal(entry.source, "backend");
+      assert.equal(entry.result, undefined);
+      assert.equal(entry.backendError, error);
+      assert.equal(entry.localResult, undefined);
+
+      calculator.compare = true;
+      const compared = await calculator.calculate({ expression: "1 + 1" });
+
+      assert.equal(compared.localResult, 2);
+      assert.equal(compared.mismatch, true);
+    } finally {
+      calculator.remove();
+    }
+  });
+});
@@ -0,0 +1,44 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { setUpDom } from "./dom.mjs";
+
+setUpDom({
+  title: "Playground",
+  baseUrl: "/mycloudplayground/",
+  backends: {
+    api: "api",
+    docs: "./docs/",
+    root: "/q/",
+    calculator: "https://calculator.example.com/api",
+  },
+  features: { search: false },
+}, "https://moewes.github.io/mycloudplayground/docs/setup/openshift.html");
+
+const {
+  getAppConfiguration, getBackendUrl, getSiteBase, isFeatureEnabled,
+} = await import("../../scripts/config.js");
+
+describe("config", () => {
+  it("reads the my-gh section of the sap-ui-config script", () => {
+    const configuration = getAppConfiguration();
+
+    assert.equal(configuration.title, "Playground");
+    assert.equal(configuration.logo, undefined);
+    assert.equal(configuration.navigation, undefined);
+    assert.equal(isFeatureEnabled("search"), false);
+    assert.equal(isFeatureEnabled("themes"), true);
+  });
+
+  it("takes the site base from the argument, then from baseUrl", () => {
+    assert.equal(getSiteBase(), "https://moewes.github.io/mycloudplayground/");
+    assert.equal(getSiteBase("/other"), "https://moewes.github.io/other/");
+  });
+
+  it("resolves relative backend URLs against the site base, not the page", () => {
+    assert.equal(getBackendUrl("api"), "https://moewes.github.io/mycloudplayground/api/");
+    assert.equal(getBackendUrl("docs"), "https://moewes.github.io/mycloudplayground/docs/");
+    assert.equal(getBackendUrl("root"), "https://moewes.github.io/q/");
+    assert.equal(getBackendUrl("calculator"), "https://calculator.example.com/api/");
+    assert.equal(getBackendUrl("unknown"), undefined);
+  });
+});
@@ -0,0 +1,171 @@
+import assert from "node:assert/strict";
+import { after, before, describe, it } from "node:test";
+import { setUpDom, tick } from "./dom.mjs";
+import { startServer } from "./servers.mjs";
+
+setUpDom({ backends: { quarkus: "http://localhost:18082/api/" } });
+
+const { createApiClient } = await import("../../scripts/api.js");
+const {
+  getCrudStore, getViolations, normalizeFields, validateField,
+} = await import("../../scripts/crud.js");
+const {
+  CRUD_VALUE_INVALID, CRUD_VALUE_REQUIRED, CRUD_VALUE_TOO_LARGE, CRUD_VALUE_TOO_LONG, CRUD_VALUE_TOO_SHORT, CRUD_VALUE_TOO_SMALL,
+} = await import("../../scripts/i18n-defaults.js");
+const { createMemoryApiClient } = await import("../../scripts/memory-api.js");
+await import("../../scripts/my-crud-form.js");
+
+describe("validateField", () => {
+  const check = (field, value) => validateField(normalizeFields([field], [], "id")[0], value);
+
+  it("requires values of required fields only", () => {
+    assert.deepEqual(check({ name: "name", required: true }, ""), [CRUD_VALUE_REQUIRED]);
+    assert.deepEqual(check({ name: "done", type: "boolean", required: true }, false), [CRUD_VALUE_REQUIRED]);
+    assert.equal(check({ name: "name" }, ""), undefined);
+  });
+
+  it("checks the values of the types", () => {
+    assert.deepEqual(check({ name: "count", type: "number" }, NaN), [CRUD_VALUE_INVALID]);
+    assert.deepEqual(check({ name: "mail", type: "email" }, "jane"), [CRUD_VALUE_INVALID]);
+    assert.deepEqual(check({ name: "home", type: "url" }, "javascript:alert(1)"), [CRUD_VALUE_INVALID]);
+    assert.deepEqual(check({ name: "day", type: "date" }, "2020-13-45"), [CRUD_VALUE_INVALID]);
+    assert.deepEqual(check({ name: "size", type: "choice", options: ["S", "M"] }, "XL"), [CRUD_VALUE_INVALID]);
+    assert.equal(check({ name: "mail", type: "email" }, "jane@example.com"), undefined);
+    assert.equal(check({ name: "home", type: "url" }, "https://example.com"), undefined);
+    assert.equal(check({ name: "day", type: "date" }, "2020-02-29"), undefined);
+    assert.equal(check({ name: "size", type: "choice", options: ["S", "M"] }, "M"), undefined);
+  });
+
+  it("checks pattern, lengths and limits", () => {
+    assert.deepEqual(check({ name: "code", pattern: "[A-Z]+" }, "ABc"), [CRUD_VALUE_INVALID]);
+    assert.deepEqual(check({ name: "name", minLength: 3 }, "ab"), [CRUD_VALUE_TOO_SHORT, 3]);
+    assert.deepEqual(check({ name: "name", maxLength: 3 }, "abcd"), [CRUD_VALUE_TOO_LONG, 3]);
+    assert.deepEqual(check({ name: "count", type: "number", min: 1 }, 0), [CRUD_VALUE_TOO_SMALL, 1]);
+    assert.deepEqual(check({ name: "count", type: "number", max: 10 }, 11), [CRUD_VALUE_TOO_LARGE, 10]);
+    assert.equal(check({ name: "count", type: "number", min: 1, max: 10 }, 10), undefined);
+  });
+});
+
+describe("normalizeFields", () => {
+  it("takes the properties of the first entry without fields, except the id", () => {
+    assert.deepEqual(normalizeFields(undefined, [{ id: "1", name: "Quarkus" }], "id"), [
+      { type: "text", label: "Name", name: "name", options: [] },
+    ]);
+  });
+
+  it("completes labels and options", () => {
+    assert.deepEqual(normalizeFields(["name", { name: "size", type: "choice", options: ["S", { value: "M", text: "Medium" }] }], [], "id")[1].options, [
+      { value: "S", text: "S" },
+      { value: "M", text: "Medium" },
+    ]);
+  });
+});
+
+describe("getViolations", () => {
+  it("reads the violations of Quarkus and errors by field", () => {
+    assert.deepEqual(getViolations({ body: { violations: [{ field: "create.item.name", message: "must not be blank" }] } }), {
+      name: "must not be blank",
+    });
+    assert.deepEqual(getViolations({ body: { errors: { name: ["too", "short"] } } }), { name: "too short" });
+    assert.deepEqual(getViolations(new Error("offline")), {});
+  });
+});
+
+describe("getCrudStore", () => {
+  let service;
+
+  before(async () => {
+    service = await startServer("mock-api-server.mjs", { PORT: "18082" });
+  });
+
+  after(() => service.stop());
+
+  it("shares one store per client, path and id property", () => {
+    const client = createMemoryApiClient({ items: [] });
+
+    assert.equal(getCrudStore(client, "items"), getCrudStore(client, "items"));
+    assert.notEqual(getCrudStore(client, "items"), getCrudStore(client, "items", "key"));
+    assert.notEqual(getCrudStore(client, "items"), getCrudStore(createMemoryApiClient({ items: [] }), "items"));
+  });
+
+  it("creates, edits and removes entries with ids that need encoding", async () => {
+    const store = getCrudStore(createMemoryApiClient({ items: [{ id: "a/b c", name: "Encoded" }] }), "items");
+    const changes = [];
+
+    store.attach(value => changes.push(value.mode));
+    await store.load();
+    store.edit("a/b c");
+    await store.save({ name: "Renamed" });
+
+    assert.deepEqual(store.items, [{ id: "a/b c", name: "Renamed" }]);
+    assert.equal(store.selectedId, "a/b c");
+    assert.equal(store.mode, "display");
+    assert.ok(changes.includes("edit"));
+
+    await store.remove("a/b c");
+    assert.deepEqual(store.items, []);
+    assert.equal(store.selectedId, undefined);
+  });
+
+  it("loads, saves and removes the items of the Quarkus service", async () => {
+    const store = getCrudStore(createApiClient({ backend: "quarkus" }), "items");
+
+    await store.load();
+    assert.deepEqual(store.items.map(item => item.name), ["Quarkus", "UI5 Web Components"]);
+
+    store.create();
+    const saved = await store.save({ name: "jsdom", description: "tests" });
+    assert.equal(store.selectedId, saved.id);
+    assert.equal(store.getSelected().name, "jsdom");
+
+    store.create();
+    const error = await store.save({ name: " " }).catch(reason => reason);
+    assert.deepEqual(getViolations(error), { name: "must not be blank" });
+    assert.equal(store.mode, "create");
+
+    await store.remove(saved.id);
+    assert.equal(store.getItem(saved.id), undefined);
+  });
+
+  it("keeps the error of a failed load", async () => {
+    const store = getCrudStore(createApiClient({ baseUrl: "http://localhost:1/", retries: 0 }), "items");
+
+    await store.load();
+    assert.equal(store.error.name, "NetworkError");
+    assert.equal(store.loaded, true);
+    assert.equal(store.loading, false);
+  });
+});
+
+describe("my-crud-form", () => {
+  it("takes the values of the entry to edit and starts empty for a new entry", async () => {
+    const client = createMemoryApiClient({ items: [{ id: "1", name: "One" }, { id: "2", name: "Two" }] });
+    const store = getCrudStore(client, "items");
+    const form = document.createElement("my-crud-form");
+    const nameValue = () => form.shadowRoot.querySelector("#field-name").value;
+
+    form.client = client;
+    form.path = "items";
+    form.fields = [{ name: "name" }];
+    document.body.append(form);
+
+    try {
+      await tick(50);
+      assert.equal(form.store, store);
+
+      store.edit("2");
+      await tick(50);
+      assert.equal(nameValue(), "Two");
+
+      store.edit("1");
+      await tick(50);
+      assert.equal(nameValue(), "One");
+
+      store.create();
+      await tick(50);
+      assert.equal(nameValue(), "");
+    } finally {
+      form.remove();
+    }
+  });
+});
@@ -0,0 +1,87 @@
+// Browser globals of jsdom for the tests, set up before the scripts are imported (each test file runs in its own process):
+//   const dom = setUpDom({ backends: { quarkus: "http://localhost:8080/api/" } });
+//   const { createApiClient } = await import("../../scripts/api.js");
+
+import { readFile } from "node:fs/promises";
+import { JSDOM, VirtualConsole } from "jsdom";
+
+// of Node.js also in window: it fetches from the mock services and does the crypto of auth.js
+const nodeGlobals = ["AbortController", "AbortSignal", "Headers", "Request", "Response", "crypto", "fetch", "performance"];
+
+// the fetch of Node.js has no file: URLs, those of the message bundles in i18n-defaults.js are read from the disk
+const nodeFetch = globalThis.fetch;
+const fetchWithFiles = (input, init) => {
+  const url = new URL(input instanceof Request ? input.url : input, window.location.href);
+
+  if (url.protocol !== "file:") {
+    return nodeFetch(input, init);
+  }
+
+  return readFile(url).then(
+    body => new Response(body),
+    () => new Response("Not found", { status: 404, statusText: "Not Found" })
+  );
+};
+globalThis.fetch = fetchWithFiles;
+
+// of jsdom although Node.js has them, events are dispatched on the elements of jsdom
+const domGlobals = ["CustomEvent", "DOMException", "Event", "EventTarget", "MessageEvent"];
+
+/**
+ * Creates a page with the "my-gh" section config in its sap-ui-config script and makes its window the global one.
+ * @param {object} [config]
+ * @param {string} [url] of the page
+ * @returns {JSDOM} reconfigure({ url }) moves the page
+ */
+const setUpDom = (config = {}, url = "https://moewes.github.io/mycloudplayground/") => {
+  // without "Not implemented" errors of jsdom, like window.scrollTo
+  const virtualConsole = new VirtualConsole().sendTo(console, { omitJSDOMErrors: true });
+  const dom = new JSDOM(`<!DOCTYPE html>
+<html><head><script data-id="sap-ui-config" type="application/json">${JSON.stringify({ "my-gh": config })}</script></head><body></body></html>`, {
+    url,
+    pretendToBeVisual: true,
+    virtualConsole,
+  });
+  const { window } = dom;
+
+  // jsdom does not lay out, sizes never change (else the resize handler of UI5 polls)
+  window.ResizeObserver = class {
+    observe() {}
+
+    unobserve() {}
+
+    disconnect() {}
+  };
+
+  // jsdom has none, the one of Node.js keeps the test running while session.js listens to it
+  delete globalThis.BroadcastChannel;
+
+  nodeGlobals.forEach(name => Object.defineProperty(window, name, { value: globalThis[name], configurable: true, writable: true }));
+  Object.getOwnPropertyNames(window)
+    .filter(name => !(name in globalThis) || domGlobals.includes(name))
+    .forEach(name => Object.defineProperty(globalThis, name, { value: window[name], configurable: true, writable: true }));
+  globalThis.window = window;
+
+  // lit-element in runtime.js sets it on window and calls it as a global
+  Object.defineProperty(window, "JSCompiler_renameProperty", {
+    get: () => globalThis.JSCompiler_renameProperty,
+    set: value => {
+      globalThis.JSCompiler_renameProperty = value;
+    },
+    configurable: true,
+  });
+
+  return dom;
+};
+
+/**
+ * Resolves after the pending updates of LitElements and the timers of the moment.
+ * @param {number} [ms]
+ * @returns {Promise}
+ */
+const tick = (ms = 50) => new Promise(resolve => setTimeout(resolve, ms));
+
+export {
+  setUpDom,
+  tick,
+};
@@ -0,0 +1,140 @@
+import assert from "node:assert/strict";
+import { createServer } from "node:http";
+import { after, before, describe, it } from "node:test";
+import { setUpDom, tick } from "./dom.mjs";
+
+setUpDom({}, "http://localhost:18088/docs/page.html");
+
+const { renderMarkdown } = await import("../../scripts/markdown.js");
+const { sanitizeHtml } = await import("../../scripts/fragment.js");
+await import("../../scripts/my-gh-panel.js");
+
+describe("sanitizeHtml", () => {
+  const baseUrl = "http://localhost:18088/docs/intro.md";
+
+  it("removes scripts, styles, frames, svg and math with their content", () => {
+    const fragment = sanitizeHtml(`<p>Text</p><script>alert(1)</script><style>p { color: red }</style>
+<iframe src="https://example.com"></iframe><svg><a href="https://example.com">svg</a><script>alert(2)</script></svg>
+<math><mi>x</mi></math><noscript>no</noscript><template><p>later</p></template>`, baseUrl);
+
+    assert.equal(fragment.innerHTML.trim(), "<p>Text</p>");
+  });
+
+  it("removes event handlers and unknown attributes, and keeps the content of unknown elements", () => {
+    const fragment = sanitizeHtml(`<p onclick="alert(1)" style="color: red" class="note" id="intro">Text
+<img src="logo.png" onerror="alert(2)" alt="Logo"><custom-element onmouseover="alert(3)">inner</custom-element></p>`, baseUrl);
+
+    assert.equal(fragment.innerHTML, `<p class="note">Text
+<img src="http://localhost:18088/docs/logo.png" alt="Logo">inner</p>`);
+  });
+
+  it("removes javascript and data URLs and resolves relative ones against the fragment", () => {
+    const fragment = sanitizeHtml(`<a href="javascript:alert(1)">script</a><a href=" JavaScript:alert(1)">spaces</a>
+<a href="data:text/html,<script>alert(1)</script>">data</a><img src="data:image/svg+xml,<svg onload='alert(1)'/>">
+<a href="guide.md">guide</a><a href="#install">install</a><a href="mailto:team@example.com">mail</a>`, baseUrl);
+    const links = Array.from(fragment.querySelectorAll("a")).map(link => link.getAttribute("href"));
+
+    assert.deepEqual(links, [null, null, null, "http://localhost:18088/docs/guide.md", "#install", "mailto:team@example.com"]);
+    assert.equal(fragment.querySelector("img").hasAttribute("src"), false);
+  });
+
+  it("opens links to other origins without opener", () => {
+    const fragment = sanitizeHtml("<a href=\"https://example.com/\">other</a><a href=\"/about.html\">same</a>", baseUrl);
+    const [other, same] = fragment.querySelectorAll("a");
+
+    assert.equal(other.getAttribute("rel"), "noopener");
+    assert.equal(same.hasAttribute("rel"), false);
+  });
+});
+
+describe("renderMarkdown", () => {
+  it("escapes raw HTML", () => {
+    const html = renderMarkdown("<script>alert(1)</script>\n\nText with <img src=x onerror=alert(1)> and `<b>code</b>`");
+
+    assert.equal(html, "<p>&lt;script&gt;alert(1)&lt;/script&gt;</p>\n"
+      + "<p>Text with &lt;img src=x onerror=alert(1)&gt; and <code>&lt;b&gt;code&lt;/b&gt;</code></p>");
+  });
+
+  it("renders headings, lists, code and tables", () => {
+    assert.equal(renderMarkdown("# Title\n\n- one\n- **two**\n\n```\n<b>\n```\n\n| a | b |\n|---|---|\n| 1 | 2 |"), [
+      "<h1>Title</h1>",
+      "<ul><li>one</li><li><strong>two</strong></li></ul>",
+      "<pre><code>&lt;b&gt;</code></pre>",
+      "<table><thead><tr><th>a</th><th>b</th></tr></thead><tbody><tr><td>1</td><td>2</td></tr></tbody></table>",
+    ].join("\n"));
+  });
+});
+
+describe("my-gh-panel src", () => {
+  let server;
+
+  before(() => new Promise(resolve => {
+    server = createServer((request, response) => {
+      const answers = {
+        "/docs/slow.md": { status: 200, body: "# Slow", delay: 300 },
+        "/docs/fast.md": { status: 200, body: "# Fast" },
+        "/docs/page.html": { status: 200, body: "<p onclick=\"alert(1)\">HTML</p>", contentType: "text/html" },
+      };
+      const { status = 404, body = "Not found", delay = 0, contentType = "text/markdown" } = answers[request.url] || {};
+
+      setTimeout(() => {
+        response.writeHead(status, { "Content-Type": contentType });
+        response.end(body);
+      }, delay);
+    });
+    server.listen(18088, resolve);
+  }));
+
+  after(() => server.close());
+
+  const createPanel = src => {
+    const panel = document.createElement("my-gh-panel");
+    const events = [];
+
+    panel.addEventListener("load", e => events.push(["load", e.detail.src]));
+    panel.addEventListener("error", e => events.push(["error", e.detail.src, e.detail.error.message]));
+    panel.setAttribute("src", src);
+    document.body.append(panel);
+
+    return { panel, events, content: () => panel.shadowRoot.querySelector(".fragment, .fragment-error") };
+  };
+
+  it("fires load when the fragment is shown", async () => {
+    const { panel, events, content } = createPanel("page.html");
+
+    try {
+      await tick(200);
+      assert.deepEqual(events, [["load", "page.html"]]);
+      assert.equal(content().innerHTML.replace(/<!--[^]*?-->/g, "").trim(), "<div><p>HTML</p></div>");
+    } finally {
+      panel.remove();
+    }
+  });
+
+  it("fires error and shows it when the fragment cannot be loaded", async () => {
+    const { panel, events, content } = createPanel("missing.md");
+
+    try {
+      await tick(200);
+      assert.deepEqual(events, [["error", "missing.md", "404 Not Found"]]);
+      assert.equal(content().getAttribute("role"), "alert");
+    } finally {
+      panel.remove();
+    }
+  });
+
+  it("ignores the answer of a src that has been replaced", async () => {
+    const { panel, events, content } = createPanel("slow.md");
+
+    try {
+      await tick(50);
+      panel.src = "fast.md";
+      await tick(500);
+
+      assert.deepEqual(events, [["load", "fast.md"]]);
+      assert.equal(content().querySelector("h1").textContent, "Fast");
+    } finally {
+      panel.remove();
+    }
+  });
+});
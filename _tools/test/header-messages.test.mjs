@@ -0,0 +1,88 @@
+import assert from "node:assert/strict";
+import { afterEach, describe, it } from "node:test";
+import { setUpDom, tick } from "./dom.mjs";
+
+// nothing listens on the port, requests to the provider and the feed fail
+setUpDom({
+  auth: { authority: "http://localhost:18090", clientId: "my-gh" },
+  notifications: { feed: "http://localhost:18090/feed.json", interval: 60 },
+});
+
+// the theme files cannot be loaded, as without network
+const fetchFiles = globalThis.fetch;
+globalThis.fetch = (input, init) => (String(input).includes("/themes/")
+  ? Promise.reject(new TypeError("fetch failed"))
+  : fetchFiles(input, init));
+
+await import("../../scripts/my-gh-header.js");
+
+const createHeader = async () => {
+  const header = document.createElement("my-gh-header");
+  document.body.append(header);
+  await header.updateComplete;
+  // the UI5 components of the header render after it
+  await tick();
+
+  return header;
+};
+
+// the message shown below the shell bar, undefined while it is closed
+const getMessage = header => {
+  const popover = header.shadowRoot.getElementById("message-popover");
+
+  return popover._isOpen ? {
+    title: popover.getAttribute("header-text"),
+    text: popover.querySelector(".message-text").textContent,
+  } : undefined;
+};
+
+describe("my-gh-header messages", () => {
+  // stops polling the feed
+  afterEach(() => {
+    document.body.innerHTML = "";
+  });
+
+  it("shows why signing in failed", async () => {
+    const header = await createHeader();
+
+    assert.equal(getMessage(header), undefined);
+
+    await header.signIn();
+    await tick();
+
+    const message = getMessage(header);
+    assert.equal(message.title, "Sign In Failed");
+    assert.match(message.text, /^You could not be signed in \(.+\)\. Try again later\.$/);
+    assert.equal(header.shadowRoot.querySelector(".message-text").getAttribute("role"), "alert");
+
+    header.closeMessage();
+    assert.equal(getMessage(header), undefined);
+  });
+
+  it("shows that a theme could not be applied and keeps the current one", async () => {
+    const header = await createHeader();
+
+    await header.handleThemeItemPress({ detail: { item: { dataset: { theme: "sap_belize" } } } });
+    await tick();
+
+    assert.deepEqual(getMessage(header), {
+      title: "Theme Not Changed",
+      text: "The theme Belize could not be applied (fetch failed).",
+    });
+    assert.equal(header._theme, "sap_fiori_3");
+    assert.equal(window.localStorage.getItem("my-gh-theme"), null);
+
+    header.closeMessage();
+  });
+
+  it("shows in the notifications popover that the feed could not be loaded", async () => {
+    const header = await createHeader();
+    const getError = () => header.shadowRoot.querySelector("#notifications-popover .notifications-error");
+
+    await tick(200);
+
+    assert.equal(getError().textContent, "Notifications could not be loaded (fetch failed).");
+    assert.equal(getError().getAttribute("role"), "alert");
+    assert.equal(getMessage(header), undefined);
+  });
+});
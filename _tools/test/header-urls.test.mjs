@@ -0,0 +1,127 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { setUpDom } from "./dom.mjs";
+
+const dom = setUpDom({
+  navigation: [
+    { label: "Infosources", url: "infosources.html" },
+    { label: "Guide", url: "./docs/guide.html" },
+    { label: "Root", url: "/about.html" },
+    { label: "Playground", url: "https://mam-23701.netlify.com", external: true },
+    { label: "Script", url: "javascript:alert(1)" },
+  ],
+});
+
+await import("../../scripts/my-gh-header.js");
+
+// the header of a page at url, base-url as the layout sets it ("{{ site.baseurl }}/")
+const createHeader = async (url, baseUrl) => {
+  dom.reconfigure({ url });
+  document.body.innerHTML = "";
+
+  const header = document.createElement("my-gh-header");
+  if (baseUrl !== undefined) {
+    header.setAttribute("base-url", baseUrl);
+  }
+  document.body.append(header);
+  await header.updateComplete;
+
+  const opened = [];
+  window.open = href => opened.push(href);
+  header.navigate(header.navigation.find(item => item.external));
+
+  return {
+    logo: header.shadowRoot.getElementById("shellbar").getAttribute("logo"),
+    // goHome and navigate assign these to window.location, which jsdom does not follow
+    home: header.resolveUrl("./"),
+    links: header.navigation.filter(item => !item.external && !item.url.startsWith("javascript:")).map(item => header.resolveUrl(item.url)),
+    external: opened[0],
+  };
+};
+
+describe("my-gh-header URLs", () => {
+  it("resolves against the domain root", async () => {
+    const urls = await createHeader("https://moewes.github.io/infosources.html", "/");
+
+    assert.equal(urls.logo, "https://moewes.github.io/logo.png");
+    assert.equal(urls.home, "https://moewes.github.io/");
+    assert.deepEqual(urls.links, [
+      "https://moewes.github.io/infosources.html",
+      "https://moewes.github.io/docs/guide.html",
+      "https://moewes.github.io/about.html",
+    ]);
+    assert.equal(urls.external, "https://mam-23701.netlify.com");
+  });
+
+  it("resolves against the base of a project page", async () => {
+    const urls = await createHeader("https://moewes.github.io/mycloudplayground/", "/mycloudplayground/");
+
+    assert.equal(urls.logo, "https://moewes.github.io/mycloudplayground/logo.png");
+    assert.equal(urls.home, "https://moewes.github.io/mycloudplayground/");
+    assert.deepEqual(urls.links, [
+      "https://moewes.github.io/mycloudplayground/infosources.html",
+      "https://moewes.github.io/mycloudplayground/docs/guide.html",
+      "https://moewes.github.io/mycloudplayground/about.html",
+    ]);
+    assert.equal(urls.external, "https://mam-23701.netlify.com");
+  });
+
+  it("resolves nested pages against the project base, not the page", async () => {
+    const urls = await createHeader("https://moewes.github.io/mycloudplayground/docs/setup/openshift.html", "/mycloudplayground/");
+
+    assert.equal(urls.logo, "https://moewes.github.io/mycloudplayground/logo.png");
+    assert.equal(urls.home, "https://moewes.github.io/mycloudplayground/");
+    assert.deepEqual(urls.links, [
+      "https://moewes.github.io/mycloudplayground/infosources.html",
+      "https://moewes.github.io/mycloudplayground/docs/guide.html",
+      "https://moewes.github.io/mycloudplayground/about.html",
+    ]);
+  });
+
+  it("resolves nested pages of a custom domain against its root", async () => {
+    const urls = await createHeader("https://playground.example.com/docs/setup/openshift.html", "/");
+
+    assert.equal(urls.logo, "https://playground.example.com/logo.png");
+    assert.equal(urls.home, "https://playground.example.com/");
+    assert.deepEqual(urls.links, [
+      "https://playground.example.com/infosources.html",
+      "https://playground.example.com/docs/guide.html",
+      "https://playground.example.com/about.html",
+    ]);
+    assert.equal(urls.external, "https://mam-23701.netlify.com");
+  });
+
+  it("takes the base from a <base> tag without base-url", async () => {
+    const base = document.createElement("base");
+    base.href = "/mycloudplayground/";
+    document.head.append(base);
+
+    try {
+      const urls = await createHeader("https://moewes.github.io/mycloudplayground/docs/guide.html");
+
+      assert.equal(urls.logo, "https://moewes.github.io/mycloudplayground/logo.png");
+      assert.equal(urls.home, "https://moewes.github.io/mycloudplayground/");
+    } finally {
+      base.remove();
+    }
+  });
+
+  it("keeps a base-url without the trailing slash in the path", async () => {
+    const urls = await createHeader("https://moewes.github.io/mycloudplayground/docs/guide.html", "/mycloudplayground");
+
+    assert.equal(urls.logo, "https://moewes.github.io/mycloudplayground/logo.png");
+  });
+
+  it("leaves out menu entries with other protocols than http, https and mailto", async () => {
+    await createHeader("https://moewes.github.io/mycloudplayground/", "/mycloudplayground/");
+    const header = document.querySelector("my-gh-header");
+    const entries = Array.from(header.shadowRoot.querySelectorAll("#popover ui5-li")).map(item => item.textContent.trim());
+    const opened = [];
+    window.open = href => opened.push(href);
+
+    assert.deepEqual(entries, ["Infosources", "Guide", "Root", "Playground"]);
+
+    header.navigate({ url: "javascript:alert(1)", external: true });
+    assert.deepEqual(opened, []);
+  });
+});
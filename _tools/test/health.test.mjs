@@ -0,0 +1,182 @@
+import assert from "node:assert/strict";
+import { createServer } from "node:http";
+import { after, before, describe, it } from "node:test";
+import { setUpDom, tick } from "./dom.mjs";
+import { startServer } from "./servers.mjs";
+
+setUpDom({
+  backends: {
+    down: "http://localhost:18084/api/",
+    counted: "http://localhost:18085/",
+  },
+});
+
+const { createApiClient } = await import("../../scripts/api.js");
+const {
+  attachHealthChange, clearHealth, detachHealthChange, fetchHealth, getOverallHealth, getWorstStatus, parseHealth, pollHealth, reportHealth,
+} = await import("../../scripts/health.js");
+await import("../../scripts/my-health-panel.js");
+
+describe("health", () => {
+  let service;
+
+  before(async () => {
+    // the readiness check is always DOWN
+    service = await startServer("mock-api-server.mjs", { PORT: "18084", HEALTH_DOWN_RATE: "1" });
+  });
+
+  after(() => service.stop());
+
+  it("orders the statuses DOWN, UNKNOWN, UP", () => {
+    assert.equal(getWorstStatus(["UP", "DOWN", "UNKNOWN"]), "DOWN");
+    assert.equal(getWorstStatus(["UP", "UNKNOWN"]), "UNKNOWN");
+    assert.equal(getWorstStatus(["UP", "UP"]), "UP");
+    assert.equal(getWorstStatus([]), "UNKNOWN");
+  });
+
+  it("reads MicroProfile Health content", () => {
+    assert.deepEqual(parseHealth({ status: "UP", checks: [{ name: "db", status: "up?" }, { status: "UP" }] }), {
+      status: "UP",
+      checks: [{ name: "db", status: "UNKNOWN", data: {} }],
+    });
+    assert.equal(parseHealth("UP"), undefined);
+    assert.equal(parseHealth({ checks: [] }), undefined);
+  });
+
+  it("reads the checks of UP answers and of DOWN answers with 503", async () => {
+    const client = createApiClient({ backend: "down", retries: 0 });
+    const live = await fetchHealth(client, "../q/health/live");
+    const ready = await fetchHealth(client, "../q/health/ready");
+
+    assert.equal(live.status, "UP");
+    assert.deepEqual(live.checks.map(check => check.name), ["Mock API liveness check"]);
+    assert.equal(ready.status, "DOWN");
+    assert.equal(ready.checks[0].status, "DOWN");
+    assert.equal(ready.error, undefined);
+  });
+
+  it("is UNKNOWN for endpoints that cannot be reached or do not answer with health content", async () => {
+    const offline = await fetchHealth(createApiClient({ baseUrl: "http://localhost:1/", retries: 0 }), "health");
+    const other = await fetchHealth(createApiClient({ backend: "down", retries: 0 }), "hello");
+    const missing = await fetchHealth(createApiClient({ backend: "down", retries: 0 }), "unknown");
+
+    assert.equal(offline.status, "UNKNOWN");
+    assert.equal(offline.error.name, "NetworkError");
+    assert.equal(other.status, "UNKNOWN");
+    assert.match(other.error.message, /did not answer with MicroProfile Health content/);
+    assert.equal(missing.error.status, 404);
+  });
+
+  it("polls until stopped, with the worst status of the endpoints", async () => {
+    const results = [];
+    const stop = pollHealth(createApiClient({ backend: "down", retries: 0 }), ["../q/health/live", "../q/health/ready"], 0.05, result => results.push(result));
+
+    await tick(300);
+    stop();
+    const polls = results.length;
+    await tick(150);
+
+    assert.ok(polls >= 2);
+    assert.equal(results.length, polls);
+    assert.equal(results[0].status, "DOWN");
+    assert.deepEqual(results[0].endpoints.map(endpoint => endpoint.status), ["UP", "DOWN"]);
+  });
+
+  it("reports the worst status of the sources", () => {
+    const calls = [];
+    const callback = () => calls.push(getOverallHealth().status);
+    const first = {};
+    const second = {};
+
+    attachHealthChange(callback);
+    reportHealth(first, { name: "first", status: "UP" });
+    reportHealth(second, { name: "second", status: "UNKNOWN" });
+    clearHealth(second);
+    clearHealth(second);
+    detachHealthChange(callback);
+    clearHealth(first);
+
+    assert.deepEqual(calls, ["UP", "UNKNOWN", "UP"]);
+    assert.equal(getOverallHealth(), undefined);
+  });
+});
+
+describe("my-health-panel", () => {
+  const paths = [];
+  let server;
+
+  before(() => new Promise(resolve => {
+    server = createServer((request, response) => {
+      paths.push(request.url);
+      response.writeHead(200, { "Content-Type": "application/json", "Access-Control-Allow-Origin": "*" });
+      response.end(JSON.stringify({ status: "UP", checks: [{ name: "counted", status: "UP" }] }));
+    });
+    server.listen(18085, resolve);
+  }));
+
+  after(() => server.close());
+
+  it("polls once per change of backend, endpoints or interval", async () => {
+    const panel = document.createElement("my-health-panel");
+    const changes = [];
+
+    panel.setAttribute("backend", "counted");
+    panel.setAttribute("endpoints", "live");
+    panel.addEventListener("health-change", e => changes.push(e.detail.status));
+    document.body.append(panel);
+
+    try {
+      await tick(200);
+      assert.deepEqual(paths, ["/live"]);
+      assert.deepEqual(changes, ["UP"]);
+
+      panel.interval = 60;
+      await tick(200);
+      assert.deepEqual(paths, ["/live", "/live"]);
+
+      panel.endpoints = "live ready";
+      await tick(200);
+      assert.deepEqual(paths, ["/live", "/live", "/live", "/ready"]);
+
+      // the content of the panel, not its checks
+      panel.src = "health.md";
+      await tick(200);
+      assert.equal(paths.filter(path => path !== "/health.md").length, 4);
+      assert.deepEqual(getOverallHealth().sources.map(source => [source.name, source.status]), [["counted", "UP"]]);
+    } finally {
+      panel.remove();
+    }
+
+    await tick(200);
+    assert.equal(getOverallHealth(), undefined);
+  });
+
+  it("clears the status when it has no endpoints or the user none of its roles", async () => {
+    const panel = document.createElement("my-health-panel");
+
+    panel.setAttribute("backend", "counted");
+    panel.setAttribute("endpoints", "live");
+    document.body.append(panel);
+
+    try {
+      await tick(200);
+      assert.equal(getOverallHealth().status, "UP");
+
+      panel.roles = "admin";
+      await tick(200);
+      assert.equal(getOverallHealth(), undefined);
+      assert.equal(panel.shadowRoot.querySelector(".health-status"), null);
+
+      panel.roles = "";
+      await tick(200);
+      assert.equal(getOverallHealth().status, "UP");
+
+      panel.endpoints = "";
+      await tick(200);
+      assert.equal(getOverallHealth(), undefined);
+      assert.equal(panel.shadowRoot.querySelector(".health-status"), null);
+    } finally {
+      panel.remove();
+    }
+  });
+});
@@ -0,0 +1,56 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { setUpDom } from "./dom.mjs";
+
+setUpDom();
+
+const { HttpError } = await import("../../scripts/api.js");
+const { createMemoryApiClient } = await import("../../scripts/memory-api.js");
+
+const createClient = () => createMemoryApiClient({
+  items: [{ id: "1", name: "Quarkus" }, { id: "a/b c", name: "Encoded" }],
+}, {
+  validate: { items: item => (item.name ? {} : { name: "must not be blank" }) },
+});
+
+describe("createMemoryApiClient", () => {
+  it("creates, reads, replaces, patches and deletes entries", async () => {
+    const client = createClient();
+    const created = await client.post("items", { name: "UI5" });
+
+    assert.deepEqual(created, { id: "2", name: "UI5" });
+    assert.deepEqual(await client.put("items/2", { name: "UI5 Web Components" }), { id: "2", name: "UI5 Web Components" });
+    assert.deepEqual(await client.patch("items/2", { description: "components" }), { id: "2", name: "UI5 Web Components", description: "components" });
+    assert.equal(await client.delete("/items/2/"), undefined);
+    assert.deepEqual((await client.get("items")).map(item => item.id), ["1", "a/b c"]);
+  });
+
+  it("decodes the ids in the path", async () => {
+    const client = createClient();
+
+    assert.equal((await client.get(`items/${encodeURIComponent("a/b c")}`)).name, "Encoded");
+    await client.delete(`items/${encodeURIComponent("a/b c")}`);
+    assert.deepEqual((await client.get("items")).map(item => item.id), ["1"]);
+  });
+
+  it("fails like the Quarkus service", async () => {
+    const client = createClient();
+
+    await assert.rejects(client.get("items/9"), { name: "HttpError", status: 404 });
+    await assert.rejects(client.get("unknown"), { name: "HttpError", status: 404 });
+    await assert.rejects(client.post("items/1", {}), { name: "HttpError", status: 405 });
+
+    const error = await client.post("items", { name: "" }).catch(reason => reason);
+    assert.ok(error instanceof HttpError);
+    assert.equal(error.status, 400);
+    assert.deepEqual(error.body.violations, [{ field: "name", message: "must not be blank" }]);
+    assert.equal(client.state.error, error);
+  });
+
+  it("returns copies, changing them does not change the entries", async () => {
+    const client = createClient();
+
+    (await client.get("items/1")).name = "changed";
+    assert.equal((await client.get("items/1")).name, "Quarkus");
+  });
+});
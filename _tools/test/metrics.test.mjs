@@ -0,0 +1,127 @@
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import { describe, it } from "node:test";
+
+const {
+  MetricsParseError, filterMetrics, formatLabels, getSeries, parseMetrics,
+} = await import("../../scripts/metrics.js");
+
+const readCanned = file => parseMetrics(readFileSync(new URL(`../metrics/${file}`, import.meta.url), "utf8"));
+
+const getFamily = (families, name) => families.find(family => family.name === name);
+
+describe("parseMetrics", () => {
+  describe("openmetrics.txt", () => {
+    const families = readCanned("openmetrics.txt");
+
+    it("reads the families with their types, units and help", () => {
+      assert.deepEqual(families.map(family => [family.name, family.type]), [
+        ["http_requests", "counter"],
+        ["request_duration_seconds", "histogram"],
+        ["build", "info"],
+        ["temperature_celsius", "gauge"],
+      ]);
+      assert.equal(getFamily(families, "request_duration_seconds").unit, "seconds");
+      assert.equal(getFamily(families, "http_requests").help, "Requests by method and status");
+    });
+
+    it("puts _total and _created samples into the counter, without the exemplars", () => {
+      const counter = getFamily(families, "http_requests");
+
+      assert.deepEqual(counter.samples.map(sample => [sample.name, sample.labels.method, sample.value, sample.timestamp]), [
+        ["http_requests_total", "GET", 1027, 1700000000],
+        ["http_requests_created", "GET", 1699990000, undefined],
+        ["http_requests_total", "POST", 3, undefined],
+      ]);
+      assert.deepEqual(getSeries(counter).map(series => [series.key, series.value]), [
+        ["method=\"GET\", status=\"200\"", 1027],
+        ["method=\"POST\", status=\"400\"", 3],
+      ]);
+    });
+
+    it("unescapes label values and reads the buckets up to +Inf", () => {
+      const [series] = getSeries(getFamily(families, "request_duration_seconds"));
+
+      assert.deepEqual(series.labels, { path: "C:\\temp\\\"quoted\"" });
+      assert.deepEqual(series.buckets, [{ le: 0.1, count: 3 }, { le: 1, count: 7 }, { le: Infinity, count: 8 }]);
+      assert.equal(series.count, 8);
+      assert.equal(series.sum, 4.2);
+      assert.equal(formatLabels(series.labels), "path=\"C:\\\\temp\\\\\\\"quoted\\\"\"");
+    });
+
+    it("reads info samples, exponents and NaN", () => {
+      assert.deepEqual(getFamily(families, "build").samples[0].labels, { version: "1.0.0", revision: "abc123" });
+
+      const [lab, server] = getFamily(families, "temperature_celsius").samples;
+      assert.equal(lab.value, -3.5);
+      assert.ok(Number.isNaN(server.value));
+    });
+  });
+
+  describe("quarkus-micrometer.txt", () => {
+    const families = readCanned("quarkus-micrometer.txt");
+
+    it("reads the families of Micrometer with their types", () => {
+      assert.equal(getFamily(families, "jvm_memory_used_bytes").type, "gauge");
+      assert.equal(getFamily(families, "jvm_gc_pause_seconds").type, "summary");
+      assert.equal(getFamily(families, "jvm_gc_pause_seconds_max").type, "gauge");
+      assert.equal(getFamily(families, "calculations_total").type, "counter");
+      assert.equal(getFamily(families, "http_server_requests_seconds").help, "");
+      assert.ok(families.every(family => family.samples.length));
+    });
+
+    it("reads labels with a trailing comma and quotes in values", () => {
+      const samples = getFamily(families, "jvm_memory_used_bytes").samples;
+
+      assert.deepEqual(samples[4].labels, { area: "nonheap", id: "CodeHeap 'non-nmethods'" });
+      assert.equal(samples[0].value, 25165824);
+    });
+
+    it("groups the histogram buckets by series, in ascending order", () => {
+      const series = getSeries(getFamily(families, "http_server_requests_seconds"));
+
+      assert.deepEqual(series.map(entry => [entry.labels.method, entry.count, entry.sum]), [
+        ["GET", 89, 0.8411],
+        ["POST", 3, 0.0137],
+      ]);
+      assert.deepEqual(series[0].buckets.map(bucket => bucket.le), [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, Infinity]);
+      assert.deepEqual(series[0].buckets.map(bucket => bucket.count), [41, 63, 80, 86, 88, 89, 89]);
+      assert.equal(series[0].labels.le, undefined);
+    });
+
+    it("filters the families and series by all words", () => {
+      const filtered = filterMetrics(families, "http POST");
+
+      assert.deepEqual(filtered.map(entry => entry.family.name), ["http_server_requests_seconds", "http_server_requests_seconds_max"]);
+      assert.ok(filtered.every(entry => entry.series.length === 1 && entry.series[0].labels.method === "POST"));
+    });
+  });
+
+  describe("quarkus-smallrye.txt", () => {
+    const families = readCanned("quarkus-smallrye.txt");
+
+    it("reads the families of SmallRye Metrics with their types", () => {
+      assert.equal(getFamily(families, "base_gc_total").type, "counter");
+      assert.equal(getFamily(families, "base_memory_usedHeap_bytes").samples[0].value, 43023888);
+      assert.equal(getFamily(families, "application_com_example_ItemResource_items_created_total").type, "counter");
+      assert.deepEqual(getFamily(families, "vendor_memoryPool_usage_bytes").samples.map(sample => sample.labels.name), [
+        "Metaspace", "G1 Eden Space", "G1 Old Gen",
+      ]);
+    });
+
+    it("reads the quantiles of summaries", () => {
+      const [series] = getSeries(getFamily(families, "application_com_example_CalculatorResource_calculate_seconds"));
+
+      assert.equal(series.count, 70);
+      assert.equal(series.sum, 0.0912);
+      assert.deepEqual(series.quantiles.map(entry => entry.quantile), [0.5, 0.75, 0.95, 0.98, 0.99, 0.999]);
+      assert.equal(series.quantiles[0].value, 0.00081);
+    });
+  });
+
+  it("tells the line of invalid text", () => {
+    assert.throws(() => parseMetrics("# TYPE up gauge\nup{job=\"api} 1"), { name: "MetricsParseError", line: 2 });
+    assert.throws(() => parseMetrics("up one"), { line: 1, message: "Invalid number \"one\" in line 1" });
+    assert.throws(() => parseMetrics(undefined), MetricsParseError);
+  });
+});
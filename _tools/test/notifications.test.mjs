@@ -0,0 +1,53 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { setUpDom } from "./dom.mjs";
+
+setUpDom();
+
+const { parseNotificationFeed } = await import("../../scripts/notifications.js");
+
+const feedUrl = "https://moewes.github.io/mycloudplayground/notifications.json";
+
+describe("parseNotificationFeed", () => {
+  it("reads JSON Feed items newest first, with urls resolved against the feed", () => {
+    const notifications = parseNotificationFeed(JSON.stringify({
+      items: [
+        { id: "1", title: "Old", content_text: "first", url: "docs/old.html", date_published: "2020-01-01T00:00:00Z" },
+        { id: "2", title: "New", summary: "second", url: "https://example.com/new", date_published: "2020-02-01T00:00:00Z" },
+      ],
+    }), feedUrl);
+
+    assert.deepEqual(notifications.map(item => [item.id, item.text, item.url]), [
+      ["2", "second", "https://example.com/new"],
+      ["1", "first", "https://moewes.github.io/mycloudplayground/docs/old.html"],
+    ]);
+  });
+
+  it("reads Atom entries", () => {
+    const notifications = parseNotificationFeed(`<?xml version="1.0"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <entry><id>a</id><title>Atom</title><summary>text</summary><link href="/atom.html"/><updated>2020-03-01T00:00:00Z</updated></entry>
+</feed>`, feedUrl);
+
+    assert.equal(notifications[0].url, "https://moewes.github.io/atom.html");
+    assert.equal(notifications[0].date.toISOString(), "2020-03-01T00:00:00.000Z");
+  });
+
+  it("drops urls other than http, https and mailto", () => {
+    const notifications = parseNotificationFeed(JSON.stringify([
+      { id: "js", title: "Script", url: "javascript:alert(document.cookie)" },
+      { id: "spaces", title: "Spaces", url: " JavaScript:alert(1)" },
+      { id: "data", title: "Data", url: "data:text/html,<script>alert(1)</script>" },
+      { id: "invalid", title: "Invalid", url: "http://[" },
+      { id: "mail", title: "Mail", url: "mailto:team@example.com" },
+    ]), feedUrl);
+
+    assert.deepEqual(Object.fromEntries(notifications.map(item => [item.id, item.url])), {
+      js: "",
+      spaces: "",
+      data: "",
+      invalid: "",
+      mail: "mailto:team@example.com",
+    });
+  });
+});
@@ -0,0 +1,36 @@
+// What the browser does after signIn of auth.js at the mock OpenID provider:
+//   await auth.signIn();
+//   const redirect = await authorize(auth.getAuthConfiguration(), "jane");
+//   then auth.js loaded at redirect takes the tokens
+
+import { createHash } from "node:crypto";
+
+/**
+ * Signs user in with the authorization request stored by signIn and returns the redirect to the page with code and state.
+ * @param {{ authority: string, clientId: string, redirectUri: string, scope: string }} configuration of auth.js
+ * @param {string} user jane or john
+ * @returns {Promise<string>}
+ */
+const authorize = async (configuration, user) => {
+  const request = JSON.parse(window.sessionStorage.getItem("my-gh-auth:request"));
+  const url = new URL(`${configuration.authority}/authorize`);
+
+  url.search = new URLSearchParams({
+    response_type: "code",
+    client_id: configuration.clientId,
+    redirect_uri: configuration.redirectUri,
+    scope: configuration.scope,
+    state: request.state,
+    nonce: request.nonce,
+    code_challenge: createHash("sha256").update(request.verifier).digest("base64url"),
+    code_challenge_method: "S256",
+    user,
+  }).toString();
+
+  const response = await fetch(url, { redirect: "manual" });
+  return response.headers.get("Location");
+};
+
+export {
+  authorize,
+};
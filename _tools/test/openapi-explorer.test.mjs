@@ -0,0 +1,103 @@
+import assert from "node:assert/strict";
+import { createServer } from "node:http";
+import { after, before, describe, it } from "node:test";
+import { setUpDom, tick } from "./dom.mjs";
+
+setUpDom({ backends: { quarkus: "http://localhost:18086/api/" } });
+
+const auth = await import("../../scripts/auth.js");
+await import("../../scripts/my-openapi-explorer.js");
+
+// the configured backend on 18086 and another server on 18087, both tell the Authorization header they got
+const received = [];
+const servers = [];
+
+const startCapturing = port => new Promise(resolve => {
+  const server = createServer((request, response) => {
+    const url = new URL(request.url, `http://localhost:${port}`);
+    const spec = {
+      openapi: "3.0.3",
+      info: { title: "Capturing", version: "1.0" },
+      servers: [{ url: url.searchParams.get("server") || "/api" }],
+      paths: {
+        "/me": { get: { operationId: "me", security: [{ bearer: [] }], responses: { 200: { description: "The header" } } } },
+      },
+    };
+
+    received.push({ port, path: url.pathname, authorization: request.headers.authorization });
+    response.writeHead(200, { "Content-Type": "application/json" });
+    response.end(JSON.stringify(url.pathname.endsWith("/openapi") ? spec : {}));
+  });
+
+  servers.push(server);
+  server.listen(port, resolve);
+});
+
+const createExplorer = async attributes => {
+  const explorer = document.createElement("my-openapi-explorer");
+
+  Object.keys(attributes).forEach(name => explorer.setAttribute(name, attributes[name]));
+  document.body.append(explorer);
+  await tick(300);
+
+  return explorer;
+};
+
+// sends GET me with the client of the explorer, returns what the server got
+const sendMe = async explorer => {
+  received.length = 0;
+  await explorer.getClient().get("me");
+  return received.find(entry => entry.path.endsWith("/me"));
+};
+
+describe("my-openapi-explorer", () => {
+  before(async () => {
+    await Promise.all([startCapturing(18086), startCapturing(18087)]);
+    auth.restoreSession({ accessToken: "secret", expiresAt: Date.now() + 60000, user: { id: "jane", name: "Jane Doe" } });
+  });
+
+  after(() => {
+    auth.restoreSession(undefined);
+    servers.forEach(server => server.close());
+    document.body.innerHTML = "";
+  });
+
+  it("sends the access token to the servers of the configured backends", async () => {
+    const explorer = await createExplorer({ backend: "quarkus", spec: "openapi" });
+    const request = await sendMe(explorer);
+
+    assert.equal(request.port, 18086);
+    assert.equal(request.path, "/api/me");
+    assert.equal(request.authorization, "Bearer secret");
+  });
+
+  it("does not send the access token to other servers of the document", async () => {
+    const explorer = await createExplorer({ backend: "quarkus", spec: "openapi?server=http://localhost:18087/" });
+    const request = await sendMe(explorer);
+
+    assert.equal(request.port, 18087);
+    assert.equal(request.authorization, undefined);
+  });
+
+  it("does not send the access token to another server given by the server attribute", async () => {
+    const explorer = await createExplorer({ backend: "quarkus", spec: "openapi", server: "http://localhost:18087/api" });
+    assert.equal((await sendMe(explorer)).authorization, undefined);
+
+    explorer.server = "http://localhost:18086/other";
+    await explorer.updateComplete;
+    assert.equal((await sendMe(explorer)).authorization, "Bearer secret");
+  });
+
+  it("shows why signing in failed at a secured operation", async () => {
+    const explorer = await createExplorer({ backend: "quarkus", spec: "openapi" });
+
+    auth.restoreSession(undefined);
+    explorer.select("me");
+    await explorer.signIn();
+    await explorer.updateComplete;
+
+    const error = explorer.shadowRoot.querySelector(".error[role=alert]");
+    assert.equal(error.textContent,
+      "You could not be signed in (Sign in is not configured. Please set auth in the my-gh configuration). Try again later.");
+  });
+});
@@ -0,0 +1,307 @@
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import { describe, it } from "node:test";
+import { setUpDom } from "./dom.mjs";
+
+setUpDom();
+
+const { YamlParseError, parseYaml } = await import("../../scripts/yaml.js");
+const {
+  OpenApiError, buildRequest, getOperationFields, getOperations, parseOpenApi, resolveSchema,
+} = await import("../../scripts/openapi.js");
+const { validateField } = await import("../../scripts/crud.js");
+const { CRUD_VALUE_INVALID, CRUD_VALUE_REQUIRED } = await import("../../scripts/i18n-defaults.js");
+
+const mockSpec = readFileSync(new URL("../openapi.yaml", import.meta.url), "utf8");
+
+describe("parseYaml", () => {
+  it("reads block mappings and sequences", () => {
+    assert.deepEqual(parseYaml(`
+paths:
+  /items:
+    get:
+      tags:
+        - Items
+        - name: Misc
+          deprecated: true
+`), {
+      paths: { "/items": { get: { tags: ["Items", { name: "Misc", deprecated: true }] } } },
+    });
+    assert.deepEqual(parseYaml("- - a\n  - b\n- c"), [["a", "b"], "c"]);
+  });
+
+  it("reads flow collections, also over several lines", () => {
+    assert.deepEqual(parseYaml("tags: [Items, 'Misc', \"a, b\"]\nexample: {id: 1, name: Duke, empty:}"), {
+      tags: ["Items", "Misc", "a, b"],
+      example: { id: 1, name: "Duke", empty: null },
+    });
+    assert.deepEqual(parseYaml("enum: [\n  add,\n  subtract\n]\nnext: 1"), { enum: ["add", "subtract"], next: 1 });
+  });
+
+  it("reads literal and folded block scalars with their chomping", () => {
+    const yaml = [
+      "literal: |",
+      "  line 1",
+      "    indented",
+      "",
+      "folded: >",
+      "  one",
+      "  two",
+      "",
+      "  three",
+      "stripped: |-",
+      "  text",
+      "",
+      "kept: |+",
+      "  text",
+      "",
+      "last: 1",
+    ].join("\n");
+
+    assert.deepEqual(parseYaml(yaml), {
+      literal: "line 1\n  indented\n",
+      folded: "one two\nthree\n",
+      stripped: "text",
+      kept: "text\n\n",
+      last: 1,
+    });
+  });
+
+  it("reads quoted and plain scalars", () => {
+    assert.deepEqual(parseYaml([
+      "double: \"tab\\tnew\\nline \\u00e9 # no comment\"",
+      "single: 'it''s: # no comment'",
+      "\"quoted key\": value",
+      "numbers: [1, -2, 0x1f, 0o17, 1.5e3, .inf, -.inf]",
+      "flags: [true, False, ~, null]",
+      "version: \"3.0\"",
+      "plain: continues",
+      "  in the next line",
+    ].join("\n")), {
+      double: "tab\tnew\nline é # no comment",
+      single: "it's: # no comment",
+      "quoted key": "value",
+      numbers: [1, -2, 31, 15, 1500, Infinity, -Infinity],
+      flags: [true, false, null, null],
+      version: "3.0",
+      plain: "continues in the next line",
+    });
+  });
+
+  it("ignores comments", () => {
+    assert.deepEqual(parseYaml("# document\nname: Duke # the name\nurl: http://localhost#anchor\n  # indented\ntags: [a, b] # flow"), {
+      name: "Duke",
+      url: "http://localhost#anchor",
+      tags: ["a", "b"],
+    });
+  });
+
+  it("rejects anchors, aliases, tags and other unsupported or invalid text", () => {
+    assert.throws(() => parseYaml("base: &base {type: string}\nname: *base"), YamlParseError);
+    assert.throws(() => parseYaml("name: *base"), YamlParseError);
+    assert.throws(() => parseYaml("value: !!str 1"), YamlParseError);
+    assert.throws(() => parseYaml("a: 1\n---\nb: 2"), YamlParseError);
+    assert.throws(() => parseYaml("a: 1\na: 2"), { name: "YamlParseError", line: 2 });
+    assert.throws(() => parseYaml("a: \"open"), YamlParseError);
+    assert.throws(() => parseYaml("a:\n\t- b"), YamlParseError);
+  });
+});
+
+describe("parseOpenApi", () => {
+  it("reads YAML and JSON documents", () => {
+    const spec = parseOpenApi(mockSpec);
+
+    assert.equal(spec.info.title, "Mock API");
+    assert.deepEqual(parseOpenApi(JSON.stringify(spec)), spec);
+    assert.equal(parseOpenApi(spec), spec);
+  });
+
+  it("rejects documents that are not OpenAPI 3", () => {
+    assert.throws(() => parseOpenApi("swagger: \"2.0\""), { name: "OpenApiError", message: "Not an OpenAPI 3 document (Swagger 2.0)" });
+    assert.throws(() => parseOpenApi("[1, 2]"), OpenApiError);
+    assert.throws(() => parseOpenApi("{\"openapi\":"), SyntaxError);
+  });
+});
+
+describe("resolveSchema", () => {
+  it("resolves references and merges allOf", () => {
+    const spec = {
+      components: {
+        schemas: {
+          Named: { type: "object", required: ["name"], properties: { name: { type: "string" } } },
+          Item: { allOf: [{ $ref: "#/components/schemas/Named" }, { properties: { id: { type: "integer" } } }] },
+        },
+      },
+    };
+
+    assert.deepEqual(resolveSchema(spec, { type: "array", items: { $ref: "#/components/schemas/Item" } }), {
+      type: "array",
+      items: {
+        type: "object",
+        required: ["name"],
+        properties: { name: { type: "string" }, id: { type: "integer" } },
+      },
+    });
+  });
+
+  it("stops circular references at the maximum depth", () => {
+    const spec = {
+      components: {
+        schemas: {
+          Node: { type: "object", properties: { child: { $ref: "#/components/schemas/Node" } } },
+          Loop: { $ref: "#/components/schemas/Other" },
+          Other: { $ref: "#/components/schemas/Loop" },
+        },
+      },
+    };
+    let node = resolveSchema(spec, { $ref: "#/components/schemas/Node" });
+    let depth = 0;
+
+    while (node.properties) {
+      node = node.properties.child;
+      depth++;
+    }
+
+    assert.equal(depth, 9);
+    assert.deepEqual(node, {});
+    assert.deepEqual(resolveSchema(spec, { $ref: "#/components/schemas/Loop" }), {});
+  });
+});
+
+describe("getOperationFields and buildRequest", () => {
+  const spec = parseOpenApi(`
+openapi: 3.0.3
+info: {title: Test, version: "1"}
+paths:
+  /items/{id}:
+    parameters:
+      - name: id
+        in: path
+        schema: {type: string}
+    put:
+      operationId: updateItem
+      parameters:
+        - name: dryRun
+          in: query
+          schema: {type: boolean}
+        - name: tags
+          in: query
+          schema: {type: array, items: {type: string}}
+        - name: X-Request-Id
+          in: header
+          required: true
+          schema: {type: string, pattern: "[0-9a-f]{4}"}
+      requestBody:
+        required: true
+        content:
+          application/json:
+            schema:
+              type: object
+              required: [name]
+              properties:
+                name: {type: string}
+                attributes: {type: object}
+  /login:
+    post:
+      operationId: login
+      requestBody:
+        content:
+          application/x-www-form-urlencoded:
+            schema:
+              type: object
+              properties:
+                user: {type: string}
+                remember: {type: boolean}
+  /notes:
+    post:
+      operationId: addNote
+      requestBody:
+        content:
+          text/plain:
+            schema: {type: string}
+`);
+  const operations = getOperations(spec);
+  const getOperation = id => operations.find(operation => operation.id === id);
+
+  it("makes fields of the parameters and the properties of the body", () => {
+    const fields = getOperationFields(getOperation("updateItem"));
+
+    assert.deepEqual(fields.map(field => [field.name, field.in, field.property, field.type, field.required]), [
+      ["path.id", "path", "id", "text", true],
+      ["query.dryRun", "query", "dryRun", "boolean", false],
+      ["query.tags", "query", "tags", "json", false],
+      ["header.X-Request-Id", "header", "X-Request-Id", "text", true],
+      ["body.name", "body", "name", "text", true],
+      ["body.attributes", "body", "attributes", "json", false],
+    ]);
+    assert.deepEqual(getOperationFields(getOperation("addNote")).map(field => [field.name, field.type, field.label]), [
+      ["body", "textarea", "text/plain"],
+    ]);
+  });
+
+  it("checks required parameters", () => {
+    const fields = getOperationFields(getOperation("updateItem"));
+
+    assert.deepEqual(validateField(fields.find(field => field.name === "path.id"), ""), [CRUD_VALUE_REQUIRED]);
+    assert.deepEqual(validateField(fields.find(field => field.name === "header.X-Request-Id"), undefined), [CRUD_VALUE_REQUIRED]);
+    assert.equal(validateField(fields.find(field => field.name === "query.dryRun"), undefined), undefined);
+  });
+
+  it("checks patterns of the document anywhere in the value, those of CRUD fields against all of it", () => {
+    const requestId = getOperationFields(getOperation("updateItem")).find(field => field.name === "header.X-Request-Id");
+
+    assert.equal(validateField(requestId, "req-00af-1"), undefined);
+    assert.deepEqual(validateField(requestId, "req-1"), [CRUD_VALUE_INVALID]);
+    assert.deepEqual(validateField({ name: "code", pattern: "[0-9a-f]{4}" }, "req-00af-1"), [CRUD_VALUE_INVALID]);
+    assert.equal(validateField({ name: "code", pattern: "[0-9a-f]{4}" }, "00af"), undefined);
+  });
+
+  it("leaves out patterns that are no regular expression", () => {
+    const [field] = getOperationFields({ parameters: [{ name: "q", in: "query", schema: { type: "string", pattern: "(?<" } }] });
+
+    assert.equal(field.pattern, undefined);
+    assert.equal(validateField(field, "anything"), undefined);
+  });
+
+  it("puts the values into the path, query, headers and a JSON body", () => {
+    const operation = getOperation("updateItem");
+
+    assert.deepEqual(buildRequest(operation, getOperationFields(operation), {
+      "path.id": "a/b c",
+      "query.dryRun": true,
+      "query.tags": "[\"x\", \"y\"]",
+      "header.X-Request-Id": "00af",
+      "body.name": "Duke",
+      "body.attributes": "{\"color\": \"red\"}",
+    }), {
+      method: "PUT",
+      path: "/items/a%2Fb%20c",
+      query: { dryRun: true, tags: ["x", "y"] },
+      headers: { "X-Request-Id": "00af" },
+      body: { name: "Duke", attributes: { color: "red" } },
+    });
+    assert.deepEqual(buildRequest(operation, getOperationFields(operation), { "path.id": "1" }).body, {});
+    assert.throws(() => buildRequest(operation, getOperationFields(operation), { "body.attributes": "{" }), SyntaxError);
+  });
+
+  it("sends form bodies and text as they are, with the media type", () => {
+    const login = getOperation("login");
+    const addNote = getOperation("addNote");
+
+    assert.deepEqual(buildRequest(login, getOperationFields(login), { "body.user": "jane doe", "body.remember": true }), {
+      method: "POST",
+      path: "/login",
+      query: {},
+      headers: { "Content-Type": "application/x-www-form-urlencoded" },
+      body: "user=jane+doe&remember=true",
+    });
+    assert.deepEqual(buildRequest(login, getOperationFields(login), {}).body, undefined);
+    assert.deepEqual(buildRequest(addNote, getOperationFields(addNote), { body: "Remember" }), {
+      method: "POST",
+      path: "/notes",
+      query: {},
+      headers: { "Content-Type": "text/plain" },
+      body: "Remember",
+    });
+  });
+});
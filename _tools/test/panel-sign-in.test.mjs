@@ -0,0 +1,30 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { setUpDom, tick } from "./dom.mjs";
+
+// nothing listens on the port, requests to the provider fail
+setUpDom({ auth: { authority: "http://localhost:18090", clientId: "my-gh" } });
+
+await import("../../scripts/my-gh-panel.js");
+
+describe("my-gh-panel sign in", () => {
+  it("shows why signing in failed in the placeholder of a restricted panel", async () => {
+    const panel = document.createElement("my-gh-panel");
+    panel.setAttribute("roles", "admin");
+    document.body.append(panel);
+
+    try {
+      await panel.updateComplete;
+      assert.equal(panel.shadowRoot.querySelector(".sign-in-error"), null);
+
+      await panel.signIn();
+      await tick();
+
+      const error = panel.shadowRoot.querySelector(".restricted .sign-in-error");
+      assert.match(error.textContent, /^You could not be signed in \(.+\)\. Try again later\.$/);
+      assert.equal(error.getAttribute("role"), "alert");
+    } finally {
+      panel.remove();
+    }
+  });
+});
@@ -0,0 +1,28 @@
+// Starts the mock services of _tools for the tests, each test file on its own port:
+//   const api = await startServer("mock-api-server.mjs", { PORT: "18080" });
+//   after(() => api.stop());
+
+import { spawn } from "node:child_process";
+import { fileURLToPath } from "node:url";
+
+/**
+ * Runs a mock service in a child process and resolves when it listens (its first line of output).
+ * @param {string} script file name in _tools
+ * @param {Object<string, string>} [env] settings of the service, like PORT
+ * @returns {Promise<{ stop: function() }>}
+ */
+const startServer = (script, env = {}) => new Promise((resolve, reject) => {
+  const child = spawn(process.execPath, [fileURLToPath(new URL(`../${script}`, import.meta.url))], {
+    env: Object.assign({}, process.env, env),
+    stdio: ["ignore", "pipe", "inherit"],
+  });
+
+  child.once("exit", code => reject(new Error(`${script} exited with ${code}`)));
+  child.stdout.once("data", () => resolve({
+    stop: () => child.kill(),
+  }));
+});
+
+export {
+  startServer,
+};
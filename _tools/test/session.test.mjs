@@ -0,0 +1,112 @@
+import assert from "node:assert/strict";
+import { after, before, describe, it } from "node:test";
+import { setUpDom, tick } from "./dom.mjs";
+import { authorize } from "./oidc.mjs";
+import { startServer } from "./servers.mjs";
+
+const authority = "http://localhost:18089";
+const page = "https://moewes.github.io/mycloudplayground/";
+
+const dom = setUpDom({ auth: { authority, clientId: "my-gh" } }, page);
+
+// the channel of this tab: what it posts, and messages of the other tabs handed to it with receive
+class TestChannel {
+  constructor(name) {
+    this.name = name;
+    this.listeners = [];
+    TestChannel.instance = this;
+  }
+
+  addEventListener(type, listener) {
+    this.listeners.push(listener);
+  }
+
+  postMessage(message) {
+    TestChannel.posted.push(JSON.parse(JSON.stringify(message)));
+  }
+
+  receive(data) {
+    this.listeners.forEach(listener => listener({ data }));
+  }
+}
+TestChannel.posted = [];
+globalThis.BroadcastChannel = TestChannel;
+
+let loads = 0;
+
+// auth.js of a tab that signs in with its own tokens
+const signInTab = async user => {
+  dom.reconfigure({ url: page });
+  const signedOut = await import(`../../scripts/auth.js?load=${++loads}`);
+  await signedOut.whenAuthReady();
+  await signedOut.signIn();
+
+  dom.reconfigure({ url: await authorize(signedOut.getAuthConfiguration(), user) });
+  const auth = await import(`../../scripts/auth.js?load=${++loads}`);
+  await auth.whenAuthReady();
+  return auth;
+};
+
+describe("session", () => {
+  let provider;
+  let auth;
+  let session;
+
+  before(async () => {
+    provider = await startServer("mock-oidc-provider.mjs", { PORT: "18089" });
+
+    // this tab loads auth.js and session.js with the redirect of the provider
+    const signedOut = await import(`../../scripts/auth.js?load=${++loads}`);
+    await signedOut.whenAuthReady();
+    await signedOut.signIn();
+    dom.reconfigure({ url: await authorize(signedOut.getAuthConfiguration(), "jane") });
+
+    auth = await import("../../scripts/auth.js");
+    session = await import("../../scripts/session.js");
+    await auth.whenAuthReady();
+    await tick();
+  });
+
+  after(() => provider.stop());
+
+  it("tells the other tabs that it signed in, without the tokens", () => {
+    assert.equal(auth.getUser().name, "Jane Doe");
+    assert.equal(TestChannel.instance.name, "my-gh-auth");
+    assert.deepEqual(TestChannel.posted, [{ type: "signin" }]);
+  });
+
+  it("answers a new tab without the tokens", () => {
+    TestChannel.posted = [];
+    TestChannel.instance.receive({ type: "request" });
+
+    assert.deepEqual(TestChannel.posted, [{ type: "signin" }]);
+  });
+
+  it("renews at the same time as another tab, each with its own refresh token", async () => {
+    const otherTab = await signInTab("jane");
+    const previous = [auth.getSession(), otherTab.getSession()];
+    const expired = [];
+    const handleExpired = error => expired.push(error);
+
+    assert.notEqual(previous[0].refreshToken, previous[1].refreshToken);
+
+    TestChannel.posted = [];
+    session.attachSessionExpired(handleExpired);
+    await Promise.all([session.renewSession(), otherTab.renewSession()]);
+    session.detachSessionExpired(handleExpired);
+
+    assert.deepEqual(expired, []);
+    assert.notEqual(auth.getSession().refreshToken, previous[0].refreshToken);
+    assert.notEqual(otherTab.getSession().refreshToken, previous[1].refreshToken);
+    // a renewal stays in its tab
+    assert.deepEqual(TestChannel.posted, []);
+  });
+
+  it("signs out when another tab signs out, without telling the others again", () => {
+    TestChannel.posted = [];
+    TestChannel.instance.receive({ type: "signout" });
+
+    assert.equal(auth.getUser(), undefined);
+    assert.deepEqual(TestChannel.posted, []);
+  });
+});
@@ -0,0 +1,376 @@
+import { getAccessToken, getUser } from './auth.js';
+import { getBackendUrl } from './config.js';
+import { renewSession } from './session.js';
+
+/**
+ * Client for the REST backends of the site (the Quarkus service), based on fetch:
+ * JSON in and out, the access token of the signed in user, a timeout per request,
+ * retries with exponential backoff and errors that tell what went wrong.
+ *
+ * const api = createApiClient({ backend: "quarkus" });
+ * const items = await api.get("items", { query: { limit: 10 } });
+ */
+
+/**
+ * Base class of the errors of the client.
+ * @param {string} message
+ * @param {{ url: string, method: string }} request
+ */
+class ApiError extends Error {
+  constructor(message, { url, method } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.url = url;
+    this.method = method;
+  }
+}
+
+/**
+ * The backend answered with a status outside 2xx. body is the parsed answer (JSON or text), if any.
+ */
+class HttpError extends ApiError {
+  constructor(response, body, request) {
+    super(`${request.method} ${request.url} failed: ${response.status} ${response.statusText}`.trim(), request);
+    this.status = response.status;
+    this.statusText = response.statusText;
+    this.headers = response.headers;
+    this.body = body;
+  }
+}
+
+/**
+ * The backend did not answer within the timeout.
+ */
+class TimeoutError extends ApiError {
+  constructor(timeout, request) {
+    super(`${request.method} ${request.url} timed out after ${timeout} ms`, request);
+    this.timeout = timeout;
+  }
+}
+
+/**
+ * The request did not reach the backend: offline, DNS, CORS or a refused connection.
+ */
+class NetworkError extends ApiError {
+  constructor(cause, request) {
+    super(`${request.method} ${request.url} failed: ${cause.message}`, request);
+    this.cause = cause;
+  }
+}
+
+/**
+ * The answer is not what its content type says, e.g. invalid JSON.
+ */
+class ParseError extends ApiError {
+  constructor(cause, request) {
+    super(`${request.method} ${request.url} returned an unreadable answer: ${cause.message}`, request);
+    this.cause = cause;
+  }
+}
+
+const idempotentMethods = new Set(["GET", "HEAD", "OPTIONS", "PUT", "DELETE"]);
+
+const retryStatuses = new Set([408, 429, 502, 503, 504]);
+
+const wait = delay => new Promise(resolve => setTimeout(resolve, delay));
+
+const createUrl = (baseUrl, path, query) => {
+  const url = new URL(path.replace(/^\/+/, ""), baseUrl);
+
+  Object.keys(query || {})
+    .filter(key => query[key] !== undefined && query[key] !== null)
+    .forEach(key => [].concat(query[key]).forEach(value => url.searchParams.append(key, value)));
+
+  return url.href;
+};
+
+const readBody = async (response, request) => {
+  if (response.status === 204 || request.method === "HEAD") {
+    return;
+  }
+
+  const text = await response.text();
+  const contentType = response.headers.get("Content-Type") || "";
+
+  if (!text || !/[/+]json\b/i.test(contentType)) {
+    return text || undefined;
+  }
+
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    // error pages of proxies and gateways, the status tells what went wrong
+    if (!response.ok) {
+      return text;
+    }
+    throw new ParseError(error, request);
+  }
+};
+
+// seconds or an HTTP date, see RFC 7231 7.1.3
+const getRetryAfter = response => {
+  const value = response.headers.get("Retry-After");
+  if (!value) {
+    return;
+  }
+
+  const delay = /^\d+$/.test(value) ? Number(value) * 1000 : new Date(value) - Date.now();
+  return isNaN(delay) ? undefined : Math.max(0, delay);
+};
+
+/**
+ * Creates a client for one backend.
+ * @param {object} options
+ * @param {string} [options.backend] name of the backend in the configuration script (backends)
+ * @param {string} [options.baseUrl] base URL, instead of backend
+ * @param {number} [options.timeout=10000] milliseconds per attempt
+ * @param {number} [options.retries=2] further attempts of idempotent requests (GET, PUT, DELETE...)
+ *   after network errors, timeouts and the statuses 408, 429, 502, 503 and 504, unless their Retry-After is longer than timeout
+ * @param {number} [options.retryDelay=500] milliseconds before the first retry, doubled for each further one
+ * @param {boolean} [options.auth=true] sends the access token of the signed in user
+ * @param {Object<string, string>} [options.headers] sent with every request
+ */
+const createApiClient = ({
+  backend, baseUrl, timeout = 10000, retries = 2, retryDelay = 500, auth = true, headers = {},
+} = {}) => {
+  const stateChangeCallbacks = new Set();
+  const state = { pending: 0, error: undefined };
+
+  const setState = changes => {
+    Object.assign(state, changes);
+    stateChangeCallbacks.forEach(callback => callback(state));
+  };
+
+  const getBaseUrl = () => {
+    const url = baseUrl ? new URL(baseUrl, window.location.href).href : getBackendUrl(backend);
+
+    if (!url) {
+      throw new ApiError(`Backend ${backend} is not configured. Please add it to backends in the my-gh configuration`);
+    }
+
+    return url.endsWith("/") ? url : `${url}/`;
+  };
+
+  const createHeaders = (body, requestHeaders) => {
+    const result = Object.assign({ Accept: "application/json" }, headers);
+    const token = auth ? getAccessToken() : undefined;
+
+    if (token) {
+      result.Authorization = `Bearer ${token}`;
+    }
+    if (body !== undefined && !(body instanceof FormData) && !(body instanceof Blob) && typeof body !== "string") {
+      result["Content-Type"] = "application/json";
+    }
+
+    return Object.assign(result, requestHeaders);
+  };
+
+  const send = async (request, body, options) => {
+    const controller = new AbortController();
+    const abort = () => controller.abort();
+    const timer = setTimeout(abort, timeout);
+
+    if (options.signal) {
+      // aborted before, the abort event has already been dispatched
+      if (options.signal.aborted) {
+        abort();
+      }
+      options.signal.addEventListener("abort", abort);
+    }
+
+    try {
+      const response = await fetch(request.url, {
+        method: request.method,
+        headers: createHeaders(body, options.headers),
+        body: body === undefined || typeof body === "string" || body instanceof FormData || body instanceof Blob ? body : JSON.stringify(body),
+        signal: controller.signal,
+      });
+
+      // the timeout also applies to the body, which may arrive long after the headers
+      return { response, body: await readBody(response, request) };
+    } catch (error) {
+      if (error instanceof ParseError || (options.signal && options.signal.aborted)) {
+        throw error;
+      }
+      throw controller.signal.aborted ? new TimeoutError(timeout, request) : new NetworkError(error, request);
+    } finally {
+      clearTimeout(timer);
+      if (options.signal) {
+        options.signal.removeEventListener("abort", abort);
+      }
+    }
+  };
+
+  /**
+   * Sends a request and returns the parsed answer: JSON as object, other content as text, nothing for 204.
+   * Rejects with HttpError, TimeoutError, NetworkError or ParseError, or with an AbortError for options.signal.
+   * An answer 401 renews the session once and repeats the request.
+   * @param {string} method
+   * @param {string} path relative to the base URL
+   * @param {object} [options]
+   * @param {*} [options.body] sent as JSON, strings, FormData and Blobs as they are
+   * @param {Object<string, *>} [options.query] search parameters, arrays are repeated
+   * @param {Object<string, string>} [options.headers]
+   * @param {AbortSignal} [options.signal]
+   * @param {boolean} [options.response] resolves with { status, statusText, headers, url, body } instead of the body
+   * @returns {Promise<*>}
+   */
+  const request = async (method, path, options = {}) => {
+    const upperCaseMethod = method.toUpperCase();
+    const attempts = idempotentMethods.has(upperCaseMethod) ? retries + 1 : 1;
+    let renewed = false;
+
+    setState({ pending: state.pending + 1 });
+
+    try {
+      const req = { method: upperCaseMethod, url: createUrl(getBaseUrl(), path, options.query) };
+
+      for (let attempt = 1; ; attempt++) {
+        let retryAfter;
+
+        try {
+          const { response, body } = await send(req, options.body, options);
+
+          if (response.ok) {
+            setState({ error: undefined });
+            return options.response ? {
+              status: response.status, statusText: response.statusText, headers: response.headers, url: req.url, body,
+            } : body;
+          }
+
+          if (response.status === 401 && auth && getUser() && !renewed) {
+            renewed = true;
+            await renewSession().catch(() => {});
+            attempt--;
+            continue;
+          }
+
+          const error = new HttpError(response, body, req);
+          if (!retryStatuses.has(response.status) || attempt >= attempts) {
+            throw error;
+          }
+          retryAfter = getRetryAfter(response);
+          // rather than wait longer than an attempt may take
+          if (retryAfter > timeout) {
+            throw error;
+          }
+        } catch (error) {
+          const retryable = error instanceof TimeoutError || error instanceof NetworkError;
+          if (!retryable || attempt >= attempts) {
+            throw error;
+          }
+        }
+
+        await wait(retryAfter !== undefined ? retryAfter : retryDelay * 2 ** (attempt - 1));
+      }
+    } catch (error) {
+      if (error.name !== "AbortError") {
+        setState({ error });
+      }
+      throw error;
+    } finally {
+      setState({ pending: state.pending - 1 });
+    }
+  };
+
+  return {
+    request,
+    get: (path, options) => request("GET", path, options),
+    post: (path, body, options) => request("POST", path, Object.assign({}, options, { body })),
+    put: (path, body, options) => request("PUT", path, Object.assign({}, options, { body })),
+    patch: (path, body, options) => request("PATCH", path, Object.assign({}, options, { body })),
+    delete: (path, options) => request("DELETE", path, options),
+
+    /**
+     * { pending: number of running requests, error: error of the last request, undefined after a success }
+     */
+    state,
+
+    /**
+     * Calls callback with the state when a request starts, ends or fails.
+     * @param {function(object)} callback
+     */
+    attachStateChange: callback => {
+      stateChangeCallbacks.add(callback);
+    },
+    detachStateChange: callback => {
+      stateChangeCallbacks.delete(callback);
+    },
+  };
+};
+
+/**
+ * Reactive result of a GET request for components:
+ * { data, error, loading } change when the request is sent, answered or fails, and the attached callbacks are called.
+ * A component attaches in connectedCallback with a callback that calls requestUpdate and renders from the fields.
+ * Answers of a request that has been replaced by a newer one (reload, setPath) are ignored.
+ * @param {object} client result of createApiClient
+ * @param {string} path
+ * @param {object} [options] request options, see request
+ */
+const createApiResource = (client, path, options = {}) => {
+  const changeCallbacks = new Set();
+  let requests = 0;
+  let controller;
+
+  const resource = {
+    path,
+    data: undefined,
+    error: undefined,
+    loading: false,
+
+    /**
+     * Sends the request again, the data of the previous one stays until the answer arrives.
+     * @returns {Promise<void>} resolves also when the request fails, see error
+     */
+    reload: async () => {
+      const request = ++requests;
+
+      if (controller) {
+        controller.abort();
+      }
+      controller = new AbortController();
+
+      update({ loading: true });
+
+      try {
+        const data = await client.get(resource.path, Object.assign({}, options, { signal: controller.signal }));
+        if (request === requests) {
+          update({ data, error: undefined, loading: false });
+        }
+      } catch (error) {
+        if (request === requests) {
+          update({ error, loading: false });
+        }
+      }
+    },
+
+    /**
+     * Loads another path.
+     * @param {string} newPath
+     * @returns {Promise<void>}
+     */
+    setPath: newPath => {
+      resource.path = newPath;
+      return resource.reload();
+    },
+
+    attach: callback => {
+      changeCallbacks.add(callback);
+    },
+    detach: callback => {
+      changeCallbacks.delete(callback);
+    },
+  };
+
+  const update = changes => {
+    Object.assign(resource, changes);
+    changeCallbacks.forEach(callback => callback(resource));
+  };
+
+  return resource;
+};
+
+export {
+  ApiError, HttpError, NetworkError, ParseError, TimeoutError, createApiClient, createApiResource,
+};
@@ -0,0 +1,585 @@
+import { getAppConfiguration } from './config.js';
+
+/**
+ * OpenID Connect sign in for the browser: authorization code flow with PKCE, as a public client without secret.
+ * The provider is configured in the "auth" entry of the configuration script:
+ * { "authority": "https://keycloak.example.com/realms/demo", "clientId": "my-gh", "scope": "openid profile email" }.
+ * The session (tokens and user) is kept in sessionStorage, so it ends with the tab.
+ * Other components read the token with getAccessToken and follow sign in and out with attachAuthChange.
+ */
+
+const requestStorageKey = "my-gh-auth:request";
+const sessionStorageKey = "my-gh-auth:session";
+
+const authChangeCallbacks = new Set();
+
+const discoveryRequests = new Map();
+
+let session;
+let signInError;
+
+const readStorage = key => {
+  try {
+    const value = window.sessionStorage.getItem(key);
+    return value === null ? undefined : JSON.parse(value);
+  } catch (e) {
+    // storage disabled or an outdated entry that does not parse
+    return;
+  }
+};
+
+const writeStorage = (key, value) => {
+  try {
+    if (value === undefined) {
+      window.sessionStorage.removeItem(key);
+    } else {
+      window.sessionStorage.setItem(key, JSON.stringify(value));
+    }
+  } catch (e) {
+    // not persisted, the session lasts until the page is left
+  }
+};
+
+/**
+ * Returns the auth settings of the configuration script, undefined when sign in is not configured.
+ * silentRedirectUri is the page loaded in the hidden frame of a silent renewal, silent-renew.html of the site by default.
+ * @returns {{ authority: string, clientId: string, scope: string, redirectUri: string, postLogoutRedirectUri: string,
+ *   silentRedirectUri: string, rolesClaim: string }}
+ */
+const getAuthConfiguration = () => {
+  const { auth } = getAppConfiguration();
+
+  if (!auth || typeof auth.authority !== "string" || typeof auth.clientId !== "string") {
+    return;
+  }
+
+  const page = `${window.location.origin}${window.location.pathname}`;
+
+  return {
+    authority: auth.authority.replace(/\/+$/, ""),
+    clientId: auth.clientId,
+    scope: auth.scope || "openid profile email",
+    redirectUri: auth.redirectUri ? new URL(auth.redirectUri, window.location.href).href : page,
+    postLogoutRedirectUri: auth.postLogoutRedirectUri ? new URL(auth.postLogoutRedirectUri, window.location.href).href : page,
+    silentRedirectUri: auth.silentRedirectUri
+      ? new URL(auth.silentRedirectUri, window.location.href).href
+      : new URL("../silent-renew.html", import.meta.url).href,
+    rolesClaim: auth.rolesClaim,
+  };
+};
+
+/**
+ * Fetches the provider metadata (endpoints) from <authority>/.well-known/openid-configuration, once per page.
+ * @param {string} authority
+ * @returns {Promise<object>}
+ */
+const discover = authority => {
+  if (!discoveryRequests.has(authority)) {
+    discoveryRequests.set(authority, fetch(`${authority}/.well-known/openid-configuration`)
+      .then(response => {
+        if (!response.ok) {
+          throw new Error(`${response.status} ${response.statusText}`.trim());
+        }
+        return response.json();
+      })
+      .catch(error => {
+        discoveryRequests.delete(authority);
+        throw new Error(`OpenID provider ${authority} could not be discovered: ${error.message}`);
+      }));
+  }
+
+  return discoveryRequests.get(authority);
+};
+
+const base64UrlEncode = bytes => btoa(String.fromCharCode(...new Uint8Array(bytes)))
+  .replace(/\+/g, "-")
+  .replace(/\//g, "_")
+  .replace(/=+$/, "");
+
+const base64UrlDecode = text => {
+  const base64 = text.replace(/-/g, "+").replace(/_/g, "/");
+  const binary = atob(base64.padEnd(base64.length + (4 - base64.length % 4) % 4, "="));
+  return decodeURIComponent(Array.from(binary, char => `%${char.charCodeAt(0).toString(16).padStart(2, "0")}`).join(""));
+};
+
+const randomString = () => base64UrlEncode(window.crypto.getRandomValues(new Uint8Array(32)));
+
+const createCodeChallenge = async verifier => base64UrlEncode(await window.crypto.subtle.digest("SHA-256", new TextEncoder().encode(verifier)));
+
+/**
+ * Returns the claims of a JWT without checking the signature.
+ * @param {string} token
+ * @returns {object}
+ */
+const decodeJWT = token => {
+  try {
+    return JSON.parse(base64UrlDecode(token.split(".")[1]));
+  } catch (e) {
+    throw new Error("Incorrect token format. The token is not a JWT");
+  }
+};
+
+/**
+ * Checks the claims of the ID token. The signature is not checked: the token comes directly from the token endpoint
+ * over TLS, which OpenID Connect Core 3.1.3.7 allows in place of the signature for the code flow.
+ * ID tokens of a refresh have no nonce, pass undefined for them.
+ */
+const validateIdToken = (claims, metadata, configuration, nonce) => {
+  const audience = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+
+  if (claims.iss !== metadata.issuer) {
+    throw new Error(`ID token issuer ${claims.iss} does not match ${metadata.issuer}`);
+  }
+  if (!audience.includes(configuration.clientId)) {
+    throw new Error(`ID token is not issued for ${configuration.clientId}`);
+  }
+  if (nonce !== undefined && claims.nonce !== nonce) {
+    throw new Error("ID token nonce does not match the sign in request");
+  }
+  if (claims.exp * 1000 < Date.now()) {
+    throw new Error("ID token is expired");
+  }
+};
+
+const createUser = claims => ({
+  id: claims.sub,
+  name: claims.name || [claims.given_name, claims.family_name].filter(part => part).join(" ") || claims.preferred_username || claims.email || claims.sub,
+  email: claims.email,
+  picture: claims.picture,
+  claims,
+});
+
+/**
+ * Turns a token endpoint response into the stored session.
+ * Claims of the userinfo endpoint complete the ID token, the sign in still succeeds without them.
+ */
+const createSession = async (tokens, metadata, idClaims) => {
+  let claims = idClaims;
+
+  if (metadata.userinfo_endpoint) {
+    try {
+      const response = await fetch(metadata.userinfo_endpoint, { headers: { Authorization: `Bearer ${tokens.access_token}` } });
+      if (response.ok) {
+        claims = Object.assign({}, await response.json(), idClaims);
+      }
+    } catch (e) {
+      // the ID token has the claims needed to show the user
+    }
+  }
+
+  return {
+    accessToken: tokens.access_token,
+    idToken: tokens.id_token,
+    refreshToken: tokens.refresh_token,
+    issuedAt: Date.now(),
+    expiresAt: Date.now() + (Number(tokens.expires_in) || 300) * 1000,
+    user: createUser(claims),
+  };
+};
+
+/**
+ * Posts a form to the token endpoint and returns the token response.
+ * @param {object} metadata provider metadata
+ * @param {Object<string, string>} parameters
+ * @returns {Promise<object>}
+ */
+const requestTokens = async (metadata, parameters) => {
+  const response = await fetch(metadata.token_endpoint, {
+    method: "POST",
+    headers: { "Content-Type": "application/x-www-form-urlencoded" },
+    body: new URLSearchParams(parameters).toString(),
+  });
+  const result = await response.json().catch(() => ({}));
+
+  if (!response.ok) {
+    throw new Error(result.error_description || result.error || `${response.status} ${response.statusText}`.trim());
+  }
+
+  return result;
+};
+
+const createAuthorizationRequest = () => ({
+  state: randomString(),
+  nonce: randomString(),
+  verifier: randomString(),
+});
+
+const createAuthorizationUrl = async (configuration, metadata, request, redirectUri, parameters = {}) => {
+  const url = new URL(metadata.authorization_endpoint);
+  url.search = new URLSearchParams(Object.assign({
+    response_type: "code",
+    client_id: configuration.clientId,
+    redirect_uri: redirectUri,
+    scope: configuration.scope,
+    state: request.state,
+    nonce: request.nonce,
+    code_challenge: await createCodeChallenge(request.verifier),
+    code_challenge_method: "S256",
+  }, parameters)).toString();
+
+  return url.href;
+};
+
+/**
+ * Exchanges an authorization code for tokens and returns the new session.
+ */
+const exchangeCode = async (configuration, metadata, code, request, redirectUri) => {
+  const tokens = await requestTokens(metadata, {
+    grant_type: "authorization_code",
+    code,
+    redirect_uri: redirectUri,
+    client_id: configuration.clientId,
+    code_verifier: request.verifier,
+  });
+  const claims = decodeJWT(tokens.id_token);
+
+  validateIdToken(claims, metadata, configuration, request.nonce);
+  return createSession(tokens, metadata, claims);
+};
+
+const setSession = value => {
+  session = value;
+  writeStorage(sessionStorageKey, value);
+  authChangeCallbacks.forEach(callback => callback(getUser()));
+};
+
+/**
+ * Exchanges the code of the provider redirect for tokens. Runs once when the module is loaded,
+ * the code and state parameters are removed from the address.
+ */
+const handleRedirectCallback = async configuration => {
+  const params = new URLSearchParams(window.location.search);
+  const state = params.get("state");
+  const request = readStorage(requestStorageKey);
+
+  if (!state || !request || request.state !== state || !(params.has("code") || params.has("error"))) {
+    return;
+  }
+
+  // sign in started on another page when the redirect URI is a fixed page, that page is opened once signed in
+  const returnsHere = new URL(request.returnUrl).pathname === window.location.pathname;
+
+  writeStorage(requestStorageKey, undefined);
+  window.history.replaceState(window.history.state, "", returnsHere ? request.returnUrl : window.location.pathname);
+
+  if (params.has("error")) {
+    throw new Error(params.get("error_description") || params.get("error"));
+  }
+
+  const metadata = await discover(configuration.authority);
+  setSession(await exchangeCode(configuration, metadata, params.get("code"), request, configuration.redirectUri));
+
+  if (!returnsHere) {
+    window.location.replace(request.returnUrl);
+  }
+};
+
+const initAuth = async () => {
+  const configuration = getAuthConfiguration();
+
+  if (!configuration) {
+    return;
+  }
+
+  session = readStorage(sessionStorageKey);
+
+  try {
+    await handleRedirectCallback(configuration);
+  } catch (error) {
+    console.warn(`Sign in failed: ${error.message}`);
+    signInError = error;
+  }
+};
+
+const ready = initAuth();
+
+/**
+ * Resolves when a sign in redirect has been handled and getUser returns the signed in user.
+ * @returns {Promise<void>}
+ */
+const whenAuthReady = () => ready;
+
+/**
+ * Returns the error of the sign in redirect handled by this page, my-gh-header shows it.
+ * @returns {Error} undefined when there was none
+ */
+const getSignInError = () => signInError;
+
+/**
+ * Returns the session: { accessToken, idToken, refreshToken, issuedAt, expiresAt, user }, undefined when signed out.
+ * For session.js, other components use getAccessToken and getUser.
+ * @returns {object}
+ */
+const getSession = () => session;
+
+/**
+ * Takes over a session, or signs out this tab only when another tab of the site signed out.
+ * @param {object} value a session returned by getSession, undefined signs out this tab only
+ */
+const restoreSession = value => {
+  setSession(value);
+};
+
+/**
+ * Returns the signed in user, undefined when signed out.
+ * @returns {{ id: string, name: string, email: string, picture: string, claims: object }}
+ */
+const getUser = () => (session ? session.user : undefined);
+
+/**
+ * Returns the access token for requests to the backends, undefined when signed out or expired.
+ * @returns {string|undefined}
+ */
+const getAccessToken = () => (session && session.expiresAt > Date.now() ? session.accessToken : undefined);
+
+const readClaim = (claims, path) => path.split(".").reduce((value, key) => (value && typeof value === "object" ? value[key] : undefined), claims);
+
+const toList = value => {
+  if (Array.isArray(value)) {
+    return value;
+  }
+  return typeof value === "string" ? value.split(/[\s,]+/).filter(entry => entry) : [];
+};
+
+/**
+ * Returns the roles of the signed in user, empty when signed out. Roles are read from the access token
+ * (if it is a JWT) and the user claims: roles, groups, realm_access.roles and resource_access.<clientId>.roles (Keycloak),
+ * or only from the claim set as rolesClaim in the auth configuration (a path like "app.roles").
+ * @returns {Set<string>}
+ */
+const getUserRoles = () => {
+  const configuration = getAuthConfiguration();
+
+  if (!session || !configuration) {
+    return new Set();
+  }
+
+  let tokenClaims = {};
+  try {
+    tokenClaims = decodeJWT(session.accessToken);
+  } catch (e) {
+    // opaque access token, the user claims are used alone
+  }
+
+  const paths = configuration.rolesClaim ? [configuration.rolesClaim] : ["roles", "groups", "realm_access.roles", `resource_access.${configuration.clientId}.roles`];
+
+  return new Set([tokenClaims, session.user.claims].reduce((roles, claims) => roles
+    .concat(...paths.map(path => toList(readClaim(claims, path)))), []));
+};
+
+/**
+ * Checks the roles of an entry (menu entry, panel) against the roles of the signed in user.
+ * This only hides content in the page, the backends have to check the access token themselves.
+ * @param {string[]|string} roles the user needs one of them, a string is split at spaces and commas
+ * @returns {boolean} true when roles is empty or the user has one of them
+ */
+const hasAnyRole = roles => {
+  const required = toList(roles);
+
+  if (!required.length) {
+    return true;
+  }
+
+  const userRoles = getUserRoles();
+  return required.some(role => userRoles.has(role));
+};
+
+/**
+ * Calls callback with the user after sign in and with undefined after sign out.
+ * Components attach in connectedCallback and render again in the callback.
+ * @param {function(object)} callback
+ */
+const attachAuthChange = callback => {
+  authChangeCallbacks.add(callback);
+};
+
+const detachAuthChange = callback => {
+  authChangeCallbacks.delete(callback);
+};
+
+/**
+ * Redirects to the provider to sign in, the provider redirects back to the redirect URI (by default this page).
+ * @returns {Promise<void>} rejects when sign in is not configured or the provider cannot be discovered
+ */
+const signIn = async () => {
+  const configuration = getAuthConfiguration();
+
+  if (!configuration) {
+    throw new Error("Sign in is not configured. Please set auth in the my-gh configuration");
+  }
+
+  const metadata = await discover(configuration.authority);
+  const request = Object.assign(createAuthorizationRequest(), { returnUrl: window.location.href });
+
+  writeStorage(requestStorageKey, request);
+  window.location.assign(await createAuthorizationUrl(configuration, metadata, request, configuration.redirectUri));
+};
+
+const silentRenewTimeout = 10000;
+
+/**
+ * Signs in again without user interaction: the provider answers an authorization request with prompt=none
+ * in a hidden frame, silent-renew.html hands the response back with postMessage.
+ * Fails when the provider session has ended (login_required) or no answer arrives within 10 seconds.
+ */
+const renewSilently = async (configuration, metadata) => {
+  const request = createAuthorizationRequest();
+  const url = await createAuthorizationUrl(configuration, metadata, request, configuration.silentRedirectUri, { prompt: "none" });
+  const frame = document.createElement("iframe");
+
+  const responseUrl = await new Promise((resolve, reject) => {
+    const timeout = setTimeout(() => finish(reject, new Error("The provider did not answer the silent sign in")), silentRenewTimeout);
+    const onMessage = e => {
+      if (e.origin === window.location.origin && e.source === frame.contentWindow && e.data && e.data.type === "my-gh-silent-renew") {
+        finish(resolve, new URL(e.data.url));
+      }
+    };
+    const finish = (settle, value) => {
+      clearTimeout(timeout);
+      window.removeEventListener("message", onMessage);
+      frame.remove();
+      settle(value);
+    };
+
+    window.addEventListener("message", onMessage);
+    frame.hidden = true;
+    frame.title = "silent-renew";
+    frame.src = url;
+    document.body.appendChild(frame);
+  });
+
+  const params = responseUrl.searchParams;
+  if (params.get("state") !== request.state) {
+    throw new Error("Silent sign in state does not match the request");
+  }
+  if (params.has("error")) {
+    throw new Error(params.get("error_description") || params.get("error"));
+  }
+
+  return exchangeCode(configuration, metadata, params.get("code"), request, configuration.silentRedirectUri);
+};
+
+const renewWithRefreshToken = async (configuration, metadata, current) => {
+  const tokens = await requestTokens(metadata, {
+    grant_type: "refresh_token",
+    refresh_token: current.refreshToken,
+    client_id: configuration.clientId,
+    scope: configuration.scope,
+  });
+  const claims = tokens.id_token ? decodeJWT(tokens.id_token) : undefined;
+
+  if (claims) {
+    validateIdToken(claims, metadata, configuration, undefined);
+  }
+
+  return {
+    accessToken: tokens.access_token,
+    idToken: tokens.id_token || current.idToken,
+    // providers without refresh token rotation answer without a new one
+    refreshToken: tokens.refresh_token || current.refreshToken,
+    issuedAt: Date.now(),
+    expiresAt: Date.now() + (Number(tokens.expires_in) || 300) * 1000,
+    user: claims ? createUser(Object.assign({}, current.user.claims, claims)) : current.user,
+  };
+};
+
+/**
+ * Signs in without user interaction while the user is signed in at the provider, e.g. in another tab of the site:
+ * a silent sign in in a hidden frame, so this tab gets tokens of its own.
+ * @returns {Promise<void>} rejects when sign in is not configured or the provider asks the user to sign in
+ */
+const signInSilently = async () => {
+  const configuration = getAuthConfiguration();
+
+  if (!configuration) {
+    throw new Error("Sign in is not configured. Please set auth in the my-gh configuration");
+  }
+
+  const metadata = await discover(configuration.authority);
+  const signedIn = await renewSilently(configuration, metadata);
+
+  // signed in on this page in the meantime
+  if (session) {
+    return;
+  }
+
+  setSession(signedIn);
+};
+
+/**
+ * Gets new tokens for the signed in user without leaving the page:
+ * with the refresh token when the provider issued one, otherwise with a silent sign in in a hidden frame.
+ * @returns {Promise<void>} rejects when the session cannot be renewed, the current session is kept then
+ */
+const renewSession = async () => {
+  const configuration = getAuthConfiguration();
+  const current = session;
+
+  if (!configuration || !current) {
+    throw new Error("There is no session to renew");
+  }
+
+  const metadata = await discover(configuration.authority);
+  const renewed = current.refreshToken
+    ? await renewWithRefreshToken(configuration, metadata, current)
+    : await renewSilently(configuration, metadata);
+
+  // signed out or replaced by another tab in the meantime
+  if (session !== current) {
+    return;
+  }
+
+  setSession(renewed);
+};
+
+/**
+ * Ends the session in this tab and, when the provider supports it, at the provider.
+ * @returns {Promise<void>}
+ */
+const signOut = async () => {
+  const configuration = getAuthConfiguration();
+  const idToken = session && session.idToken;
+
+  setSession(undefined);
+
+  if (!configuration) {
+    return;
+  }
+
+  let metadata;
+  try {
+    metadata = await discover(configuration.authority);
+  } catch (error) {
+    console.warn(error.message);
+    return;
+  }
+
+  if (metadata.end_session_endpoint) {
+    const url = new URL(metadata.end_session_endpoint);
+    url.search = new URLSearchParams(Object.assign({
+      client_id: configuration.clientId,
+      post_logout_redirect_uri: configuration.postLogoutRedirectUri,
+    }, idToken ? { id_token_hint: idToken } : {})).toString();
+
+    window.location.assign(url.href);
+  }
+};
+
+export {
+  attachAuthChange,
+  decodeJWT,
+  detachAuthChange,
+  getAccessToken,
+  getAuthConfiguration,
+  getSession,
+  getSignInError,
+  getUser,
+  getUserRoles,
+  hasAnyRole,
+  renewSession,
+  restoreSession,
+  signIn,
+  signInSilently,
+  signOut,
+  whenAuthReady,
+};
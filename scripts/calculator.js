@@ -0,0 +1,314 @@
+import { ApiError, HttpError, NetworkError, TimeoutError } from './api.js';
+
+/**
+ * Calculations of my-calculator, in the browser and with the calculation endpoint of the Quarkus service.
+ *
+ * Inputs are expressions, { expression: "(1 + 2) * 3" }, or operand sets, { operation: "add", operands: [1, 2, 3] }.
+ * Expressions know + - * / % ^, parentheses, the constants pi and e and the functions abs, sqrt, round, floor, ceil,
+ * min and max. The endpoint gets the input as JSON and answers with a number, { result } or the number as text.
+ */
+
+/**
+ * An input that cannot be calculated: a syntax error (position is the offset in the expression),
+ * a division by zero or a result that is not a finite number.
+ */
+class CalculationError extends Error {
+  constructor(message, position) {
+    super(position === undefined ? message : `${message} at position ${position + 1}`);
+    this.name = "CalculationError";
+    this.position = position;
+  }
+}
+
+const operations = {
+  add: { symbol: "+", apply: (a, b) => a + b },
+  subtract: { symbol: "-", apply: (a, b) => a - b },
+  multiply: { symbol: "*", apply: (a, b) => a * b },
+  divide: { symbol: "/", apply: (a, b) => divide(a, b) },
+};
+
+const constants = { pi: Math.PI, e: Math.E };
+
+const functions = {
+  abs: { arity: 1, apply: Math.abs },
+  sqrt: { arity: 1, apply: Math.sqrt },
+  round: { arity: 1, apply: Math.round },
+  floor: { arity: 1, apply: Math.floor },
+  ceil: { arity: 1, apply: Math.ceil },
+  min: { apply: Math.min },
+  max: { apply: Math.max },
+};
+
+const divide = (a, b) => {
+  if (b === 0) {
+    throw new CalculationError("Division by zero");
+  }
+  return a / b;
+};
+
+const checkResult = result => {
+  if (!isFinite(result)) {
+    throw new CalculationError("The result is not a finite number");
+  }
+  return result;
+};
+
+const tokenize = expression => {
+  const tokens = [];
+  const pattern = /\s*(?:(\d+\.?\d*(?:[eE][+-]?\d+)?|\.\d+(?:[eE][+-]?\d+)?)|([a-zA-Z]+)|(\S))/y;
+  let match;
+
+  while (pattern.lastIndex < expression.length && (match = pattern.exec(expression))) {
+    const position = match.index + match[0].length - (match[1] || match[2] || match[3] || "").length;
+
+    if (match[1]) {
+      tokens.push({ type: "number", value: Number(match[1]), position });
+    } else if (match[2]) {
+      tokens.push({ type: "name", value: match[2].toLowerCase(), position });
+    } else if (match[3]) {
+      if (!"+-*/%^(),".includes(match[3])) {
+        throw new CalculationError(`Unexpected character "${match[3]}"`, position);
+      }
+      tokens.push({ type: match[3], position });
+    }
+  }
+
+  tokens.push({ type: "end", position: expression.length });
+  return tokens;
+};
+
+/**
+ * Evaluates an expression without eval, by recursive descent:
+ * sum = product (("+" | "-") product)*, product = unary (("*" | "/" | "%") unary)*,
+ * unary = ("+" | "-") unary | power, power = primary ("^" unary)?, so -2^2 is -4 and 2^3^2 is 512.
+ * @param {string} expression
+ * @returns {number}
+ */
+const evaluateExpression = expression => {
+  const tokens = tokenize(`${expression}`);
+  let index = 0;
+
+  const peek = () => tokens[index];
+  const next = () => tokens[index++];
+  const expect = type => {
+    const token = next();
+    if (token.type !== type) {
+      throw new CalculationError(token.type === "end" ? `Missing "${type}"` : `Expected "${type}"`, token.position);
+    }
+    return token;
+  };
+
+  let sum;
+
+  const primary = () => {
+    const token = next();
+
+    if (token.type === "number") {
+      return token.value;
+    }
+    if (token.type === "(") {
+      const value = sum();
+      expect(")");
+      return value;
+    }
+    if (token.type === "name" && Object.prototype.hasOwnProperty.call(constants, token.value)) {
+      return constants[token.value];
+    }
+    if (token.type === "name" && Object.prototype.hasOwnProperty.call(functions, token.value)) {
+      const fn = functions[token.value];
+      const args = [];
+
+      expect("(");
+      if (peek().type !== ")") {
+        args.push(sum());
+        while (peek().type === ",") {
+          next();
+          args.push(sum());
+        }
+      }
+      expect(")");
+
+      if ((fn.arity !== undefined && args.length !== fn.arity) || !args.length) {
+        throw new CalculationError(`${token.value} expects ${fn.arity || "at least one"} argument${fn.arity === 1 ? "" : "s"}`, token.position);
+      }
+      return fn.apply(...args);
+    }
+    if (token.type === "name") {
+      throw new CalculationError(`Unknown name "${token.value}"`, token.position);
+    }
+
+    throw new CalculationError(token.type === "end" ? "Incomplete expression" : `Unexpected "${token.type}"`, token.position);
+  };
+
+  let unary;
+
+  const power = () => {
+    const base = primary();
+
+    if (peek().type === "^") {
+      next();
+      return base ** unary();
+    }
+    return base;
+  };
+
+  unary = () => {
+    if (peek().type === "-") {
+      next();
+      return -unary();
+    }
+    if (peek().type === "+") {
+      next();
+      return unary();
+    }
+    return power();
+  };
+
+  const product = () => {
+    let value = unary();
+
+    while (["*", "/", "%"].includes(peek().type)) {
+      const operator = next().type;
+      const operand = unary();
+
+      if (operator === "*") {
+        value *= operand;
+      } else if (operator === "/") {
+        value = divide(value, operand);
+      } else {
+        if (operand === 0) {
+          throw new CalculationError("Division by zero");
+        }
+        value %= operand;
+      }
+    }
+    return value;
+  };
+
+  sum = () => {
+    let value = product();
+
+    while (["+", "-"].includes(peek().type)) {
+      value = next().type === "+" ? value + product() : value - product();
+    }
+    return value;
+  };
+
+  if (peek().type === "end") {
+    throw new CalculationError("Empty expression");
+  }
+
+  const result = sum();
+
+  if (peek().type !== "end") {
+    throw new CalculationError(`Unexpected "${peek().type === "number" || peek().type === "name" ? peek().value : peek().type}"`, peek().position);
+  }
+
+  return checkResult(result);
+};
+
+/**
+ * Applies an operation to operands from left to right: subtract of [10, 2, 3] is 10 - 2 - 3.
+ * @param {string} operation add, subtract, multiply or divide
+ * @param {number[]} operands
+ * @returns {number}
+ */
+const calculateOperands = (operation, operands) => {
+  if (!operations[operation]) {
+    throw new CalculationError(`Unknown operation "${operation}"`);
+  }
+  if (!Array.isArray(operands) || !operands.length || operands.some(operand => typeof operand !== "number" || !isFinite(operand))) {
+    throw new CalculationError("Operands must be a list of numbers");
+  }
+
+  return checkResult(operands.reduce((result, operand) => operations[operation].apply(result, operand)));
+};
+
+/**
+ * Calculates an input in the browser.
+ * @param {{ expression: string }|{ operation: string, operands: number[] }} input
+ * @returns {number}
+ */
+const calculateLocally = input => (input.expression !== undefined
+  ? evaluateExpression(input.expression)
+  : calculateOperands(input.operation, input.operands));
+
+/**
+ * Reads operands like "1, 2.5; -3" or "1 2 3".
+ * @param {string} text
+ * @returns {number[]} NaN for entries that are not numbers
+ */
+const parseOperands = text => `${text}`.split(/[\s,;]+/).filter(Boolean).map(Number);
+
+/**
+ * Returns an input as text: the expression, or the operands joined by the symbol of the operation.
+ * @param {object} input
+ * @returns {string}
+ */
+const formatInput = input => (input.expression !== undefined
+  ? `${input.expression}`.trim()
+  : input.operands.join(` ${operations[input.operation] ? operations[input.operation].symbol : input.operation} `));
+
+/**
+ * Sends an input to the calculation endpoint.
+ * @param {object} client createApiClient
+ * @param {string} path of the endpoint
+ * @param {object} input
+ * @returns {Promise<number>} rejects with the ApiError, or a CalculationError for an answer without a number
+ */
+const calculateRemotely = async (client, path, input) => {
+  const body = await client.post(path, input);
+  const result = body && typeof body === "object" ? body.result : body;
+  const number = typeof result === "string" && result.trim() ? Number(result) : result;
+
+  if (typeof number !== "number" || isNaN(number)) {
+    throw new CalculationError(`Unexpected answer ${JSON.stringify(body)}`);
+  }
+
+  return number;
+};
+
+/**
+ * Tells whether an error of calculateRemotely means the backend is not reachable (or not configured),
+ * so calculating locally is a fallback. Errors about the input and unreadable answers are not.
+ * @param {Error} error
+ * @returns {boolean}
+ */
+const isUnreachable = error => error instanceof NetworkError
+  || error instanceof TimeoutError
+  || (error instanceof HttpError && [404, 502, 503, 504].includes(error.status))
+  // the client throws a plain ApiError only for a backend that is not configured
+  || (!!error && error.constructor === ApiError);
+
+/**
+ * Returns the reason of a failed calculation, the detail of the backend when it sends one
+ * ({ detail } of Quarkus and RFC 7807 problems).
+ * @param {Error} error
+ * @returns {string}
+ */
+const describeError = error => (error instanceof HttpError && error.body && typeof error.body.detail === "string"
+  ? error.body.detail
+  : error.message);
+
+/**
+ * Compares two results, relative to their size for large numbers.
+ * @param {number} a
+ * @param {number} b
+ * @param {number} tolerance
+ * @returns {boolean}
+ */
+const resultsMatch = (a, b, tolerance) => Math.abs(a - b) <= tolerance * Math.max(1, Math.abs(a), Math.abs(b));
+
+export {
+  CalculationError,
+  calculateLocally,
+  calculateOperands,
+  calculateRemotely,
+  describeError,
+  evaluateExpression,
+  formatInput,
+  isUnreachable,
+  operations,
+  parseOperands,
+  resultsMatch,
+};
@@ -0,0 +1,125 @@
+import { getConfigurationSection } from './runtime.js';
+
+/**
+ * Settings of our components, read from the "my-gh" section of the configuration script,
+ * next to the settings of the UI5 components:
+ *
+ * <script data-id="sap-ui-config" type="application/json">
+ * {
+ *   "theme": "sap_fiori_3",
+ *   "my-gh": {
+ *     "title": "My Cloud Playground",
+ *     "logo": "logo.png",
+ *     "baseUrl": "/mycloudplayground/",
+ *     "navigation": [{ "label": "Infosources", "url": "infosources.html" }],
+ *     "backends": { "calculator": "https://calculator.example.com/api/" },
+ *     "notifications": { "feed": "notifications.json", "interval": 300 },
+ *     "auth": { "authority": "https://keycloak.example.com/realms/demo", "clientId": "my-gh" },
+ *     "features": { "search": true, "themes": true, "languages": true, "density": true, "notifications": true, "health": true }
+ *   }
+ * }
+ * </script>
+ *
+ * All entries are optional. The Jekyll layout generates the section from my_gh in _config.yml.
+ */
+
+const configurationSection = "my-gh";
+
+const isObject = value => !!value && typeof value === "object" && !Array.isArray(value);
+
+const defaultNotificationInterval = 300;
+
+const readNotifications = notifications => {
+  if (!isObject(notifications) || typeof notifications.feed !== "string" || !notifications.feed) {
+    return;
+  }
+
+  const interval = Number(notifications.interval);
+  return { feed: notifications.feed, interval: interval > 0 ? interval : defaultNotificationInterval };
+};
+
+let appConfiguration;
+
+const readAppConfiguration = () => {
+  const section = getConfigurationSection(configurationSection);
+
+  if (section !== undefined && section !== null && !isObject(section)) {
+    console.warn(`Incorrect ${configurationSection} configuration format. Please use an object`);
+  }
+
+  const {
+    title, logo, baseUrl, navigation, backends, notifications, auth, features,
+  } = isObject(section) ? section : {};
+
+  if (navigation !== undefined && navigation !== null && !Array.isArray(navigation)) {
+    console.warn(`Incorrect ${configurationSection} navigation format. Please use an array of entries`);
+  }
+
+  return {
+    title: typeof title === "string" && title ? title : undefined,
+    logo: typeof logo === "string" && logo ? logo : undefined,
+    baseUrl: typeof baseUrl === "string" && baseUrl ? baseUrl : undefined,
+    navigation: Array.isArray(navigation) ? navigation.filter(item => item && item.label && item.url) : undefined,
+    backends: isObject(backends) ? backends : {},
+    notifications: readNotifications(notifications),
+    auth: isObject(auth) ? auth : undefined,
+    features: isObject(features) ? features : {},
+  };
+};
+
+/**
+ * Returns the "my-gh" section of the configuration script with the entries that are not set left undefined
+ * (title, logo, baseUrl, navigation, notifications, auth) or empty (backends, features).
+ * The notification interval is in seconds, 300 when not set.
+ * @returns {{ title: string, logo: string, baseUrl: string, navigation: object[], backends: Object<string, string>,
+ *   notifications: { feed: string, interval: number }, auth: object, features: Object<string, boolean> }}
+ *   auth is described in auth.js
+ */
+const getAppConfiguration = () => {
+  if (!appConfiguration) {
+    appConfiguration = readAppConfiguration();
+  }
+
+  return appConfiguration;
+};
+
+/**
+ * Returns the site base as an absolute URL ending with "/".
+ * Taken from baseUrl (the base-url attribute of the header), then from the configuration (the layout passes the Jekyll site.baseurl),
+ * then from a <base> tag, then the domain root.
+ * @param {string} [baseUrl]
+ * @returns {string}
+ */
+const getSiteBase = baseUrl => {
+  const baseElement = document.querySelector("base[href]");
+  const base = baseUrl || getAppConfiguration().baseUrl || (baseElement && baseElement.href) || "/";
+  const href = new URL(base, window.location.href).href;
+
+  return href.endsWith("/") ? href : `${href}/`;
+};
+
+/**
+ * Returns the base URL of a backend, resolved against the site base and ending with "/",
+ * so relative paths can be appended: new URL("calculate", getBackendUrl("calculator")).
+ * @param {string} name key in backends
+ * @returns {string|undefined} undefined when the backend is not configured
+ */
+const getBackendUrl = name => {
+  const url = getAppConfiguration().backends[name];
+
+  if (typeof url !== "string" || !url) {
+    return;
+  }
+
+  const href = new URL(url, getSiteBase()).href;
+  return href.endsWith("/") ? href : `${href}/`;
+};
+
+/**
+ * Features are switched on unless the configuration sets them to false.
+ * @param {string} name key in features
+ * @returns {boolean}
+ */
+const isFeatureEnabled = name => getAppConfiguration().features[name] !== false;
+
+export { getAppConfiguration, getBackendUrl, getSiteBase, isFeatureEnabled };
@@ -0,0 +1,422 @@
+import { LitElement, getCompactSize, html } from './runtime.js';
+import { createApiClient } from './api.js';
+import { attachDensityChange, detachDensityChange } from './density.js';
+import { attachLanguageChange, detachLanguageChange, fetchI18nBundle, getI18nBundle } from './i18n.js';
+import {
+  CRUD_CANCEL, CRUD_DELETE, CRUD_DELETE_CONFIRM, CRUD_DELETE_ERROR, CRUD_VALUE_INVALID, CRUD_VALUE_REQUIRED,
+  CRUD_VALUE_TOO_LARGE, CRUD_VALUE_TOO_LONG, CRUD_VALUE_TOO_SHORT, CRUD_VALUE_TOO_SMALL,
+} from './i18n-defaults.js';
+
+/**
+ * Shared state of my-crud-list, my-crud-form and my-crud-detail.
+ * Components with the same client (or backend) and path share one store, so an entry selected in the list
+ * is shown by the detail and edited by the form, and saved entries show up in the list without reloading.
+ *
+ * Fields describe the properties of the entries, for the form and the detail:
+ * { name, label, type, required, minLength, maxLength, min, max, pattern, options, placeholder }
+ * type is "text" (default), "textarea", "number", "email", "url", "date", "boolean" or "choice"
+ * (options: values or { value, text }). A pattern text has to match the whole value, a RegExp any part of it.
+ */
+
+const backendClients = new Map();
+
+const stores = new WeakMap();
+
+const getBackendClient = backend => {
+  if (!backendClients.has(backend)) {
+    backendClients.set(backend, createApiClient({ backend }));
+  }
+
+  return backendClients.get(backend);
+};
+
+/**
+ * Creates the state of one REST collection: { items, loading, error, loaded, selectedId, mode }.
+ * mode is "display", "create" (the form creates a new entry) or "edit" (the form edits the selected one).
+ * @param {object} client createApiClient or createMemoryApiClient
+ * @param {string} path of the collection, entries are at path/id
+ * @param {string} idProperty
+ */
+const createCrudStore = (client, path, idProperty) => {
+  const changeCallbacks = new Set();
+  const entryPath = id => `${path.replace(/\/+$/, "")}/${encodeURIComponent(id)}`;
+
+  const store = {
+    items: [],
+    loading: false,
+    loaded: false,
+    error: undefined,
+    selectedId: undefined,
+    mode: "display",
+
+    getId: item => (item ? String(item[idProperty]) : undefined),
+
+    getItem: id => store.items.find(item => store.getId(item) === id),
+
+    getSelected: () => store.getItem(store.selectedId),
+
+    /**
+     * Loads the entries, an error is kept in error.
+     * @returns {Promise<void>}
+     */
+    load: async () => {
+      update({ loading: true });
+
+      try {
+        const items = await client.get(path);
+        update({
+          items: Array.isArray(items) ? items : [], error: undefined, loading: false, loaded: true,
+        });
+      } catch (error) {
+        update({ error, loading: false, loaded: true });
+      }
+
+      if (store.selectedId !== undefined && !store.getSelected()) {
+        update({ selectedId: undefined, mode: "display" });
+      }
+    },
+
+    select: id => update({ selectedId: id, mode: "display" }),
+
+    create: () => update({ mode: "create" }),
+
+    edit: (id = store.selectedId) => update({ selectedId: id, mode: "edit" }),
+
+    cancel: () => update({ mode: "display" }),
+
+    /**
+     * Creates a new entry (mode "create") or replaces the selected one (mode "edit") and selects it.
+     * @param {object} values of the fields, merged into the selected entry
+     * @returns {Promise<object>} the entry returned by the backend, rejects with the ApiError
+     */
+    save: async values => {
+      const creating = store.mode === "create";
+      const saved = creating
+        ? await client.post(path, values)
+        : await client.put(entryPath(store.selectedId), Object.assign({}, store.getSelected(), values));
+      const id = store.getId(saved);
+
+      update({
+        items: creating ? store.items.concat(saved) : store.items.map(item => (store.getId(item) === id ? saved : item)),
+        selectedId: id,
+        mode: "display",
+      });
+
+      return saved;
+    },
+
+    /**
+     * Deletes an entry.
+     * @param {string} id
+     * @returns {Promise<void>} rejects with the ApiError
+     */
+    remove: async id => {
+      await client.delete(entryPath(id));
+
+      update({
+        items: store.items.filter(item => store.getId(item) !== id),
+        selectedId: store.selectedId === id ? undefined : store.selectedId,
+        mode: store.selectedId === id ? "display" : store.mode,
+      });
+    },
+
+    attach: callback => {
+      changeCallbacks.add(callback);
+    },
+    detach: callback => {
+      changeCallbacks.delete(callback);
+    },
+  };
+
+  const update = changes => {
+    Object.assign(store, changes);
+    changeCallbacks.forEach(callback => callback(store));
+  };
+
+  return store;
+};
+
+/**
+ * Returns the store of a collection, the same one for the same client, path and idProperty.
+ * @param {object} client
+ * @param {string} path
+ * @param {string} [idProperty="id"]
+ */
+const getCrudStore = (client, path, idProperty = "id") => {
+  if (!stores.has(client)) {
+    stores.set(client, new Map());
+  }
+
+  const key = `${idProperty} ${path}`;
+  const clientStores = stores.get(client);
+
+  if (!clientStores.has(key)) {
+    clientStores.set(key, createCrudStore(client, path, idProperty));
+  }
+
+  return clientStores.get(key);
+};
+
+const capitalize = text => text.charAt(0).toUpperCase() + text.slice(1);
+
+/**
+ * Completes field descriptions: strings become text fields, labels default to the name.
+ * Without fields, the properties of the first entry are used, except the id.
+ * @param {Array<object|string>} fields
+ * @param {object[]} items
+ * @param {string} idProperty
+ * @returns {object[]}
+ */
+const normalizeFields = (fields, items, idProperty) => {
+  const entries = Array.isArray(fields) && fields.length
+    ? fields
+    : Object.keys(items[0] || {}).filter(name => name !== idProperty);
+
+  return entries
+    .map(field => (typeof field === "string" ? { name: field } : field))
+    .filter(field => field && field.name)
+    .map(field => Object.assign({ type: "text", label: capitalize(field.name) }, field, {
+      options: (field.options || []).map(option => (option && typeof option === "object" ? option : { value: option, text: `${option}` })),
+    }));
+};
+
+const isEmpty = value => value === undefined || value === null || value === "" || value === false;
+
+const isValidValue = (type, value) => {
+  switch (type) {
+    case "number":
+      return typeof value === "number" && isFinite(value);
+    case "email":
+      return /^[^\s@]+@[^\s@]+$/.test(value);
+    case "url":
+      try {
+        return /^https?:$/.test(new URL(value).protocol);
+      } catch (e) {
+        return false;
+      }
+    case "date":
+      return /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(new Date(value));
+    default:
+      return true;
+  }
+};
+
+/**
+ * Checks a value against its field description.
+ * @param {object} field normalized field
+ * @param {*} value
+ * @returns {Array|undefined} text and parameters for i18nBundle.getText, undefined when the value is valid
+ */
+const validateField = (field, value) => {
+  if (isEmpty(value)) {
+    return field.required ? [CRUD_VALUE_REQUIRED] : undefined;
+  }
+  const pattern = field.pattern instanceof RegExp ? field.pattern : field.pattern && new RegExp(`^(?:${field.pattern})$`);
+
+  if (!isValidValue(field.type, value) || (pattern && !pattern.test(value))) {
+    return [CRUD_VALUE_INVALID];
+  }
+  if (field.type === "choice" && field.options.length && !field.options.some(option => option.value === value)) {
+    return [CRUD_VALUE_INVALID];
+  }
+  if (typeof value === "string" && field.minLength !== undefined && value.length < field.minLength) {
+    return [CRUD_VALUE_TOO_SHORT, field.minLength];
+  }
+  if (typeof value === "string" && field.maxLength !== undefined && value.length > field.maxLength) {
+    return [CRUD_VALUE_TOO_LONG, field.maxLength];
+  }
+  if (field.min !== undefined && value < field.min) {
+    return [CRUD_VALUE_TOO_SMALL, field.min];
+  }
+  if (field.max !== undefined && value > field.max) {
+    return [CRUD_VALUE_TOO_LARGE, field.max];
+  }
+};
+
+/**
+ * Reads the messages by field of a rejected save: the violations of Quarkus (Hibernate Validator)
+ * { violations: [{ field: "create.item.name", message }] } or { errors: { name: message } }.
+ * @param {Error} error
+ * @returns {Object<string, string>}
+ */
+const getViolations = error => {
+  const body = error && error.body;
+  const violations = {};
+
+  if (body && Array.isArray(body.violations)) {
+    body.violations
+      .filter(violation => violation && violation.field)
+      .forEach(violation => {
+        violations[violation.field.split(".").pop()] = violation.message;
+      });
+  } else if (body && body.errors && typeof body.errors === "object") {
+    Object.keys(body.errors).forEach(name => {
+      violations[name] = [].concat(body.errors[name]).join(" ");
+    });
+  }
+
+  return violations;
+};
+
+/**
+ * Base class of the CRUD components: the store of client (or backend) and path, fields, texts and density.
+ * The store is loaded by the first component that shows it.
+ */
+class CrudElement extends LitElement {
+
+  static get properties() {
+    return {
+      backend: { type: String },
+      path: { type: String },
+      client: { type: Object, attribute: false },
+      idProperty: { type: String, attribute: 'id-property' },
+      titleProperty: { type: String, attribute: 'title-property' },
+      fields: { type: Array },
+      _deleteId: { type: String, attribute: false },
+      _deleteError: { type: String, attribute: false }
+    };
+  }
+
+  constructor() {
+    super();
+    this.backend = '';
+    this.path = '';
+    this.client = undefined;
+    this.idProperty = 'id';
+    this.titleProperty = 'name';
+    this.fields = [];
+    this._deleteId = undefined;
+    this._deleteError = '';
+    this.store = undefined;
+    this._onSettingsChange = () => this.requestUpdate();
+    this._onStoreChange = () => this.requestUpdate();
+    this.i18nBundle = getI18nBundle("my-gh");
+  }
+
+  connectedCallback() {
+    super.connectedCallback();
+    attachLanguageChange(this._onSettingsChange);
+    attachDensityChange(this._onSettingsChange);
+    fetchI18nBundle("my-gh").then(this._onSettingsChange);
+
+    if (this.store) {
+      this.store.attach(this._onStoreChange);
+    }
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+    detachLanguageChange(this._onSettingsChange);
+    detachDensityChange(this._onSettingsChange);
+
+    if (this.store) {
+      this.store.detach(this._onStoreChange);
+    }
+  }
+
+  update(changedProperties) {
+    if (['client', 'backend', 'path', 'idProperty'].some(name => changedProperties.has(name))) {
+      this.connectStore();
+    }
+
+    super.update(changedProperties);
+  }
+
+  updated() {
+    this.toggleAttribute('data-ui5-compact-size', getCompactSize());
+  }
+
+  connectStore() {
+    const client = this.client || (this.backend ? getBackendClient(this.backend) : undefined);
+    const store = client && this.path ? getCrudStore(client, this.path, this.idProperty) : undefined;
+
+    if (store === this.store) {
+      return;
+    }
+
+    if (this.store) {
+      this.store.detach(this._onStoreChange);
+    }
+
+    this.store = store;
+
+    if (store) {
+      store.attach(this._onStoreChange);
+      if (!store.loaded && !store.loading) {
+        store.load();
+      }
+    }
+  }
+
+  getFields() {
+    return normalizeFields(this.fields, this.store ? this.store.items : [], this.idProperty);
+  }
+
+  getTitle(item) {
+    return item ? `${item[this.titleProperty] !== undefined ? item[this.titleProperty] : item[this.idProperty]}` : '';
+  }
+
+  /**
+   * Asks to confirm deleting an entry in a popover next to opener.
+   * @param {HTMLElement} opener
+   * @param {string} id
+   */
+  requestDelete(opener, id) {
+    this._deleteId = id;
+    this._deleteError = '';
+    this.shadowRoot.getElementById('delete-popover').openBy(opener);
+  }
+
+  closeDelete() {
+    this._deleteId = undefined;
+    this.shadowRoot.getElementById('delete-popover').close();
+  }
+
+  /**
+   * Deletes the entry to confirm and fires "delete" (detail: { item }), an error stays in the popover.
+   */
+  async confirmDelete() {
+    const item = this.store.getItem(this._deleteId);
+
+    try {
+      await this.store.remove(this._deleteId);
+      this.closeDelete();
+      this.dispatchEvent(new CustomEvent('delete', { detail: { item }, bubbles: true, composed: true }));
+    } catch (error) {
+      this._deleteError = this.i18nBundle.getText(CRUD_DELETE_ERROR, error.message);
+    }
+  }
+
+  renderDeletePopover() {
+    const item = this.store && this._deleteId !== undefined ? this.store.getItem(this._deleteId) : undefined;
+
+    return html`
+    <ui5-popover id="delete-popover" placement-type="Bottom" header-text="${this.i18nBundle.getText(CRUD_DELETE)}"
+      @afterClose="${() => { this._deleteId = undefined; }}">
+      <p class="delete-text">${this.i18nBundle.getText(CRUD_DELETE_CONFIRM, this.getTitle(item))}</p>
+      ${this._deleteError ? html`<p class="error" role="alert">${this._deleteError}</p>` : ''}
+      <div slot="footer" class="popover-actions">
+        <ui5-button design="Negative" @press="${this.confirmDelete}">${this.i18nBundle.getText(CRUD_DELETE)}</ui5-button>
+        <ui5-button design="Transparent" @press="${this.closeDelete}">${this.i18nBundle.getText(CRUD_CANCEL)}</ui5-button>
+      </div>
+    </ui5-popover>
+    `;
+  }
+
+}
+
+/**
+ * Styles of the delete popover, errors and toolbars, rendered by each of the components.
+ */
+const crudStyles = html`
+  <style>
+  .delete-text { margin: 1rem; max-width: 20rem; }
+  .error { color: var(--sapUiNegativeText, var(--sapNegativeTextColor, #b00)); margin: 0.5rem 1rem; }
+  .popover-actions { display: flex; justify-content: flex-end; gap: 0.5rem; padding: 0.5rem; }
+  .toolbar { display: flex; align-items: center; justify-content: space-between; gap: 0.5rem; }
+  </style>
+`;
+
+export {
+  CrudElement, createCrudStore, crudStyles, getCrudStore, getViolations, normalizeFields, validateField,
+};
@@ -0,0 +1,95 @@
+import { RenderScheduler, getCompactSize, setCompactSize } from './runtime.js';
+import { DENSITY_COMPACT, DENSITY_COZY } from './i18n-defaults.js';
+
+/**
+ * Content density of the page: cozy (default, sized for touch) or compact (sized for mouse and keyboard,
+ * so dashboards with many panels fit on one screen).
+ * UI5 components and our components get the data-ui5-compact-size attribute,
+ * the page gets the sapUiSizeCompact class on the html element for the layout styles.
+ */
+
+/**
+ * Densities offered by the density menu of my-gh-header, text is the translatable label.
+ */
+const densities = [
+  { name: "cozy", text: DENSITY_COZY },
+  { name: "compact", text: DENSITY_COMPACT },
+];
+
+const isKnownDensity = name => densities.some(density => density.name === name);
+
+const densityStorageKey = "my-gh-density";
+
+const densityChangeCallbacks = new Set();
+
+const getDensity = () => (getCompactSize() ? "compact" : "cozy");
+
+const readStoredDensity = () => {
+  try {
+    const density = window.localStorage.getItem(densityStorageKey);
+    return isKnownDensity(density) ? density : undefined;
+  } catch (e) {
+    // storage can be disabled (private mode, cookie settings)
+    return;
+  }
+};
+
+const writeStoredDensity = density => {
+  try {
+    window.localStorage.setItem(densityStorageKey, density);
+  } catch (e) {
+    // not persisted, the density still changes for this page
+  }
+};
+
+const applyDensityClass = () => {
+  document.documentElement.classList.toggle("sapUiSizeCompact", getCompactSize());
+};
+
+/**
+ * Calls callback with "cozy" or "compact" when the density changes.
+ * Components attach in connectedCallback and render again in the callback.
+ * @param {function(string)} callback
+ */
+const attachDensityChange = callback => {
+  densityChangeCallbacks.add(callback);
+};
+
+const detachDensityChange = callback => {
+  densityChangeCallbacks.delete(callback);
+};
+
+/**
+ * Switches the density of the page and all components and remembers it for the next pages.
+ * @param {string} density "cozy" or "compact"
+ * @returns {Promise<void>}
+ */
+const changeDensity = async density => {
+  if (!isKnownDensity(density)) {
+    console.warn(`Unknown density ${density}. Please use one of ${densities.map(entry => entry.name).join(", ")}`);
+    return;
+  }
+
+  writeStoredDensity(density);
+
+  if (density === getDensity()) {
+    return;
+  }
+
+  setCompactSize(density === "compact");
+  applyDensityClass();
+  densityChangeCallbacks.forEach(callback => callback(density));
+  await RenderScheduler.reRenderAllUI5Elements();
+};
+
+// a sap-ui-compactSize URL parameter wins over the stored choice
+const storedDensity = readStoredDensity();
+if (storedDensity && !new URLSearchParams(window.location.search).has("sap-ui-compactSize")) {
+  setCompactSize(storedDensity === "compact");
+}
+
+applyDensityClass();
+
+export {
+  attachDensityChange, changeDensity, densities, detachDensityChange, getDensity,
+};
@@ -0,0 +1,78 @@
+import { RenderScheduler, getEffectiveRTL, getRTL, setRTL } from './runtime.js';
+import { attachLanguageChange } from './i18n.js';
+
+/**
+ * Keeps the text direction of the page and of all components in sync with the configuration:
+ * the sap-ui-rtl URL parameter or config script, otherwise the dir attribute of the page (set by the layout),
+ * otherwise the language (ar, fa and he are written right to left).
+ */
+
+const directionChangeCallbacks = new Set();
+
+const parseRTLParameter = value => {
+  if (value === null) {
+    return null;
+  }
+
+  return value.toLowerCase() === "true";
+};
+
+/**
+ * Sets dir on the document, our components and the page inherit it,
+ * and renders the UI5 components again as they set dir on their own elements.
+ * @returns {Promise<void>}
+ */
+const applyDirection = async () => {
+  const dir = getEffectiveRTL() ? "rtl" : "ltr";
+
+  if (document.documentElement.dir === dir) {
+    return;
+  }
+
+  document.documentElement.dir = dir;
+  directionChangeCallbacks.forEach(callback => callback(dir));
+  await RenderScheduler.reRenderAllUI5Elements();
+};
+
+/**
+ * Calls callback with "ltr" or "rtl" when the direction changes.
+ * Only components that compute something from the direction need it, the others inherit dir.
+ * @param {function(string)} callback
+ */
+const attachDirectionChange = callback => {
+  directionChangeCallbacks.add(callback);
+};
+
+const detachDirectionChange = callback => {
+  directionChangeCallbacks.delete(callback);
+};
+
+/**
+ * Switches the text direction at runtime.
+ * @param {boolean|null} rtl null derives the direction from the language again
+ * @returns {Promise<void>}
+ */
+const changeDirection = rtl => {
+  setRTL(rtl);
+  return applyDirection();
+};
+
+// the layout can set dir from the front matter, the URL parameter still wins
+if (getRTL() === null && document.documentElement.hasAttribute("dir")) {
+  setRTL(document.documentElement.dir === "rtl");
+}
+
+applyDirection();
+
+// direction derived from the language
+attachLanguageChange(applyDirection);
+
+// history navigation to an address with a different sap-ui-rtl parameter
+window.addEventListener("popstate", () => {
+  const rtl = parseRTLParameter(new URLSearchParams(window.location.search).get("sap-ui-rtl"));
+  if (rtl !== null) {
+    changeDirection(rtl);
+  }
+});
+
+export { applyDirection, attachDirectionChange, changeDirection, detachDirectionChange };
@@ -0,0 +1,116 @@
+import { renderMarkdown } from './markdown.js';
+
+/**
+ * Elements kept in a loaded fragment, by localName (tagName is lowercase for svg and math). Unknown elements
+ * are replaced by their content, the ones in droppedElements are removed together with their content.
+ */
+const allowedElements = new Set([
+  "a", "b", "blockquote", "br", "code", "del", "div", "em", "h1", "h2", "h3", "h4", "h5", "h6",
+  "hr", "i", "img", "li", "ol", "p", "pre", "span", "strong", "table", "tbody", "td", "th", "thead", "tr", "ul",
+]);
+
+const droppedElements = new Set([
+  "script", "style", "iframe", "object", "embed", "template", "form", "noscript", "svg", "math",
+]);
+
+const allowedAttributes = new Set(["href", "src", "alt", "title", "colspan", "rowspan", "align", "start", "class"]);
+
+const urlAttributes = new Set(["href", "src"]);
+
+const allowedProtocols = new Set(["http:", "https:", "mailto:"]);
+
+const resolveFragmentUrl = (value, baseUrl) => {
+  if (value.startsWith("#")) {
+    return value;
+  }
+
+  try {
+    const url = new URL(value, baseUrl);
+    return allowedProtocols.has(url.protocol) ? url.href : undefined;
+  } catch (e) {
+    return;
+  }
+};
+
+const sanitizeNode = (node, baseUrl) => {
+  Array.from(node.childNodes).forEach(child => {
+    if (child.nodeType === Node.TEXT_NODE) {
+      return;
+    }
+
+    if (child.nodeType !== Node.ELEMENT_NODE || droppedElements.has(child.localName)) {
+      child.remove();
+      return;
+    }
+
+    sanitizeNode(child, baseUrl);
+
+    if (!allowedElements.has(child.localName)) {
+      child.replaceWith(...child.childNodes);
+      return;
+    }
+
+    Array.from(child.attributes).forEach(({ name, value }) => {
+      if (!allowedAttributes.has(name)) {
+        child.removeAttribute(name);
+      } else if (urlAttributes.has(name)) {
+        const url = resolveFragmentUrl(value.trim(), baseUrl);
+        if (url === undefined) {
+          child.removeAttribute(name);
+        } else {
+          child.setAttribute(name, url);
+        }
+      }
+    });
+
+    const href = child.localName === "a" && child.getAttribute("href");
+    if (href && !href.startsWith("#") && new URL(href).origin !== window.location.origin) {
+      child.setAttribute("rel", "noopener");
+    }
+  });
+};
+
+/**
+ * Parses an HTML string into a detached element that keeps only harmless markup:
+ * a fixed set of text elements and attributes, no scripts, styles or event handlers.
+ * Relative links and images are resolved against baseUrl (the address of the fragment),
+ * other schemes than http(s) and mailto are removed.
+ * @param {string} html
+ * @param {string} baseUrl
+ * @returns {HTMLElement}
+ */
+const sanitizeHtml = (html, baseUrl = window.location.href) => {
+  // a parsed document is inert: scripts do not run and images are not loaded until adopted
+  const doc = new DOMParser().parseFromString(`<!doctype html><body>${html}`, "text/html");
+  const container = document.createElement("div");
+
+  sanitizeNode(doc.body, baseUrl);
+  container.append(...Array.from(doc.body.childNodes).map(node => document.adoptNode(node)));
+
+  return container;
+};
+
+const isMarkdown = (url, contentType) => /\.(md|markdown)$/i.test(new URL(url).pathname)
+  || /^text\/(x-)?markdown/i.test(contentType || "");
+
+/**
+ * Fetches a Markdown (.md, .markdown or text/markdown) or HTML fragment and returns it sanitized.
+ * Rejects when the request fails or the server does not answer with a 2xx status.
+ * @param {string} src fragment address, relative to the page
+ * @returns {Promise<HTMLElement>}
+ */
+const loadFragment = async src => {
+  const url = new URL(src, window.location.href).href;
+  const response = await fetch(url, { headers: { Accept: "text/markdown, text/html;q=0.9, */*;q=0.1" } });
+
+  if (!response.ok) {
+    throw new Error(`${response.status} ${response.statusText}`.trim());
+  }
+
+  const text = await response.text();
+  const html = isMarkdown(url, response.headers.get("Content-Type")) ? renderMarkdown(text) : text;
+
+  return sanitizeHtml(html, response.url || url);
+};
+
+export { loadFragment, sanitizeHtml };
@@ -0,0 +1,198 @@
+import { HttpError } from './api.js';
+
+/**
+ * Health of backends from their MicroProfile Health endpoints (Quarkus: /q/health/live and /q/health/ready,
+ * /health/live and /health/ready before Quarkus 1.11), polled by my-health-panel:
+ * { "status": "UP", "checks": [{ "name": "Database connections health check", "status": "UP", "data": {} }] }
+ * A backend that is DOWN answers 503 with the same content.
+ *
+ * The panels report their overall status here, my-gh-header shows the worst one as a status dot.
+ */
+
+const healthStatuses = {
+  UP: "UP",
+  DOWN: "DOWN",
+  // the endpoint could not be reached or did not answer with health content
+  UNKNOWN: "UNKNOWN",
+};
+
+/**
+ * Value states of the statuses, for the colors of list items and icons.
+ */
+const healthValueStates = {
+  UP: "Success",
+  DOWN: "Error",
+  UNKNOWN: "Warning",
+};
+
+const statusOrder = [healthStatuses.UP, healthStatuses.UNKNOWN, healthStatuses.DOWN];
+
+/**
+ * Returns the worst of statuses: DOWN before UNKNOWN before UP, UNKNOWN when there are none.
+ * @param {string[]} statuses
+ * @returns {string}
+ */
+const getWorstStatus = statuses => (statuses.length
+  ? statusOrder[Math.max(...statuses.map(status => Math.max(0, statusOrder.indexOf(status))))]
+  : healthStatuses.UNKNOWN);
+
+const readStatus = status => (status === healthStatuses.UP || status === healthStatuses.DOWN ? status : healthStatuses.UNKNOWN);
+
+/**
+ * Reads the answer of a health endpoint.
+ * @param {object} body
+ * @returns {{ status: string, checks: { name: string, status: string, data: object }[] }|undefined}
+ *   undefined for content that is not MicroProfile Health
+ */
+const parseHealth = body => {
+  if (!body || typeof body !== "object" || typeof body.status !== "string") {
+    return;
+  }
+
+  return {
+    status: readStatus(body.status),
+    checks: (Array.isArray(body.checks) ? body.checks : [])
+      .filter(check => check && check.name)
+      .map(check => ({ name: `${check.name}`, status: readStatus(check.status), data: check.data || {} })),
+  };
+};
+
+/**
+ * Fetches one health endpoint.
+ * @param {object} client createApiClient, without retries so a DOWN answer is not repeated
+ * @param {string} path
+ * @returns {Promise<{ path: string, status: string, checks: object[], error: Error }>} resolves also when the
+ *   endpoint fails, with status UNKNOWN and the error
+ */
+const fetchHealth = async (client, path) => {
+  let health;
+
+  try {
+    health = parseHealth(await client.get(path));
+  } catch (error) {
+    health = error instanceof HttpError ? parseHealth(error.body) : undefined;
+    if (!health) {
+      return {
+        path, status: healthStatuses.UNKNOWN, checks: [], error,
+      };
+    }
+  }
+
+  if (!health) {
+    return {
+      path, status: healthStatuses.UNKNOWN, checks: [], error: new Error(`${path} did not answer with MicroProfile Health content`),
+    };
+  }
+
+  return Object.assign({ path }, health);
+};
+
+/**
+ * Polls health endpoints every interval seconds while the page is visible, and at once when it is shown again.
+ * @param {object} client
+ * @param {string[]} paths
+ * @param {number} interval seconds
+ * @param {function({ status: string, endpoints: object[], date: Date })} callback with the worst status
+ *   and the results of fetchHealth
+ * @returns {function()} stops polling
+ */
+const pollHealth = (client, paths, interval, callback) => {
+  let timeout;
+  let stopped = false;
+
+  const poll = async () => {
+    clearTimeout(timeout);
+
+    if (!document.hidden) {
+      const endpoints = await Promise.all(paths.map(path => fetchHealth(client, path)));
+      if (!stopped) {
+        callback({ status: getWorstStatus(endpoints.map(endpoint => endpoint.status)), endpoints, date: new Date() });
+      }
+    }
+
+    if (!stopped) {
+      // a poll started by visibilitychange may have finished in the meantime
+      clearTimeout(timeout);
+      timeout = setTimeout(poll, interval * 1000);
+    }
+  };
+
+  const onVisibilityChange = () => {
+    if (!document.hidden) {
+      poll();
+    }
+  };
+
+  document.addEventListener("visibilitychange", onVisibilityChange);
+  poll();
+
+  return () => {
+    stopped = true;
+    clearTimeout(timeout);
+    document.removeEventListener("visibilitychange", onVisibilityChange);
+  };
+};
+
+const reports = new Map();
+
+const healthChangeCallbacks = new Set();
+
+/**
+ * Reports the status of a source, e.g. a panel, for the overall status.
+ * @param {object} source key of the report, e.g. the element
+ * @param {{ name: string, status: string }} report
+ */
+const reportHealth = (source, report) => {
+  reports.set(source, report);
+  healthChangeCallbacks.forEach(callback => callback());
+};
+
+/**
+ * Removes the report of a source, e.g. when the panel is removed from the page.
+ * @param {object} source
+ */
+const clearHealth = source => {
+  if (reports.delete(source)) {
+    healthChangeCallbacks.forEach(callback => callback());
+  }
+};
+
+/**
+ * Returns the worst status of all sources and their reports.
+ * @returns {{ status: string, sources: { source: object, name: string, status: string }[] }|undefined}
+ *   undefined while no source has reported
+ */
+const getOverallHealth = () => {
+  if (!reports.size) {
+    return;
+  }
+
+  const sources = Array.from(reports, ([source, report]) => Object.assign({ source }, report));
+  return { status: getWorstStatus(sources.map(report => report.status)), sources };
+};
+
+/**
+ * Calls callback when a status is reported or removed.
+ * @param {function()} callback
+ */
+const attachHealthChange = callback => {
+  healthChangeCallbacks.add(callback);
+};
+
+const detachHealthChange = callback => {
+  healthChangeCallbacks.delete(callback);
+};
+
+export {
+  attachHealthChange,
+  clearHealth,
+  detachHealthChange,
+  fetchHealth,
+  getOverallHealth,
+  getWorstStatus,
+  healthStatuses,
+  healthValueStates,
+  parseHealth,
+  pollHealth,
+  reportHealth,
+};
@@ -0,0 +1,248 @@
+import { registerI18nBundle } from './i18n.js';
+
+registerI18nBundle("my-gh", {
+  "": new URL("./i18n/messagebundle.properties", import.meta.url).href,
+  de: new URL("./i18n/messagebundle_de.properties", import.meta.url).href,
+});
+
+/**
+ * Texts of our components with their English default, used until the bundle is loaded
+ * and for keys missing in a translation. Keep in sync with i18n/messagebundle.properties.
+ */
+const HEADER_TITLE = { key: "HEADER_TITLE", defaultText: "My Cloud Playground" };
+const HEADER_BACK = { key: "HEADER_BACK", defaultText: "Back" };
+const HEADER_SEARCH_PLACEHOLDER = { key: "HEADER_SEARCH_PLACEHOLDER", defaultText: "Search" };
+const HEADER_SEARCH_LABEL = { key: "HEADER_SEARCH_LABEL", defaultText: "Search the site" };
+const HEADER_SEARCH_NO_RESULTS = { key: "HEADER_SEARCH_NO_RESULTS", defaultText: "No matching pages" };
+const HEADER_THEME = { key: "HEADER_THEME", defaultText: "Theme" };
+const HEADER_LANGUAGE = { key: "HEADER_LANGUAGE", defaultText: "Language" };
+const HEADER_DENSITY = { key: "HEADER_DENSITY", defaultText: "Density" };
+const HEADER_SIGN_IN = { key: "HEADER_SIGN_IN", defaultText: "Sign In" };
+const HEADER_SIGN_OUT = { key: "HEADER_SIGN_OUT", defaultText: "Sign Out" };
+const SESSION_EXPIRED_TITLE = { key: "SESSION_EXPIRED_TITLE", defaultText: "Session Expired" };
+const SESSION_EXPIRED_TEXT = { key: "SESSION_EXPIRED_TEXT", defaultText: "Your session could not be renewed. Sign in again to continue." };
+const SESSION_EXPIRED_LATER = { key: "SESSION_EXPIRED_LATER", defaultText: "Later" };
+const SIGN_IN_FAILED_TITLE = { key: "SIGN_IN_FAILED_TITLE", defaultText: "Sign In Failed" };
+const SIGN_IN_FAILED_TEXT = { key: "SIGN_IN_FAILED_TEXT", defaultText: "You could not be signed in ({0}). Try again later." };
+const HEADER_MESSAGE_CLOSE = { key: "HEADER_MESSAGE_CLOSE", defaultText: "Close" };
+const HEADER_NOTIFICATIONS = { key: "HEADER_NOTIFICATIONS", defaultText: "Notifications" };
+const NOTIFICATIONS_NO_DATA = { key: "NOTIFICATIONS_NO_DATA", defaultText: "No notifications" };
+const NOTIFICATIONS_UNREAD = { key: "NOTIFICATIONS_UNREAD", defaultText: "New" };
+const NOTIFICATIONS_MARK_ALL_READ = { key: "NOTIFICATIONS_MARK_ALL_READ", defaultText: "Mark All as Read" };
+const NOTIFICATIONS_LOAD_ERROR = { key: "NOTIFICATIONS_LOAD_ERROR", defaultText: "Notifications could not be loaded ({0})." };
+const THEME_SAP_FIORI_3 = { key: "THEME_SAP_FIORI_3", defaultText: "Fiori 3" };
+const THEME_SAP_FIORI_3_DARK = { key: "THEME_SAP_FIORI_3_DARK", defaultText: "Fiori 3 Dark" };
+const THEME_SAP_BELIZE = { key: "THEME_SAP_BELIZE", defaultText: "Belize" };
+const THEME_SAP_BELIZE_HCB = { key: "THEME_SAP_BELIZE_HCB", defaultText: "High Contrast Black" };
+const THEME_SAP_BELIZE_HCW = { key: "THEME_SAP_BELIZE_HCW", defaultText: "High Contrast White" };
+const THEME_FAILED_TITLE = { key: "THEME_FAILED_TITLE", defaultText: "Theme Not Changed" };
+const THEME_FAILED_TEXT = { key: "THEME_FAILED_TEXT", defaultText: "The theme {0} could not be applied ({1})." };
+const DENSITY_COZY = { key: "DENSITY_COZY", defaultText: "Cozy" };
+const DENSITY_COMPACT = { key: "DENSITY_COMPACT", defaultText: "Compact" };
+const NAV_PLAYGROUND = { key: "NAV_PLAYGROUND", defaultText: "Playground" };
+const NAV_INFOSOURCES = { key: "NAV_INFOSOURCES", defaultText: "Infosources" };
+const PANEL_LOADING = { key: "PANEL_LOADING", defaultText: "Loading…" };
+const PANEL_LOAD_ERROR = { key: "PANEL_LOAD_ERROR", defaultText: "Content could not be loaded ({0})." };
+const PANEL_RESTRICTED_SIGN_IN = { key: "PANEL_RESTRICTED_SIGN_IN", defaultText: "Sign in to see this content." };
+const PANEL_RESTRICTED_NO_ACCESS = { key: "PANEL_RESTRICTED_NO_ACCESS", defaultText: "Your account does not have access to this content." };
+const CRUD_CREATE = { key: "CRUD_CREATE", defaultText: "Create" };
+const CRUD_EDIT = { key: "CRUD_EDIT", defaultText: "Edit" };
+const CRUD_DELETE = { key: "CRUD_DELETE", defaultText: "Delete" };
+const CRUD_SAVE = { key: "CRUD_SAVE", defaultText: "Save" };
+const CRUD_CANCEL = { key: "CRUD_CANCEL", defaultText: "Cancel" };
+const CRUD_RELOAD = { key: "CRUD_RELOAD", defaultText: "Reload" };
+const CRUD_NO_DATA = { key: "CRUD_NO_DATA", defaultText: "No entries" };
+const CRUD_NO_SELECTION = { key: "CRUD_NO_SELECTION", defaultText: "Select an entry to see its details." };
+const CRUD_NEW_ENTRY = { key: "CRUD_NEW_ENTRY", defaultText: "New Entry" };
+const CRUD_EDIT_ENTRY = { key: "CRUD_EDIT_ENTRY", defaultText: "Edit {0}" };
+const CRUD_YES = { key: "CRUD_YES", defaultText: "Yes" };
+const CRUD_NO = { key: "CRUD_NO", defaultText: "No" };
+const CRUD_DELETE_CONFIRM = { key: "CRUD_DELETE_CONFIRM", defaultText: "Delete {0}? This cannot be undone." };
+const CRUD_LOAD_ERROR = { key: "CRUD_LOAD_ERROR", defaultText: "Entries could not be loaded ({0})." };
+const CRUD_SAVE_ERROR = { key: "CRUD_SAVE_ERROR", defaultText: "The entry could not be saved ({0})." };
+const CRUD_DELETE_ERROR = { key: "CRUD_DELETE_ERROR", defaultText: "The entry could not be deleted ({0})." };
+const CRUD_VALUE_REQUIRED = { key: "CRUD_VALUE_REQUIRED", defaultText: "Enter a value." };
+const CRUD_VALUE_INVALID = { key: "CRUD_VALUE_INVALID", defaultText: "Enter a valid value." };
+const CRUD_VALUE_TOO_SHORT = { key: "CRUD_VALUE_TOO_SHORT", defaultText: "Enter at least {0} characters." };
+const CRUD_VALUE_TOO_LONG = { key: "CRUD_VALUE_TOO_LONG", defaultText: "Enter at most {0} characters." };
+const CRUD_VALUE_TOO_SMALL = { key: "CRUD_VALUE_TOO_SMALL", defaultText: "Enter a value of at least {0}." };
+const CRUD_VALUE_TOO_LARGE = { key: "CRUD_VALUE_TOO_LARGE", defaultText: "Enter a value of at most {0}." };
+const CALC_EXPRESSION = { key: "CALC_EXPRESSION", defaultText: "Expression" };
+const CALC_OPERANDS = { key: "CALC_OPERANDS", defaultText: "Operands" };
+const CALC_OPERATION_ADD = { key: "CALC_OPERATION_ADD", defaultText: "Add" };
+const CALC_OPERATION_SUBTRACT = { key: "CALC_OPERATION_SUBTRACT", defaultText: "Subtract" };
+const CALC_OPERATION_MULTIPLY = { key: "CALC_OPERATION_MULTIPLY", defaultText: "Multiply" };
+const CALC_OPERATION_DIVIDE = { key: "CALC_OPERATION_DIVIDE", defaultText: "Divide" };
+const CALC_CALCULATE = { key: "CALC_CALCULATE", defaultText: "Calculate" };
+const CALC_COMPARE = { key: "CALC_COMPARE", defaultText: "Compare backend and local results" };
+const CALC_OPERANDS_INVALID = { key: "CALC_OPERANDS_INVALID", defaultText: "Enter numbers separated by commas." };
+const CALC_HISTORY = { key: "CALC_HISTORY", defaultText: "History" };
+const CALC_CLEAR = { key: "CALC_CLEAR", defaultText: "Clear" };
+const CALC_NO_HISTORY = { key: "CALC_NO_HISTORY", defaultText: "No calculations yet" };
+const CALC_BACKEND = { key: "CALC_BACKEND", defaultText: "Backend" };
+const CALC_LOCAL = { key: "CALC_LOCAL", defaultText: "Local" };
+const CALC_MISMATCH = { key: "CALC_MISMATCH", defaultText: "Mismatch" };
+const CALC_ERROR = { key: "CALC_ERROR", defaultText: "Error" };
+const CALC_RESULTS = { key: "CALC_RESULTS", defaultText: "Backend: {0}, local: {1}" };
+const CALC_FALLBACK = { key: "CALC_FALLBACK", defaultText: "Calculated locally, the backend is not reachable ({0})." };
+const HEADER_HEALTH = { key: "HEADER_HEALTH", defaultText: "Backend health: {0}" };
+const HEALTH_TITLE = { key: "HEALTH_TITLE", defaultText: "Health" };
+const HEALTH_UP = { key: "HEALTH_UP", defaultText: "Up" };
+const HEALTH_DOWN = { key: "HEALTH_DOWN", defaultText: "Down" };
+const HEALTH_UNKNOWN = { key: "HEALTH_UNKNOWN", defaultText: "Unknown" };
+const HEALTH_LIVE = { key: "HEALTH_LIVE", defaultText: "Liveness" };
+const HEALTH_READY = { key: "HEALTH_READY", defaultText: "Readiness" };
+const HEALTH_STARTED = { key: "HEALTH_STARTED", defaultText: "Startup" };
+const HEALTH_NO_CHECKS = { key: "HEALTH_NO_CHECKS", defaultText: "No health checks" };
+const HEALTH_CHECKED_AT = { key: "HEALTH_CHECKED_AT", defaultText: "Checked at {0}" };
+const HEALTH_HISTORY = { key: "HEALTH_HISTORY", defaultText: "Last {0} checks, {1} up" };
+const HEALTH_UNREACHABLE = { key: "HEALTH_UNREACHABLE", defaultText: "Not reachable ({0})" };
+const METRICS_FILTER = { key: "METRICS_FILTER", defaultText: "Filter metrics" };
+const METRICS_REFRESH = { key: "METRICS_REFRESH", defaultText: "Refresh" };
+const METRICS_SHOWN = { key: "METRICS_SHOWN", defaultText: "{0} of {1} metrics" };
+const METRICS_UPDATED_AT = { key: "METRICS_UPDATED_AT", defaultText: "Updated at {0}" };
+const METRICS_LOAD_ERROR = { key: "METRICS_LOAD_ERROR", defaultText: "Metrics could not be loaded ({0})." };
+const METRICS_NO_DATA = { key: "METRICS_NO_DATA", defaultText: "No matching metrics" };
+const METRICS_SERIES = { key: "METRICS_SERIES", defaultText: "Series" };
+const METRICS_VALUE = { key: "METRICS_VALUE", defaultText: "Value" };
+const METRICS_RATE = { key: "METRICS_RATE", defaultText: "Per second" };
+const METRICS_TREND = { key: "METRICS_TREND", defaultText: "Trend" };
+const METRICS_COUNT = { key: "METRICS_COUNT", defaultText: "Count" };
+const METRICS_SUM = { key: "METRICS_SUM", defaultText: "Sum" };
+const METRICS_MEAN = { key: "METRICS_MEAN", defaultText: "Mean" };
+const METRICS_DISTRIBUTION = { key: "METRICS_DISTRIBUTION", defaultText: "Distribution" };
+const METRICS_QUANTILES = { key: "METRICS_QUANTILES", defaultText: "Quantiles" };
+const METRICS_BUCKETS = { key: "METRICS_BUCKETS", defaultText: "Observations per bucket: {0}" };
+const OPENAPI_OPERATIONS = { key: "OPENAPI_OPERATIONS", defaultText: "Operations" };
+const OPENAPI_LOAD_ERROR = { key: "OPENAPI_LOAD_ERROR", defaultText: "The API description could not be loaded ({0})." };
+const OPENAPI_NO_OPERATIONS = { key: "OPENAPI_NO_OPERATIONS", defaultText: "No operations" };
+const OPENAPI_NO_SELECTION = { key: "OPENAPI_NO_SELECTION", defaultText: "Select an operation to try it." };
+const OPENAPI_SEND = { key: "OPENAPI_SEND", defaultText: "Send" };
+const OPENAPI_DEPRECATED = { key: "OPENAPI_DEPRECATED", defaultText: "This operation is deprecated." };
+const OPENAPI_AUTH_SIGNED_IN = { key: "OPENAPI_AUTH_SIGNED_IN", defaultText: "Sent with the access token of your sign in." };
+const OPENAPI_AUTH_SIGNED_OUT = { key: "OPENAPI_AUTH_SIGNED_OUT", defaultText: "This operation needs a sign in." };
+const OPENAPI_AUTH_OTHER_SERVER = { key: "OPENAPI_AUTH_OTHER_SERVER", defaultText: "Sent without your access token, the server is not a backend of this site." };
+const OPENAPI_RESPONSE = { key: "OPENAPI_RESPONSE", defaultText: "Response" };
+const OPENAPI_NO_ANSWER = { key: "OPENAPI_NO_ANSWER", defaultText: "No answer ({0})" };
+const OPENAPI_EMPTY_BODY = { key: "OPENAPI_EMPTY_BODY", defaultText: "No content" };
+const OPENAPI_DURATION = { key: "OPENAPI_DURATION", defaultText: "{0} ms" };
+
+export {
+  CALC_BACKEND,
+  CALC_CALCULATE,
+  CALC_CLEAR,
+  CALC_COMPARE,
+  CALC_ERROR,
+  CALC_EXPRESSION,
+  CALC_FALLBACK,
+  CALC_HISTORY,
+  CALC_LOCAL,
+  CALC_MISMATCH,
+  CALC_NO_HISTORY,
+  CALC_OPERANDS,
+  CALC_OPERANDS_INVALID,
+  CALC_OPERATION_ADD,
+  CALC_OPERATION_DIVIDE,
+  CALC_OPERATION_MULTIPLY,
+  CALC_OPERATION_SUBTRACT,
+  CALC_RESULTS,
+  CRUD_CANCEL,
+  CRUD_CREATE,
+  CRUD_DELETE,
+  CRUD_DELETE_CONFIRM,
+  CRUD_DELETE_ERROR,
+  CRUD_EDIT,
+  CRUD_EDIT_ENTRY,
+  CRUD_LOAD_ERROR,
+  CRUD_NEW_ENTRY,
+  CRUD_NO,
+  CRUD_NO_DATA,
+  CRUD_NO_SELECTION,
+  CRUD_RELOAD,
+  CRUD_SAVE,
+  CRUD_SAVE_ERROR,
+  CRUD_VALUE_INVALID,
+  CRUD_VALUE_REQUIRED,
+  CRUD_VALUE_TOO_LARGE,
+  CRUD_VALUE_TOO_LONG,
+  CRUD_VALUE_TOO_SHORT,
+  CRUD_VALUE_TOO_SMALL,
+  CRUD_YES,
+  DENSITY_COMPACT,
+  DENSITY_COZY,
+  HEADER_BACK,
+  HEADER_DENSITY,
+  HEADER_HEALTH,
+  HEADER_LANGUAGE,
+  HEADER_MESSAGE_CLOSE,
+  HEADER_NOTIFICATIONS,
+  HEADER_SEARCH_LABEL,
+  HEADER_SEARCH_NO_RESULTS,
+  HEADER_SEARCH_PLACEHOLDER,
+  HEADER_SIGN_IN,
+  HEADER_SIGN_OUT,
+  HEADER_THEME,
+  HEADER_TITLE,
+  HEALTH_CHECKED_AT,
+  HEALTH_DOWN,
+  HEALTH_HISTORY,
+  HEALTH_LIVE,
+  HEALTH_NO_CHECKS,
+  HEALTH_READY,
+  HEALTH_STARTED,
+  HEALTH_TITLE,
+  HEALTH_UNKNOWN,
+  HEALTH_UNREACHABLE,
+  HEALTH_UP,
+  METRICS_BUCKETS,
+  METRICS_COUNT,
+  METRICS_DISTRIBUTION,
+  METRICS_FILTER,
+  METRICS_LOAD_ERROR,
+  METRICS_MEAN,
+  METRICS_NO_DATA,
+  METRICS_QUANTILES,
+  METRICS_RATE,
+  METRICS_REFRESH,
+  METRICS_SERIES,
+  METRICS_SHOWN,
+  METRICS_SUM,
+  METRICS_TREND,
+  METRICS_UPDATED_AT,
+  METRICS_VALUE,
+  NAV_INFOSOURCES,
+  NAV_PLAYGROUND,
+  NOTIFICATIONS_LOAD_ERROR,
+  NOTIFICATIONS_MARK_ALL_READ,
+  NOTIFICATIONS_NO_DATA,
+  NOTIFICATIONS_UNREAD,
+  OPENAPI_AUTH_OTHER_SERVER,
+  OPENAPI_AUTH_SIGNED_IN,
+  OPENAPI_AUTH_SIGNED_OUT,
+  OPENAPI_DEPRECATED,
+  OPENAPI_DURATION,
+  OPENAPI_EMPTY_BODY,
+  OPENAPI_LOAD_ERROR,
+  OPENAPI_NO_ANSWER,
+  OPENAPI_NO_OPERATIONS,
+  OPENAPI_NO_SELECTION,
+  OPENAPI_OPERATIONS,
+  OPENAPI_RESPONSE,
+  OPENAPI_SEND,
+  PANEL_LOADING,
+  PANEL_LOAD_ERROR,
+  PANEL_RESTRICTED_NO_ACCESS,
+  PANEL_RESTRICTED_SIGN_IN,
+  SESSION_EXPIRED_LATER,
+  SESSION_EXPIRED_TEXT,
+  SESSION_EXPIRED_TITLE,
+  SIGN_IN_FAILED_TEXT,
+  SIGN_IN_FAILED_TITLE,
+  THEME_FAILED_TEXT,
+  THEME_FAILED_TITLE,
+  THEME_SAP_BELIZE,
+  THEME_SAP_BELIZE_HCB,
+  THEME_SAP_BELIZE_HCW,
+  THEME_SAP_FIORI_3,
+  THEME_SAP_FIORI_3_DARK,
+};
@@ -0,0 +1,224 @@
+import { detectNavigatorLanguage, getLanguage, setLanguage } from './runtime.js';
+
+/**
+ * Translatable texts of our components.
+ * A bundle is a set of .properties files, one per locale: { "": "messagebundle.properties", de: "messagebundle_de.properties" }.
+ * Texts are looked up along the fallback chain of the language (de-CH: de_CH, de, en, root file),
+ * then the defaultText of the text object is used.
+ */
+
+const bundleUrls = new Map();
+const bundleTexts = new Map();
+const propertiesRequests = new Map();
+const languageChangeCallbacks = new Set();
+
+const languageStorageKey = "my-gh-language";
+
+/**
+ * Languages offered by the language menu of my-gh-header, labels are in the language itself.
+ */
+const languages = [
+  { code: "en", label: "English" },
+  { code: "de", label: "Deutsch" },
+];
+
+const unescapeProperty = value => value.replace(/\\(u[0-9a-fA-F]{4}|.)/g, (match, escaped) => {
+  if (escaped.length === 5) {
+    return String.fromCharCode(parseInt(escaped.slice(1), 16));
+  }
+  return { n: "\n", t: "\t", r: "\r", f: "\f" }[escaped] || escaped;
+});
+
+/**
+ * Parses the content of a Java .properties file (ISO 8859-1 escapes, continuation lines, # and ! comments).
+ * @param {string} text
+ * @returns {Object<string, string>}
+ */
+const parseProperties = text => {
+  const properties = {};
+  const lines = text.replace(/\r\n?/g, "\n").split("\n");
+
+  for (let i = 0; i < lines.length; i++) {
+    let line = lines[i].replace(/^\s+/, "");
+
+    if (!line || line.startsWith("#") || line.startsWith("!")) {
+      continue;
+    }
+
+    // an odd number of trailing backslashes continues the line
+    while (/(^|[^\\])(\\\\)*\\$/.test(line) && i < lines.length - 1) {
+      line = line.slice(0, -1) + lines[++i].replace(/^\s+/, "");
+    }
+
+    const match = /^((?:\\.|[^\\=:\s])*)\s*[=:\s]?\s*(.*)$/.exec(line);
+    properties[unescapeProperty(match[1])] = unescapeProperty(match[2]);
+  }
+
+  return properties;
+};
+
+const normalizeLocale = language => {
+  const [lang, region] = language.replace(/_/g, "-").split("-");
+  return region ? `${lang.toLowerCase()}_${region.toUpperCase()}` : lang.toLowerCase();
+};
+
+/**
+ * The locales searched for a text: de-CH gives de_CH, de, en and "" (the root file).
+ * @param {string} language
+ * @returns {string[]}
+ */
+const getFallbackChain = language => {
+  const locale = normalizeLocale(language);
+  const chain = [locale];
+
+  if (locale.includes("_")) {
+    chain.push(locale.split("_")[0]);
+  }
+  if (!chain.includes("en")) {
+    chain.push("en");
+  }
+  chain.push("");
+
+  return chain;
+};
+
+const getCurrentLanguage = () => getLanguage() || detectNavigatorLanguage();
+
+const fetchProperties = url => {
+  if (!propertiesRequests.has(url)) {
+    propertiesRequests.set(url, fetch(url)
+      .then(response => {
+        if (!response.ok) {
+          throw new Error(`${response.status} ${response.statusText}`.trim());
+        }
+        return response.text();
+      })
+      .then(parseProperties)
+      .catch(error => {
+        propertiesRequests.delete(url);
+        console.warn(`Message bundle ${url} could not be loaded: ${error.message}`);
+        return {};
+      }));
+  }
+
+  return propertiesRequests.get(url);
+};
+
+/**
+ * Registers the .properties files of a bundle.
+ * @param {string} name bundle name, e.g. "my-gh"
+ * @param {Object<string, string>} urls locale (as in file names: "", "de", "de_CH") to file URL
+ */
+const registerI18nBundle = (name, urls) => {
+  bundleUrls.set(name, Object.assign({}, bundleUrls.get(name), urls));
+};
+
+/**
+ * Loads the texts of a bundle for the current language.
+ * Resolves when getI18nBundle(name) returns them, missing files fall back to the next locale.
+ * @param {string} name
+ * @returns {Promise<void>}
+ */
+const fetchI18nBundle = async name => {
+  const urls = bundleUrls.get(name);
+  const language = getCurrentLanguage();
+
+  if (!urls) {
+    throw new Error(`Message bundle ${name} is not registered. Please use registerI18nBundle`);
+  }
+
+  const chain = getFallbackChain(language).filter(locale => urls[locale]);
+  const files = await Promise.all(chain.map(locale => fetchProperties(urls[locale])));
+
+  // the language was changed again while loading
+  if (language !== getCurrentLanguage()) {
+    return;
+  }
+
+  // the first locale of the chain wins
+  bundleTexts.set(name, Object.assign({}, ...files.reverse()));
+};
+
+const formatMessage = (text, params) => text.replace(/{(\d+)}/g, (match, index) => (params[index] !== undefined ? params[index] : match));
+
+/**
+ * Returns the bundle used to render texts. The texts are read when getText is called,
+ * so a bundle kept by a component shows the current language after fetchI18nBundle.
+ * @param {string} name
+ * @returns {{ getText: function(({ key: string, defaultText: string }|string), ...*): string }}
+ */
+const getI18nBundle = name => ({
+  getText: (text, ...params) => {
+    const { key, defaultText } = typeof text === "string" ? { key: text, defaultText: text } : text;
+    const texts = bundleTexts.get(name) || {};
+    return formatMessage(texts[key] !== undefined ? texts[key] : defaultText, params);
+  },
+});
+
+const writeStoredLanguage = language => {
+  try {
+    window.localStorage.setItem(languageStorageKey, language);
+  } catch (e) {
+    // not persisted, the language still changes for this page
+  }
+};
+
+const readStoredLanguage = () => {
+  try {
+    return window.localStorage.getItem(languageStorageKey) || undefined;
+  } catch (e) {
+    // storage can be disabled (private mode, cookie settings)
+    return;
+  }
+};
+
+/**
+ * Calls callback after the language was changed and the registered bundles are loaded.
+ * Components attach in connectedCallback and render again in the callback.
+ * @param {function(string)} callback
+ */
+const attachLanguageChange = callback => {
+  languageChangeCallbacks.add(callback);
+};
+
+const detachLanguageChange = callback => {
+  languageChangeCallbacks.delete(callback);
+};
+
+/**
+ * Switches the language of our components, remembers it for the next pages
+ * and lets every attached component render again.
+ * @param {string} language
+ * @returns {Promise<void>}
+ */
+const changeLanguage = async language => {
+  setLanguage(language);
+  writeStoredLanguage(language);
+  document.documentElement.lang = language;
+
+  await Promise.all(Array.from(bundleUrls.keys()).map(fetchI18nBundle));
+
+  if (language === getCurrentLanguage()) {
+    languageChangeCallbacks.forEach(callback => callback(language));
+  }
+};
+
+// a sap-ui-language URL parameter wins over the stored choice
+const storedLanguage = readStoredLanguage();
+if (storedLanguage && !new URLSearchParams(window.location.search).has("sap-ui-language")) {
+  setLanguage(storedLanguage);
+  document.documentElement.lang = storedLanguage;
+}
+
+export {
+  attachLanguageChange,
+  changeLanguage,
+  detachLanguageChange,
+  fetchI18nBundle,
+  getCurrentLanguage,
+  getFallbackChain,
+  getI18nBundle,
+  languages,
+  parseProperties,
+  registerI18nBundle,
+};
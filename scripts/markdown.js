@@ -0,0 +1,195 @@
+/**
+ * Small Markdown to HTML converter for the content fragments of the site.
+ * Covers what the project write-ups use: headings, paragraphs, nested lists, block quotes,
+ * fenced and indented code, rules, tables, links, images, emphasis and inline code.
+ * Raw HTML in the Markdown source is escaped, not passed through.
+ */
+
+const escapeHtml = text => text
+  .replace(/&/g, "&amp;")
+  .replace(/</g, "&lt;")
+  .replace(/>/g, "&gt;")
+  .replace(/"/g, "&quot;");
+
+const renderEmphasis = text => text
+  .replace(/\*\*(?=\S)([^]*?\S)\*\*/g, "<strong>$1</strong>")
+  .replace(/(^|[^\w])__(?=\S)([^]*?\S)__(?!\w)/g, "$1<strong>$2</strong>")
+  .replace(/\*(?=\S)([^]*?\S)\*/g, "<em>$1</em>")
+  .replace(/(^|[^\w])_(?=\S)([^]*?\S)_(?!\w)/g, "$1<em>$2</em>")
+  .replace(/~~(?=\S)([^]*?\S)~~/g, "<del>$1</del>");
+
+const renderInline = text => {
+  const codeSpans = [];
+
+  // code spans first, their content must not be formatted
+  let result = text.replace(/(`+)([^]*?[^`])\1(?!`)/g, (match, ticks, code) => {
+    codeSpans.push(`<code>${escapeHtml(code.trim())}</code>`);
+    return `\u0000${codeSpans.length - 1}\u0000`;
+  });
+
+  result = escapeHtml(result)
+    .replace(/!\[([^\]]*)\]\(\s*([^\s)]+)(?:\s+&quot;([^]*?)&quot;)?\s*\)/g, (match, alt, src, title) =>
+      `<img src="${src}" alt="${alt}"${title ? ` title="${title}"` : ""}>`)
+    .replace(/\[([^\]]+)\]\(\s*([^\s)]+)(?:\s+&quot;([^]*?)&quot;)?\s*\)/g, (match, label, href, title) =>
+      `<a href="${href}"${title ? ` title="${title}"` : ""}>${label}</a>`)
+    .replace(/&lt;((?:https?:\/\/|mailto:)[^\s&]+)&gt;/g, '<a href="$1">$1</a>')
+    .replace(/ {2,}\n/g, "<br>\n");
+
+  // emphasis only in text, never inside the tags created above (URLs often contain "_")
+  result = result.split(/(<[^>]*>)/).map(part => (part.startsWith("<") ? part : renderEmphasis(part))).join("");
+
+  return result.replace(/\u0000(\d+)\u0000/g, (match, index) => codeSpans[index]);
+};
+
+const patterns = {
+  blank: /^\s*$/,
+  fence: /^ {0,3}(```|~~~)\s*([\w-]*)\s*$/,
+  heading: /^ {0,3}(#{1,6})\s+(.*?)\s*#*\s*$/,
+  rule: /^ {0,3}([-*_])(\s*\1){2,}\s*$/,
+  quote: /^ {0,3}> ?/,
+  listItem: /^( {0,3})([-*+]|\d+[.)])\s+(.*)$/,
+  indentedCode: /^( {4}|\t)/,
+  tableDivider: /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/,
+};
+
+const splitTableRow = line => line.trim().replace(/^\||\|$/g, "").split("|").map(cell => cell.trim());
+
+const isBlockStart = (line, next) => patterns.fence.test(line)
+  || patterns.heading.test(line)
+  || patterns.rule.test(line)
+  || patterns.quote.test(line)
+  || patterns.listItem.test(line)
+  || (line.includes("|") && next !== undefined && patterns.tableDivider.test(next));
+
+const renderBlocks = lines => {
+  const html = [];
+  let i = 0;
+
+  while (i < lines.length) {
+    const line = lines[i];
+    let match;
+
+    if (patterns.blank.test(line)) {
+      i++;
+    } else if ((match = patterns.fence.exec(line))) {
+      const code = [];
+      i++;
+      while (i < lines.length && !lines[i].trim().startsWith(match[1])) {
+        code.push(lines[i++]);
+      }
+      i++; // closing fence
+      const language = match[2] ? ` class="language-${match[2]}"` : "";
+      html.push(`<pre><code${language}>${escapeHtml(code.join("\n"))}</code></pre>`);
+    } else if ((match = patterns.heading.exec(line))) {
+      const level = match[1].length;
+      html.push(`<h${level}>${renderInline(match[2])}</h${level}>`);
+      i++;
+    } else if (patterns.rule.test(line)) {
+      html.push("<hr>");
+      i++;
+    } else if (patterns.quote.test(line)) {
+      const quoted = [];
+      while (i < lines.length && !patterns.blank.test(lines[i])) {
+        quoted.push(lines[i++].replace(patterns.quote, ""));
+      }
+      html.push(`<blockquote>${renderBlocks(quoted)}</blockquote>`);
+    } else if ((match = patterns.listItem.exec(line))) {
+      const ordered = /\d/.test(match[2]);
+      const indent = match[1].length;
+      const items = [];
+      let loose = false;
+
+      while (i < lines.length) {
+        const itemMatch = patterns.listItem.exec(lines[i]);
+        if (!itemMatch || itemMatch[1].length !== indent || /\d/.test(itemMatch[2]) !== ordered) {
+          break;
+        }
+
+        const contentIndent = lines[i].length - itemMatch[3].length;
+        const content = [itemMatch[3]];
+        i++;
+
+        // continuation lines: indented, or lazy paragraph lines directly below
+        while (i < lines.length) {
+          const next = lines[i];
+          const nextIndent = next.length - next.trimStart().length;
+          if (patterns.blank.test(next)) {
+            const following = lines[i + 1];
+            if (following === undefined || (following.length - following.trimStart().length) < contentIndent) {
+              break;
+            }
+            loose = true;
+            content.push("");
+          } else if (nextIndent >= contentIndent) {
+            content.push(next.slice(contentIndent));
+          } else if (nextIndent <= indent && isBlockStart(next, lines[i + 1])) {
+            break;
+          } else if (patterns.blank.test(content[content.length - 1])) {
+            break;
+          } else {
+            content.push(next.trim());
+          }
+          i++;
+        }
+
+        items.push(content);
+
+        if (i < lines.length && patterns.blank.test(lines[i])) {
+          const following = lines[i + 1];
+          const followingMatch = following !== undefined && patterns.listItem.exec(following);
+          if (followingMatch && followingMatch[1].length === indent) {
+            loose = true;
+            i++;
+          }
+        }
+      }
+
+      const tag = ordered ? "ol" : "ul";
+      const start = ordered && parseInt(match[2]) !== 1 ? ` start="${parseInt(match[2])}"` : "";
+      const renderedItems = items.map(content => {
+        const body = renderBlocks(content);
+        return `<li>${loose ? body : body.replace(/^<p>([^]*?)<\/p>/, "$1")}</li>`;
+      });
+      html.push(`<${tag}${start}>${renderedItems.join("")}</${tag}>`);
+    } else if (patterns.indentedCode.test(line)) {
+      const code = [];
+      while (i < lines.length && (patterns.indentedCode.test(lines[i]) || patterns.blank.test(lines[i]))) {
+        code.push(lines[i++].replace(patterns.indentedCode, ""));
+      }
+      html.push(`<pre><code>${escapeHtml(code.join("\n").replace(/\n+$/, ""))}</code></pre>`);
+    } else if (line.includes("|") && lines[i + 1] !== undefined && patterns.tableDivider.test(lines[i + 1])) {
+      const header = splitTableRow(line);
+      const aligns = splitTableRow(lines[i + 1]).map(cell => {
+        if (cell.startsWith(":") && cell.endsWith(":")) {
+          return "center";
+        }
+        return cell.endsWith(":") ? "right" : (cell.startsWith(":") ? "left" : "");
+      });
+      const cell = (tag, text, index) => `<${tag}${aligns[index] ? ` align="${aligns[index]}"` : ""}>${renderInline(text)}</${tag}>`;
+      const rows = [];
+      i += 2;
+      while (i < lines.length && !patterns.blank.test(lines[i]) && lines[i].includes("|")) {
+        rows.push(`<tr>${splitTableRow(lines[i++]).map((text, index) => cell("td", text, index)).join("")}</tr>`);
+      }
+      html.push(`<table><thead><tr>${header.map((text, index) => cell("th", text, index)).join("")}</tr></thead><tbody>${rows.join("")}</tbody></table>`);
+    } else {
+      const paragraph = [];
+      while (i < lines.length && !patterns.blank.test(lines[i]) && (!paragraph.length || !isBlockStart(lines[i], lines[i + 1]))) {
+        paragraph.push(lines[i++]);
+      }
+      html.push(`<p>${renderInline(paragraph.join("\n").trim())}</p>`);
+    }
+  }
+
+  return html.join("\n");
+};
+
+/**
+ * Converts Markdown to an HTML string.
+ * The result is not sanitized, pass it through sanitizeHtml before it reaches the DOM.
+ * @param {string} markdown
+ * @returns {string}
+ */
+const renderMarkdown = markdown => renderBlocks(markdown.replace(/\r\n?/g, "\n").split("\n"));
+
+export { renderMarkdown };
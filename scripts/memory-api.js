@@ -0,0 +1,112 @@
+import { HttpError } from './api.js';
+
+/**
+ * In-memory stand-in for createApiClient, to try and test components without a backend.
+ * Serves REST collections like the Quarkus service: GET, POST, PUT, PATCH and DELETE on "items" and "items/{id}",
+ * and fails like it with HttpError (404 for unknown entries, 400 with violations for invalid ones).
+ *
+ * const client = createMemoryApiClient({ items: [{ id: "1", name: "Quarkus" }] }, { delay: 300 });
+ * document.querySelector("my-crud-list").client = client;
+ */
+
+const copy = value => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+/**
+ * @param {Object<string, object[]>} collections entries by collection name
+ * @param {object} [options]
+ * @param {string} [options.idProperty="id"]
+ * @param {number} [options.delay=0] milliseconds before each answer
+ * @param {Object<string, function(object): Object<string, string>>} [options.validate] per collection,
+ *   returns messages by property for invalid entries
+ */
+const createMemoryApiClient = (collections = {}, { idProperty = "id", delay = 0, validate = {} } = {}) => {
+  const data = new Map(Object.keys(collections).map(name => [name, copy(collections[name]).map(entry => Object.assign({}, entry))]));
+  const stateChangeCallbacks = new Set();
+  const state = { pending: 0, error: undefined };
+  let nextId = 1 + Math.max(0, ...Array.from(data.values()).flat().map(entry => Number(entry[idProperty])).filter(id => !isNaN(id)));
+
+  const setState = changes => {
+    Object.assign(state, changes);
+    stateChangeCallbacks.forEach(callback => callback(state));
+  };
+
+  const fail = (request, status, statusText, body) => {
+    throw new HttpError({ status, statusText }, Object.assign({ title: statusText, status }, body), request);
+  };
+
+  const handle = (request, name, id, body) => {
+    const entries = data.get(name);
+
+    if (!entries) {
+      fail(request, 404, "Not Found", { detail: `${name} does not exist` });
+    }
+
+    const index = id === undefined ? -1 : entries.findIndex(entry => String(entry[idProperty]) === id);
+
+    if (id !== undefined && index < 0) {
+      fail(request, 404, "Not Found", { detail: `${name}/${id} does not exist` });
+    }
+
+    if (request.method === "GET") {
+      return id === undefined ? entries : entries[index];
+    }
+    if (request.method === "DELETE" && id !== undefined) {
+      entries.splice(index, 1);
+      return;
+    }
+    if (!["POST", "PUT", "PATCH"].includes(request.method) || (request.method === "POST") !== (id === undefined)) {
+      fail(request, 405, "Method Not Allowed", { detail: `${request.method} is not supported here` });
+    }
+
+    const entry = Object.assign(request.method === "PATCH" ? Object.assign({}, entries[index]) : {}, body);
+    const violations = validate[name] ? validate[name](entry) || {} : {};
+
+    if (Object.keys(violations).length) {
+      fail(request, 400, "Constraint Violation", {
+        violations: Object.keys(violations).map(field => ({ field, message: violations[field] })),
+      });
+    }
+
+    entry[idProperty] = id !== undefined ? entries[index][idProperty] : String(nextId++);
+    entries.splice(index < 0 ? entries.length : index, index < 0 ? 0 : 1, entry);
+    return entry;
+  };
+
+  const request = async (method, path, options = {}) => {
+    const req = { method: method.toUpperCase(), url: `memory:${path}` };
+    // the CRUD store encodes the ids in the path, like URLs
+    const [name, id] = path.replace(/^\/+|\/+$/g, "").split("/").map(segment => decodeURIComponent(segment));
+
+    setState({ pending: state.pending + 1 });
+
+    try {
+      await new Promise(resolve => setTimeout(resolve, delay));
+      const result = copy(handle(req, name, id, copy(options.body)));
+      setState({ error: undefined });
+      return result;
+    } catch (error) {
+      setState({ error });
+      throw error;
+    } finally {
+      setState({ pending: state.pending - 1 });
+    }
+  };
+
+  return {
+    request,
+    get: (path, options) => request("GET", path, options),
+    post: (path, body, options) => request("POST", path, Object.assign({}, options, { body })),
+    put: (path, body, options) => request("PUT", path, Object.assign({}, options, { body })),
+    patch: (path, body, options) => request("PATCH", path, Object.assign({}, options, { body })),
+    delete: (path, options) => request("DELETE", path, options),
+    state,
+    attachStateChange: callback => {
+      stateChangeCallbacks.add(callback);
+    },
+    detachStateChange: callback => {
+      stateChangeCallbacks.delete(callback);
+    },
+  };
+};
+
+export { createMemoryApiClient };
@@ -0,0 +1,341 @@
+/**
+ * Metrics of backends in the Prometheus text format (version 0.0.4) and OpenMetrics, shown by my-metrics-panel.
+ * Quarkus serves them at /q/metrics (/metrics before Quarkus 1.11):
+ *
+ * # HELP http_server_requests_seconds Duration of HTTP requests
+ * # TYPE http_server_requests_seconds histogram
+ * http_server_requests_seconds_bucket{method="GET",uri="/items",le="0.1"} 12
+ * http_server_requests_seconds_bucket{method="GET",uri="/items",le="+Inf"} 14
+ * http_server_requests_seconds_sum{method="GET",uri="/items"} 0.93
+ * http_server_requests_seconds_count{method="GET",uri="/items"} 14
+ *
+ * _tools/metrics holds canned answers of Quarkus, the mock service serves them.
+ */
+
+/**
+ * Text that is neither format, line is its number (from 1).
+ */
+class MetricsParseError extends Error {
+  constructor(message, line) {
+    super(line === undefined ? message : `${message} in line ${line}`);
+    this.name = "MetricsParseError";
+    this.line = line;
+  }
+}
+
+const metricTypes = {
+  COUNTER: "counter",
+  GAUGE: "gauge",
+  HISTOGRAM: "histogram",
+  SUMMARY: "summary",
+  UNTYPED: "untyped",
+  // OpenMetrics only
+  GAUGE_HISTOGRAM: "gaugehistogram",
+  INFO: "info",
+  STATE_SET: "stateset",
+};
+
+// samples of a family named name + suffix, by type (OpenMetrics adds gaugehistogram, info and stateset)
+const typeSuffixes = {
+  counter: ["_total", "_created"],
+  histogram: ["_bucket", "_sum", "_count", "_created"],
+  gaugehistogram: ["_bucket", "_gsum", "_gcount"],
+  summary: ["_sum", "_count", "_created"],
+  info: ["_info"],
+};
+
+const namePattern = /^[a-zA-Z_:][a-zA-Z0-9_:]*/;
+
+const labelNamePattern = /^[a-zA-Z_][a-zA-Z0-9_]*/;
+
+const unescape = (text, quotes) => text.replace(quotes ? /\\([\\"n])/g : /\\([\\n])/g, (match, character) => (character === "n" ? "\n" : character));
+
+const parseNumber = (text, lineNumber) => {
+  const value = { "+Inf": Infinity, Inf: Infinity, "-Inf": -Infinity, NaN: NaN }[text];
+
+  if (value !== undefined) {
+    return value;
+  }
+  if (!/^[+-]?(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?$/.test(text)) {
+    throw new MetricsParseError(`Invalid number "${text}"`, lineNumber);
+  }
+  return Number(text);
+};
+
+// {name="value",...}, returns the labels and the rest of the line
+const parseLabels = (text, lineNumber) => {
+  const labels = {};
+  let rest = text.slice(1).trimStart();
+
+  while (!rest.startsWith("}")) {
+    const name = labelNamePattern.exec(rest);
+    if (!name) {
+      throw new MetricsParseError("Invalid label name", lineNumber);
+    }
+    rest = rest.slice(name[0].length).trimStart();
+
+    const value = /^=\s*"((?:[^"\\]|\\.)*)"/.exec(rest);
+    if (!value) {
+      throw new MetricsParseError(`Invalid value of label ${name[0]}`, lineNumber);
+    }
+    labels[name[0]] = unescape(value[1], true);
+    rest = rest.slice(value[0].length).trimStart();
+
+    if (rest.startsWith(",")) {
+      rest = rest.slice(1).trimStart();
+    } else if (!rest.startsWith("}")) {
+      throw new MetricsParseError("Missing \"}\"", lineNumber);
+    }
+  }
+
+  return { labels, rest: rest.slice(1) };
+};
+
+const parseSample = (line, lineNumber) => {
+  const name = namePattern.exec(line);
+  if (!name) {
+    throw new MetricsParseError("Invalid metric name", lineNumber);
+  }
+
+  let labels = {};
+  let rest = line.slice(name[0].length);
+
+  if (rest.startsWith("{")) {
+    ({ labels, rest } = parseLabels(rest, lineNumber));
+  }
+
+  // OpenMetrics exemplars follow " # "
+  const [value, timestamp] = rest.split(" # ")[0].trim().split(/\s+/);
+  if (!value) {
+    throw new MetricsParseError(`Missing value of ${name[0]}`, lineNumber);
+  }
+
+  return {
+    name: name[0],
+    labels,
+    value: parseNumber(value, lineNumber),
+    timestamp: timestamp === undefined ? undefined : parseNumber(timestamp, lineNumber),
+  };
+};
+
+/**
+ * Parses metrics in the Prometheus text format or OpenMetrics.
+ * Samples without TYPE form families of type untyped, histogram and summary samples (_bucket, _sum, _count)
+ * and the _total samples of OpenMetrics counters belong to the family of their base name.
+ * @param {string} text
+ * @returns {{ name: string, type: string, help: string, unit: string,
+ *   samples: { name: string, labels: Object<string, string>, value: number, timestamp: number }[] }[]}
+ *   in the order of the text
+ */
+const parseMetrics = text => {
+  if (typeof text !== "string") {
+    throw new MetricsParseError("The answer is not text");
+  }
+
+  const families = new Map();
+
+  const getFamily = name => {
+    if (!families.has(name)) {
+      families.set(name, {
+        name, type: metricTypes.UNTYPED, help: "", unit: "", samples: [],
+      });
+    }
+    return families.get(name);
+  };
+
+  // the declared family a sample belongs to, or one of its own
+  const findFamily = sampleName => {
+    const family = Object.keys(typeSuffixes)
+      .map(type => typeSuffixes[type]
+        .filter(suffix => sampleName.endsWith(suffix))
+        .map(suffix => families.get(sampleName.slice(0, -suffix.length)))
+        .find(candidate => candidate && candidate.type === type))
+      .find(Boolean);
+
+    return family || getFamily(sampleName);
+  };
+
+  const lines = text.split(/\r?\n/);
+
+  for (let index = 0; index < lines.length; index++) {
+    const line = lines[index].trim();
+    const lineNumber = index + 1;
+
+    if (line === "# EOF") {
+      break;
+    }
+
+    const descriptor = /^#\s*(HELP|TYPE|UNIT)\s+(\S+)(?:\s+(.*))?$/.exec(line);
+
+    if (descriptor) {
+      const family = getFamily(descriptor[2]);
+      const value = descriptor[3] || "";
+
+      if (descriptor[1] === "HELP") {
+        family.help = unescape(value, false);
+      } else if (descriptor[1] === "TYPE") {
+        family.type = value.toLowerCase() === "unknown" ? metricTypes.UNTYPED : value.toLowerCase();
+      } else {
+        family.unit = value;
+      }
+    } else if (line && !line.startsWith("#")) {
+      const sample = parseSample(line, lineNumber);
+      findFamily(sample.name).samples.push(sample);
+    }
+  }
+
+  // families declared by HELP or TYPE without samples are left out
+  return Array.from(families.values()).filter(family => family.samples.length);
+};
+
+/**
+ * Returns labels as text, sorted by name: method="GET", uri="/items".
+ * @param {Object<string, string>} labels
+ * @param {string[]} [except] names to leave out, e.g. le of buckets
+ * @returns {string}
+ */
+const formatLabels = (labels, except = []) => Object.keys(labels)
+  .filter(name => !except.includes(name))
+  .sort()
+  .map(name => `${name}="${labels[name].replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, "\\\"")}"`)
+  .join(", ");
+
+/**
+ * Groups the samples of a family by their labels (without le of histograms and quantile of summaries), one series each.
+ * Histograms get their buckets (cumulative counts by upper bound, ascending), summaries their quantiles.
+ * @param {object} family of parseMetrics
+ * @returns {{ key: string, labels: Object<string, string>, value: number, count: number, sum: number,
+ *   buckets: { le: number, count: number }[], quantiles: { quantile: number, value: number }[] }[]}
+ */
+const getSeries = family => {
+  const series = new Map();
+  const seriesLabel = { histogram: "le", gaugehistogram: "le", summary: "quantile" }[family.type];
+
+  family.samples.forEach(sample => {
+    const key = formatLabels(sample.labels, [seriesLabel]);
+
+    if (!series.has(key)) {
+      const labels = Object.assign({}, sample.labels);
+      delete labels[seriesLabel];
+      series.set(key, {
+        key, labels, buckets: [], quantiles: [],
+      });
+    }
+
+    const entry = series.get(key);
+    const suffix = sample.name.slice(family.name.length);
+
+    if (seriesLabel === "le" && suffix === "_bucket" && sample.labels.le !== undefined) {
+      entry.buckets.push({ le: parseNumber(sample.labels.le), count: sample.value });
+    } else if (seriesLabel === "quantile" && !suffix && sample.labels.quantile !== undefined) {
+      entry.quantiles.push({ quantile: parseNumber(sample.labels.quantile), value: sample.value });
+    } else if (suffix === "_count" || suffix === "_gcount") {
+      entry.count = sample.value;
+    } else if (suffix === "_sum" || suffix === "_gsum") {
+      entry.sum = sample.value;
+    } else if (suffix !== "_created") {
+      entry.value = sample.value;
+    }
+  });
+
+  return Array.from(series.values()).map(entry => Object.assign(entry, {
+    buckets: entry.buckets.sort((a, b) => a.le - b.le),
+    quantiles: entry.quantiles.sort((a, b) => a.quantile - b.quantile),
+  }));
+};
+
+/**
+ * Keeps the series of families that contain all words of filter (case insensitive) in the name or
+ * help of the family or in their labels.
+ * @param {object[]} families of parseMetrics
+ * @param {string} filter words separated by spaces
+ * @returns {{ family: object, series: object[] }[]} families with the matching series of getSeries
+ */
+const filterMetrics = (families, filter) => {
+  const words = `${filter || ""}`.toLowerCase().split(/\s+/).filter(Boolean);
+  const matches = text => words.every(word => text.toLowerCase().includes(word));
+
+  return families
+    .map(family => {
+      const series = getSeries(family);
+      return {
+        family,
+        series: matches(`${family.name} ${family.help}`) ? series : series.filter(entry => matches(`${family.name} ${family.help} ${entry.key}`)),
+      };
+    })
+    .filter(entry => entry.series.length);
+};
+
+/**
+ * Fetches and parses the metrics of a backend.
+ * @param {object} client createApiClient
+ * @param {string} path
+ * @returns {Promise<object[]>} families of parseMetrics, rejects with the ApiError or a MetricsParseError
+ */
+const fetchMetrics = async (client, path) => parseMetrics(await client.get(path, {
+  headers: { Accept: "text/plain; version=0.0.4, application/openmetrics-text; version=1.0.0; q=0.9, */*; q=0.1" },
+}));
+
+/**
+ * Fetches metrics every interval seconds while the page is visible, and at once when it is shown again.
+ * @param {object} client
+ * @param {string} path
+ * @param {number} interval seconds, 0 fetches once (when the page is visible)
+ * @param {function({ families: object[], error: Error, date: Date })} callback
+ * @returns {function()} stops polling
+ */
+const pollMetrics = (client, path, interval, callback) => {
+  let timeout;
+  let stopped = false;
+  let fetched = false;
+
+  const poll = async () => {
+    clearTimeout(timeout);
+
+    if (!document.hidden) {
+      fetched = true;
+
+      let result;
+      try {
+        result = { families: await fetchMetrics(client, path) };
+      } catch (error) {
+        result = { error };
+      }
+      if (!stopped) {
+        callback(Object.assign(result, { date: new Date() }));
+      }
+    }
+
+    if (!stopped && interval > 0) {
+      // a poll started by visibilitychange may have finished in the meantime
+      clearTimeout(timeout);
+      timeout = setTimeout(poll, interval * 1000);
+    }
+  };
+
+  const onVisibilityChange = () => {
+    if (!document.hidden && (interval > 0 || !fetched)) {
+      poll();
+    }
+  };
+
+  document.addEventListener("visibilitychange", onVisibilityChange);
+  poll();
+
+  return () => {
+    stopped = true;
+    clearTimeout(timeout);
+    document.removeEventListener("visibilitychange", onVisibilityChange);
+  };
+};
+
+export {
+  MetricsParseError,
+  fetchMetrics,
+  filterMetrics,
+  formatLabels,
+  getSeries,
+  metricTypes,
+  parseMetrics,
+  pollMetrics,
+};
@@ -0,0 +1,307 @@
+import { LitElement, defineElement, getCompactSize, html, ifDefined } from './runtime.js';
+import { createApiClient } from './api.js';
+import {
+  calculateLocally, calculateRemotely, describeError, formatInput, isUnreachable, operations, parseOperands, resultsMatch,
+} from './calculator.js';
+import { attachDensityChange, detachDensityChange } from './density.js';
+import { attachLanguageChange, detachLanguageChange, fetchI18nBundle, getI18nBundle } from './i18n.js';
+import {
+  CALC_BACKEND, CALC_CALCULATE, CALC_CLEAR, CALC_COMPARE, CALC_ERROR, CALC_EXPRESSION, CALC_FALLBACK, CALC_HISTORY,
+  CALC_LOCAL, CALC_MISMATCH, CALC_NO_HISTORY, CALC_OPERANDS, CALC_OPERANDS_INVALID, CALC_OPERATION_ADD,
+  CALC_OPERATION_DIVIDE, CALC_OPERATION_MULTIPLY, CALC_OPERATION_SUBTRACT, CALC_RESULTS, CRUD_VALUE_REQUIRED,
+} from './i18n-defaults.js';
+
+const operationTexts = {
+  add: CALC_OPERATION_ADD,
+  subtract: CALC_OPERATION_SUBTRACT,
+  multiply: CALC_OPERATION_MULTIPLY,
+  divide: CALC_OPERATION_DIVIDE,
+};
+
+/**
+ * Calculates expressions or operand sets with the calculation endpoint of a backend (POST path)
+ * and lists the results. When the backend is not reachable, the result is calculated in the browser.
+ * With compare, each input is calculated by both and results that differ by more than tolerance
+ * (relative to their size) are flagged, to test the calculation service.
+ * Fires "calculate" (detail: { entry }) for each result and "mismatch" (detail: { entry }) for flagged ones.
+ *
+ * <my-calculator backend="calculator" path="calculate" compare></my-calculator>
+ */
+class MyCalculator extends LitElement {
+
+  static get properties() {
+    return {
+      backend: { type: String },
+      path: { type: String },
+      client: { type: Object, attribute: false },
+      mode: { type: String },
+      compare: { type: Boolean },
+      tolerance: { type: Number },
+      historySize: { type: Number, attribute: 'history-size' },
+      history: { type: Array, attribute: false },
+      _operation: { type: String, attribute: false },
+      _inputError: { type: String, attribute: false },
+      _busy: { type: Boolean, attribute: false }
+    };
+  }
+
+  constructor() {
+    super();
+    this.backend = 'calculator';
+    this.path = 'calculate';
+    this.client = undefined;
+    this.mode = 'expression';
+    this.compare = false;
+    this.tolerance = 1e-9;
+    this.historySize = 20;
+    this.history = [];
+    this._operation = 'add';
+    this._inputError = '';
+    this._busy = false;
+    this._entries = 0;
+    this._onSettingsChange = () => this.requestUpdate();
+    this.i18nBundle = getI18nBundle("my-gh");
+  }
+
+  connectedCallback() {
+    super.connectedCallback();
+    attachLanguageChange(this._onSettingsChange);
+    attachDensityChange(this._onSettingsChange);
+    fetchI18nBundle("my-gh").then(this._onSettingsChange);
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+    detachLanguageChange(this._onSettingsChange);
+    detachDensityChange(this._onSettingsChange);
+  }
+
+  updated(changedProperties) {
+    this.toggleAttribute('data-ui5-compact-size', getCompactSize());
+
+    if (changedProperties.has('backend')) {
+      this._backendClient = undefined;
+    }
+  }
+
+  render() {
+    return html`
+    <style>
+      :host { display: block; }
+      .calculator { display: flex; flex-direction: column; gap: 0.75rem; padding: 1rem; }
+      .row { display: flex; flex-wrap: wrap; align-items: center; gap: 0.5rem; }
+      .input {
+        box-sizing: border-box;
+        flex: 1 1 12rem;
+        min-height: 2.25rem;
+        padding: 0 0.625rem;
+        font: inherit;
+        font-size: var(--sapMFontMediumSize, 0.875rem);
+        color: var(--sapUiFieldTextColor, var(--sapField_TextColor, #32363a));
+        background: var(--sapUiFieldBackground, var(--sapField_Background, #fff));
+        border: 1px solid var(--sapUiFieldBorderColor, var(--sapField_BorderColor, #89919a));
+        border-radius: 0.125rem;
+        direction: ltr;
+      }
+      .input:focus { outline: 1px dotted var(--sapUiContentFocusColor, var(--sapContent_FocusColor, #000)); outline-offset: -3px; }
+      .input[data-value-state="Error"] {
+        border: 2px solid var(--sapUiFieldInvalidColor, var(--sapField_InvalidColor, #b00));
+        background: var(--sapUiFieldInvalidBackground, var(--sapField_InvalidBackground, #fff));
+      }
+      .message { font-size: var(--sapMFontSmallSize, 0.75rem); color: var(--sapUiNegativeText, var(--sapNegativeTextColor, #b00)); }
+      .toolbar { display: flex; align-items: center; justify-content: space-between; gap: 0.5rem; }
+
+      :host([data-ui5-compact-size]) .calculator { gap: 0.5rem; padding: 0.5rem; }
+      :host([data-ui5-compact-size]) .input { min-height: 1.625rem; padding: 0 0.5rem; }
+    </style>
+    <div class="calculator" aria-busy="${this._busy}">
+      <div class="row" role="radiogroup">
+        <ui5-radiobutton name="mode" text="${this.i18nBundle.getText(CALC_EXPRESSION)}" ?selected="${this.mode !== 'operands'}"
+          @select="${() => this.setMode('expression')}"></ui5-radiobutton>
+        <ui5-radiobutton name="mode" text="${this.i18nBundle.getText(CALC_OPERANDS)}" ?selected="${this.mode === 'operands'}"
+          @select="${() => this.setMode('operands')}"></ui5-radiobutton>
+      </div>
+      ${this.mode === 'operands' ? html`
+      <div class="row" role="radiogroup">
+        ${Object.keys(operations).map(operation => html`
+        <ui5-radiobutton name="operation" text="${this.i18nBundle.getText(operationTexts[operation])}"
+          ?selected="${operation === this._operation}" @select="${() => { this._operation = operation; }}"></ui5-radiobutton>
+        `)}
+      </div>
+      ` : ''}
+      <div class="row">
+        <input id="input" class="input" placeholder="${this.mode === 'operands' ? '1, 2, 3' : '(1 + 2) * 3'}"
+          aria-label="${this.i18nBundle.getText(this.mode === 'operands' ? CALC_OPERANDS : CALC_EXPRESSION)}"
+          data-value-state="${this._inputError ? 'Error' : 'None'}" aria-invalid="${!!this._inputError}"
+          aria-describedby="${ifDefined(this._inputError ? 'input-message' : undefined)}"
+          @keydown="${this.handleKeyDown}" @input="${() => { this._inputError = ''; }}">
+        <ui5-button design="Emphasized" ?disabled="${this._busy}" @press="${this.submit}">${this.i18nBundle.getText(CALC_CALCULATE)}</ui5-button>
+      </div>
+      ${this._inputError ? html`<div id="input-message" class="message" role="alert">${this._inputError}</div>` : ''}
+      <ui5-checkbox text="${this.i18nBundle.getText(CALC_COMPARE)}" ?checked="${this.compare}"
+        @change="${e => { this.compare = e.target.checked; }}"></ui5-checkbox>
+    </div>
+    <ui5-list separators="Inner" no-data-text="${this.i18nBundle.getText(CALC_NO_HISTORY)}">
+      <div slot="header" class="toolbar">
+        <ui5-title level="H5">${this.i18nBundle.getText(CALC_HISTORY)}</ui5-title>
+        <ui5-button design="Transparent" icon="sap-icon://delete" ?disabled="${!this.history.length}" @press="${this.clearHistory}">
+          ${this.i18nBundle.getText(CALC_CLEAR)}
+        </ui5-button>
+      </div>
+      ${this.history.map(entry => this.renderEntry(entry))}
+    </ui5-list>
+    `;
+  }
+
+  renderEntry(entry) {
+    const status = this.getEntryStatus(entry);
+
+    return html`
+    <ui5-li type="Inactive" info="${status.text}" info-state="${status.state}"
+      description="${this.getEntryDescription(entry)}">${entry.text} = ${entry.result !== undefined ? entry.result : '?'}</ui5-li>
+    `;
+  }
+
+  getEntryStatus(entry) {
+    if (entry.mismatch) {
+      return { text: this.i18nBundle.getText(CALC_MISMATCH), state: 'Error' };
+    }
+    if (entry.result === undefined) {
+      return { text: this.i18nBundle.getText(CALC_ERROR), state: 'Error' };
+    }
+    if (entry.source === 'local') {
+      return { text: this.i18nBundle.getText(CALC_LOCAL), state: entry.backendError ? 'Warning' : 'None' };
+    }
+    return { text: this.i18nBundle.getText(CALC_BACKEND), state: 'Success' };
+  }
+
+  getEntryDescription(entry) {
+    const describe = (result, error) => (error ? describeError(error) : `${result}`);
+
+    if (entry.compared) {
+      return this.i18nBundle.getText(CALC_RESULTS,
+        describe(entry.backendResult, entry.backendError), describe(entry.localResult, entry.localError));
+    }
+    if (entry.source === 'local' && entry.backendError) {
+      return this.i18nBundle.getText(CALC_FALLBACK, describeError(entry.backendError));
+    }
+
+    const error = entry.source === 'local' ? entry.localError : entry.backendError;
+    return error ? describeError(error) : '';
+  }
+
+  setMode(mode) {
+    this.mode = mode;
+    this._inputError = '';
+  }
+
+  handleKeyDown(e) {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      this.submit();
+    }
+  }
+
+  /**
+   * Calculates the text of the input field.
+   */
+  async submit() {
+    const input = this.shadowRoot.getElementById('input');
+    const value = input.value.trim();
+
+    if (!value) {
+      this._inputError = this.i18nBundle.getText(CRUD_VALUE_REQUIRED);
+      input.focus();
+      return;
+    }
+
+    if (this.mode === 'operands') {
+      const operands = parseOperands(value);
+
+      if (!operands.length || operands.some(isNaN)) {
+        this._inputError = this.i18nBundle.getText(CALC_OPERANDS_INVALID);
+        input.focus();
+        return;
+      }
+
+      await this.calculate({ operation: this._operation, operands });
+    } else {
+      await this.calculate({ expression: value });
+    }
+  }
+
+  getClient() {
+    if (this.client) {
+      return this.client;
+    }
+    if (!this._backendClient && this.backend) {
+      this._backendClient = createApiClient({ backend: this.backend });
+    }
+
+    return this._backendClient;
+  }
+
+  /**
+   * Calculates an input with the backend, in the browser when the backend is not reachable, or with both
+   * in comparison mode, and adds the result to the history.
+   * @param {{ expression: string }|{ operation: string, operands: number[] }} input
+   * @returns {Promise<object>} the history entry: { id, input, text, result, source ("backend" or "local"),
+   *   backendResult, backendError, localResult, localError, compared, mismatch, date }
+   */
+  async calculate(input) {
+    const entry = {
+      id: ++this._entries, input, text: formatInput(input), date: new Date(),
+    };
+    const client = this.getClient();
+
+    const calculateHere = () => {
+      try {
+        entry.localResult = calculateLocally(input);
+      } catch (error) {
+        entry.localError = error;
+      }
+    };
+
+    if (client) {
+      this._busy = true;
+
+      try {
+        entry.backendResult = await calculateRemotely(client, this.path, input);
+      } catch (error) {
+        entry.backendError = error;
+      } finally {
+        this._busy = false;
+      }
+    }
+
+    // without a backend, all inputs are calculated in the browser
+    const fallback = !client || (!!entry.backendError && isUnreachable(entry.backendError));
+
+    if (this.compare || fallback) {
+      calculateHere();
+    }
+
+    entry.source = fallback ? 'local' : 'backend';
+    entry.result = fallback ? entry.localResult : entry.backendResult;
+    entry.compared = this.compare && !fallback;
+    entry.mismatch = entry.compared && (entry.backendError || entry.localError
+      ? !entry.backendError !== !entry.localError
+      : !resultsMatch(entry.backendResult, entry.localResult, this.tolerance));
+
+    this.history = [entry].concat(this.history).slice(0, Math.max(1, this.historySize));
+
+    this.dispatchEvent(new CustomEvent('calculate', { detail: { entry }, bubbles: true, composed: true }));
+    if (entry.mismatch) {
+      this.dispatchEvent(new CustomEvent('mismatch', { detail: { entry }, bubbles: true, composed: true }));
+    }
+
+    return entry;
+  }
+
+  clearHistory() {
+    this.history = [];
+  }
+
+}
+
+defineElement('my-calculator', MyCalculator);
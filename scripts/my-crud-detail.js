@@ -0,0 +1,81 @@
+import { defineElement, html } from './runtime.js';
+import { CrudElement, crudStyles } from './crud.js';
+import {
+  CRUD_DELETE, CRUD_EDIT, CRUD_NO, CRUD_NO_SELECTION, CRUD_YES,
+} from './i18n-defaults.js';
+
+/**
+ * The fields of the entry selected in my-crud-list of the same backend and path, with buttons to edit it
+ * in my-crud-form and to delete it after a confirmation. Fires "delete" (detail: { item }).
+ *
+ * <my-crud-detail backend="quarkus" path="items" fields='["name", "description"]'></my-crud-detail>
+ */
+class MyCrudDetail extends CrudElement {
+
+  render() {
+    const item = this.store ? this.store.getSelected() : undefined;
+
+    return html`
+    ${crudStyles}
+    <style>
+      :host { display: block; }
+      .detail { padding: 1rem; }
+      dl { display: grid; grid-template-columns: minmax(6rem, max-content) 1fr; gap: 0.5rem 1rem; margin: 1rem 0 0; }
+      dt { color: var(--sapUiContentLabelColor, var(--sapContent_LabelColor, #6a6d70)); }
+      dd { margin: 0; overflow-wrap: anywhere; }
+      .empty { color: var(--sapUiContentLabelColor, var(--sapContent_LabelColor, #6a6d70)); }
+
+      :host([data-ui5-compact-size]) .detail { padding: 0.5rem; }
+      :host([data-ui5-compact-size]) dl { gap: 0.25rem 0.75rem; margin-top: 0.5rem; }
+    </style>
+    <div class="detail">
+      ${item ? html`
+      <div class="toolbar">
+        <ui5-title level="H5">${this.getTitle(item)}</ui5-title>
+        <span>
+          <ui5-button icon="sap-icon://edit" ?disabled="${this.store.mode !== 'display'}" @press="${this.edit}">
+            ${this.i18nBundle.getText(CRUD_EDIT)}
+          </ui5-button>
+          <ui5-button id="delete" design="Negative" icon="sap-icon://delete" @press="${this.delete}">
+            ${this.i18nBundle.getText(CRUD_DELETE)}
+          </ui5-button>
+        </span>
+      </div>
+      <dl>
+        ${this.getFields().map(field => html`
+        <dt>${field.label}</dt>
+        <dd>${this.formatValue(field, item[field.name])}</dd>
+        `)}
+      </dl>
+      ` : html`
+      <p class="empty">${this.i18nBundle.getText(CRUD_NO_SELECTION)}</p>
+      `}
+    </div>
+    ${this.renderDeletePopover()}
+    `;
+  }
+
+  formatValue(field, value) {
+    if (field.type === 'boolean') {
+      return this.i18nBundle.getText(value ? CRUD_YES : CRUD_NO);
+    }
+
+    const option = field.options.find(entry => entry.value === value);
+    if (option) {
+      return option.text;
+    }
+
+    return value === undefined || value === null ? '' : `${value}`;
+  }
+
+  edit() {
+    this.store.edit();
+  }
+
+  delete() {
+    this.requestDelete(this.shadowRoot.getElementById('delete'), this.store.selectedId);
+  }
+
+}
+
+defineElement('my-crud-detail', MyCrudDetail);
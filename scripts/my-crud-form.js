@@ -0,0 +1,296 @@
+import { defineElement, html, ifDefined } from './runtime.js';
+import {
+  CrudElement, crudStyles, getViolations, validateField,
+} from './crud.js';
+import {
+  CRUD_CANCEL, CRUD_EDIT_ENTRY, CRUD_NEW_ENTRY, CRUD_SAVE, CRUD_SAVE_ERROR,
+} from './i18n-defaults.js';
+
+const inputTypes = ["text", "number", "email", "url", "date"];
+
+/**
+ * Form to create an entry or edit the selected one, shown while my-crud-list (create button)
+ * or my-crud-detail (edit button) of the same backend and path ask for it.
+ * Values are checked against the fields while typing and before saving, invalid ones get the value state Error
+ * and a message, as do the violations the backend answers with. Fires "save" (detail: { item }) and "cancel".
+ *
+ * <my-crud-form backend="quarkus" path="items"
+ *   fields='[{"name": "name", "required": true, "maxLength": 40}, {"name": "description", "type": "textarea"}]'></my-crud-form>
+ */
+class MyCrudForm extends CrudElement {
+
+  static get properties() {
+    return Object.assign({}, super.properties, {
+      _values: { type: Object, attribute: false },
+      _messages: { type: Object, attribute: false },
+      _saving: { type: Boolean, attribute: false },
+      _saveError: { type: String, attribute: false }
+    });
+  }
+
+  constructor() {
+    super();
+    this._values = {};
+    this._messages = {};
+    this._saving = false;
+    this._saveError = '';
+    this._editing = '';
+    this._onStoreChange = () => {
+      this.resetValues();
+      this.requestUpdate();
+    };
+  }
+
+  connectStore() {
+    super.connectStore();
+    this.resetValues();
+  }
+
+  /**
+   * Starts over with the values of the entry to edit, or empty ones for a new entry, when that entry changes.
+   */
+  resetValues() {
+    const store = this.store;
+    const editing = store && store.mode !== 'display' ? `${store.mode} ${store.selectedId}` : '';
+
+    if (editing === this._editing) {
+      return;
+    }
+
+    const item = store && store.mode === 'edit' ? store.getSelected() || {} : {};
+    this._editing = editing;
+    this._values = Object.assign({}, item);
+    this._messages = {};
+    this._saveError = '';
+  }
+
+  render() {
+    const store = this.store;
+
+    if (!store || store.mode === 'display') {
+      return html``;
+    }
+
+    return html`
+    ${crudStyles}
+    <style>
+      :host { display: block; }
+      form { display: flex; flex-direction: column; gap: 0.75rem; padding: 1rem; }
+      .field { display: flex; flex-direction: column; gap: 0.25rem; }
+      .input {
+        box-sizing: border-box;
+        width: 100%;
+        min-height: 2.25rem;
+        padding: 0 0.625rem;
+        font: inherit;
+        font-size: var(--sapMFontMediumSize, 0.875rem);
+        color: var(--sapUiFieldTextColor, var(--sapField_TextColor, #32363a));
+        background: var(--sapUiFieldBackground, var(--sapField_Background, #fff));
+        border: 1px solid var(--sapUiFieldBorderColor, var(--sapField_BorderColor, #89919a));
+        border-radius: var(--_ui5_input_wrapper_border_radius, 0.125rem);
+      }
+      textarea.input { min-height: 4.5rem; padding: 0.5rem 0.625rem; resize: vertical; }
+      .input:hover { border-color: var(--sapUiFieldHoverBorderColor, var(--sapField_Hover_BorderColor, #0854a0)); }
+      .input:focus { outline: 1px dotted var(--sapUiContentFocusColor, var(--sapContent_FocusColor, #000)); outline-offset: -3px; }
+      .input[data-value-state="Error"] {
+        border: 2px solid var(--sapUiFieldInvalidColor, var(--sapField_InvalidColor, #b00));
+        background: var(--sapUiFieldInvalidBackground, var(--sapField_InvalidBackground, #fff));
+      }
+      .input[data-value-state="Warning"] {
+        border: 2px solid var(--sapUiFieldWarningColor, var(--sapField_WarningColor, #e9730c));
+        background: var(--sapUiFieldWarningBackground, var(--sapField_WarningBackground, #fff));
+      }
+      .message { font-size: var(--sapMFontSmallSize, 0.75rem); }
+      .message[data-value-state="Error"] { color: var(--sapUiNegativeText, var(--sapNegativeTextColor, #b00)); }
+      .message[data-value-state="Warning"] { color: var(--sapUiCriticalText, var(--sapCriticalTextColor, #e9730c)); }
+      .choices { display: flex; flex-wrap: wrap; }
+      .actions { display: flex; justify-content: flex-end; gap: 0.5rem; }
+      .error { margin: 0; }
+
+      :host([data-ui5-compact-size]) form { gap: 0.5rem; padding: 0.5rem; }
+      :host([data-ui5-compact-size]) .input { min-height: 1.625rem; padding: 0 0.5rem; }
+    </style>
+    <form novalidate aria-busy="${this._saving}" @submit="${this.handleSubmit}" @keydown="${this.handleKeyDown}">
+      <ui5-title level="H5">
+        ${store.mode === 'create' ? this.i18nBundle.getText(CRUD_NEW_ENTRY) : this.i18nBundle.getText(CRUD_EDIT_ENTRY, this.getTitle(store.getSelected()))}
+      </ui5-title>
+      ${this.getFields().map(field => this.renderField(field))}
+      ${this._saveError ? html`<p class="error" role="alert">${this._saveError}</p>` : ''}
+      <div class="actions">
+        <ui5-button design="Emphasized" ?disabled="${this._saving}" @press="${this.save}">${this.i18nBundle.getText(CRUD_SAVE)}</ui5-button>
+        <ui5-button design="Transparent" ?disabled="${this._saving}" @press="${this.cancel}">${this.i18nBundle.getText(CRUD_CANCEL)}</ui5-button>
+      </div>
+    </form>
+    `;
+  }
+
+  renderField(field) {
+    const message = this._messages[field.name];
+
+    return html`
+    <div class="field">
+      <ui5-label id="label-${field.name}" ?required="${field.required}">${field.label}</ui5-label>
+      ${this.renderInput(field, message ? message.valueState : 'None')}
+      ${message ? html`
+      <div id="message-${field.name}" class="message" data-value-state="${message.valueState}">${message.text}</div>
+      ` : ''}
+    </div>
+    `;
+  }
+
+  renderInput(field, valueState) {
+    const value = this._values[field.name];
+    const describedBy = valueState !== 'None' ? `message-${field.name}` : undefined;
+
+    if (field.type === 'boolean') {
+      return html`
+      <ui5-checkbox id="field-${field.name}" aria-labelledby="label-${field.name}" value-state="${valueState}"
+        ?checked="${!!value}" @change="${e => this.handleValue(field, e.target.checked, true)}"></ui5-checkbox>
+      `;
+    }
+
+    if (field.type === 'choice') {
+      return html`
+      <div id="field-${field.name}" class="choices" role="radiogroup" aria-labelledby="label-${field.name}"
+        aria-describedby="${ifDefined(describedBy)}">
+        ${field.options.map(option => html`
+        <ui5-radiobutton name="${field.name}" text="${option.text}" value-state="${valueState}"
+          ?selected="${option.value === value}" @select="${() => this.handleValue(field, option.value, true)}"></ui5-radiobutton>
+        `)}
+      </div>
+      `;
+    }
+
+    const text = value === undefined || value === null ? '' : `${value}`;
+
+    if (field.type === 'textarea') {
+      return html`
+      <textarea id="field-${field.name}" class="input" data-value-state="${valueState}" .value="${text}"
+        placeholder="${ifDefined(field.placeholder)}" aria-labelledby="label-${field.name}"
+        aria-invalid="${valueState === 'Error'}" aria-describedby="${ifDefined(describedBy)}" ?required="${field.required}"
+        @input="${e => this.handleValue(field, e.target.value)}"
+        @change="${e => this.handleValue(field, e.target.value, true)}"></textarea>
+      `;
+    }
+
+    return html`
+    <input id="field-${field.name}" class="input" type="${inputTypes.includes(field.type) ? field.type : 'text'}"
+      data-value-state="${valueState}" .value="${text}"
+      placeholder="${ifDefined(field.placeholder)}" aria-labelledby="label-${field.name}"
+      aria-invalid="${valueState === 'Error'}" aria-describedby="${ifDefined(describedBy)}" ?required="${field.required}"
+      @input="${e => this.handleValue(field, this.readValue(field, e.target))}"
+      @change="${e => this.handleValue(field, this.readValue(field, e.target), true)}">
+    `;
+  }
+
+  readValue(field, input) {
+    if (field.type !== 'number') {
+      return input.value;
+    }
+
+    // an incomplete number like "1e" reads as "", badInput tells it from an empty field
+    return input.value === '' ? (input.validity && input.validity.badInput ? NaN : undefined) : Number(input.value);
+  }
+
+  /**
+   * Takes over a value, checks it when the field is left (or changed at once, like a checkbox)
+   * and while typing in a field that shows a message.
+   */
+  handleValue(field, value, check) {
+    this._values = Object.assign({}, this._values, { [field.name]: value });
+
+    if (check || this._messages[field.name]) {
+      this.validate(field);
+    }
+  }
+
+  /**
+   * Checks the value of a field and shows its message.
+   * @returns {boolean} true when the value is valid
+   */
+  validate(field) {
+    const result = validateField(field, this._values[field.name]);
+    const messages = Object.assign({}, this._messages);
+
+    if (result) {
+      messages[field.name] = { valueState: 'Error', text: this.i18nBundle.getText(...result) };
+    } else {
+      delete messages[field.name];
+    }
+
+    this._messages = messages;
+    return !result;
+  }
+
+  handleSubmit(e) {
+    e.preventDefault();
+    this.save();
+  }
+
+  handleKeyDown(e) {
+    if (e.key === 'Enter' && e.target.tagName === 'INPUT') {
+      e.preventDefault();
+      this.save();
+    }
+  }
+
+  /**
+   * Checks all fields and saves the entry when they are valid, else focuses the first invalid field.
+   * @returns {Promise<boolean>} true when the entry has been saved
+   */
+  async save() {
+    const fields = this.getFields();
+    const invalid = fields.filter(field => !this.validate(field));
+
+    this._saveError = '';
+
+    if (invalid.length) {
+      await this.updateComplete;
+      this.focusField(invalid[0]);
+      return false;
+    }
+
+    const values = {};
+    fields.forEach(field => {
+      values[field.name] = this._values[field.name];
+    });
+
+    this._saving = true;
+
+    try {
+      const item = await this.store.save(values);
+      this.dispatchEvent(new CustomEvent('save', { detail: { item }, bubbles: true, composed: true }));
+      return true;
+    } catch (error) {
+      const violations = getViolations(error);
+      const messages = Object.assign({}, this._messages);
+
+      Object.keys(violations).forEach(name => {
+        messages[name] = { valueState: 'Error', text: violations[name] };
+      });
+
+      this._messages = messages;
+      this._saveError = this.i18nBundle.getText(CRUD_SAVE_ERROR, error.message);
+      return false;
+    } finally {
+      this._saving = false;
+    }
+  }
+
+  cancel() {
+    this.store.cancel();
+    this.dispatchEvent(new CustomEvent('cancel', { bubbles: true, composed: true }));
+  }
+
+  focusField(field) {
+    const element = this.shadowRoot.getElementById(`field-${field.name}`);
+    const target = field.type === 'choice' && element ? element.querySelector('ui5-radiobutton') : element;
+
+    if (target) {
+      target.focus();
+    }
+  }
+
+}
+
+defineElement('my-crud-form', MyCrudForm);
@@ -0,0 +1,94 @@
+import { defineElement, html } from './runtime.js';
+import { CrudElement, crudStyles } from './crud.js';
+import {
+  CRUD_CREATE, CRUD_LOAD_ERROR, CRUD_NO_DATA, CRUD_RELOAD, PANEL_LOADING,
+} from './i18n-defaults.js';
+
+/**
+ * Entries of a REST collection in a ui5-list, with buttons to create an entry and to reload.
+ * Pressing an entry selects it for my-crud-detail and my-crud-form of the same backend and path
+ * and fires "item-select" (detail: { item }). With deletable, each entry has a delete button asking to confirm.
+ *
+ * <my-crud-list backend="quarkus" path="items" header-text="Items" title-property="name" description-property="description"></my-crud-list>
+ */
+class MyCrudList extends CrudElement {
+
+  static get properties() {
+    return Object.assign({}, super.properties, {
+      headerText: { type: String, attribute: 'header-text' },
+      descriptionProperty: { type: String, attribute: 'description-property' },
+      deletable: { type: Boolean }
+    });
+  }
+
+  constructor() {
+    super();
+    this.headerText = '';
+    this.descriptionProperty = 'description';
+    this.deletable = false;
+  }
+
+  render() {
+    const store = this.store;
+    const items = store ? store.items : [];
+
+    return html`
+    ${crudStyles}
+    <style>
+      :host { display: block; }
+    </style>
+    <ui5-list mode="${this.deletable ? 'Delete' : 'SingleSelect'}" separators="Inner"
+      no-data-text="${store && store.loading ? this.i18nBundle.getText(PANEL_LOADING) : this.i18nBundle.getText(CRUD_NO_DATA)}"
+      aria-busy="${!!(store && store.loading)}"
+      @itemPress="${this.handleItemPress}" @itemDelete="${this.handleItemDelete}">
+      <div slot="header" class="toolbar">
+        <ui5-title level="H5">${this.headerText}</ui5-title>
+        <span>
+          <ui5-button design="Transparent" icon="sap-icon://refresh" title="${this.i18nBundle.getText(CRUD_RELOAD)}"
+            ?disabled="${!store || store.loading}" @press="${this.reload}"></ui5-button>
+          <ui5-button icon="sap-icon://add" ?disabled="${!store}" @press="${this.create}">${this.i18nBundle.getText(CRUD_CREATE)}</ui5-button>
+        </span>
+      </div>
+      ${items.map(item => html`
+      <ui5-li data-id="${store.getId(item)}" description="${this.getDescription(item)}"
+        ?selected="${store.getId(item) === store.selectedId}">${this.getTitle(item)}</ui5-li>
+      `)}
+    </ui5-list>
+    ${store && store.error ? html`
+    <div class="error" role="alert">${this.i18nBundle.getText(CRUD_LOAD_ERROR, store.error.message)}</div>
+    ` : ''}
+    ${this.renderDeletePopover()}
+    `;
+  }
+
+  getDescription(item) {
+    const description = item[this.descriptionProperty];
+    return description === undefined || description === null ? '' : `${description}`;
+  }
+
+  handleItemPress(e) {
+    const id = e.detail.item.dataset.id;
+
+    this.store.select(id);
+    this.dispatchEvent(new CustomEvent('item-select', {
+      detail: { item: this.store.getItem(id) },
+      bubbles: true,
+      composed: true
+    }));
+  }
+
+  handleItemDelete(e) {
+    this.requestDelete(e.detail.item, e.detail.item.dataset.id);
+  }
+
+  create() {
+    this.store.create();
+  }
+
+  reload() {
+    return this.store.load();
+  }
+
+}
+
+defineElement('my-crud-list', MyCrudList);
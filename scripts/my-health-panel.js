@@ -0,0 +1,248 @@
+import { defineElement, getLanguage, html } from './runtime.js';
+import { createApiClient } from './api.js';
+import { hasAnyRole } from './auth.js';
+import {
+  clearHealth, healthStatuses, healthValueStates, pollHealth, reportHealth,
+} from './health.js';
+import {
+  HEALTH_CHECKED_AT, HEALTH_DOWN, HEALTH_HISTORY, HEALTH_LIVE, HEALTH_NO_CHECKS, HEALTH_READY, HEALTH_STARTED,
+  HEALTH_TITLE, HEALTH_UNKNOWN, HEALTH_UNREACHABLE, HEALTH_UP, PANEL_LOADING,
+} from './i18n-defaults.js';
+import { MyGhPanel } from './my-gh-panel.js';
+
+const statusTexts = {
+  UP: HEALTH_UP,
+  DOWN: HEALTH_DOWN,
+  UNKNOWN: HEALTH_UNKNOWN,
+};
+
+const endpointTexts = {
+  live: HEALTH_LIVE,
+  ready: HEALTH_READY,
+  started: HEALTH_STARTED,
+};
+
+// share of UP checks in a poll, for the sparkline: 1 all up, 0 all down or unreachable
+const getUpShare = result => {
+  const statuses = [].concat(...result.endpoints.map(endpoint => (endpoint.checks.length
+    ? endpoint.checks.map(check => check.status)
+    : [endpoint.status])));
+
+  return statuses.length ? statuses.filter(status => status === healthStatuses.UP).length / statuses.length : 0;
+};
+
+/**
+ * Panel with the MicroProfile Health checks of a backend, polled every interval seconds.
+ * Each check is listed with its status (value state Success for UP, Error for DOWN, Warning when the endpoint
+ * cannot be reached), a sparkline shows the share of UP checks of the last polls,
+ * and the overall status is reported to the status dot of my-gh-header. Fires "health-change"
+ * (detail: { status, previousStatus, result }) when the overall status changes.
+ *
+ * <my-health-panel backend="quarkus-root" endpoints="q/health/live q/health/ready" interval="30"></my-health-panel>
+ */
+class MyHealthPanel extends MyGhPanel {
+
+  static get properties() {
+    return Object.assign({}, super.properties, {
+      endpoints: { type: String },
+      interval: { type: Number },
+      historySize: { type: Number, attribute: 'history-size' },
+      _result: { type: Object, attribute: false },
+      _history: { type: Array, attribute: false }
+    });
+  }
+
+  constructor() {
+    super();
+    this.endpoints = 'health/live health/ready';
+    this.interval = 30;
+    this.historySize = 30;
+    this._result = undefined;
+    this._history = [];
+
+    // after sign in and sign out, the roles may give access now or no more
+    const onAuthChange = this._onAuthChange;
+    this._onAuthChange = user => {
+      onAuthChange(user);
+      if (this.roles) {
+        this.restartPolling();
+      }
+    };
+  }
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    // the first update starts polling, a panel moved in the page starts again here
+    if (this.hasUpdated) {
+      this.restartPolling();
+    }
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+    this.stopPolling();
+    clearHealth(this);
+  }
+
+  updated(changedProperties) {
+    super.updated(changedProperties);
+
+    if (['backend', 'endpoints', 'interval', 'roles'].some(name => changedProperties.has(name))) {
+      this.restartPolling();
+    }
+  }
+
+  getEndpoints() {
+    return this.endpoints.split(/\s+/).filter(Boolean);
+  }
+
+  restartPolling() {
+    this.stopPolling();
+
+    if (!this.isConnected || !hasAnyRole(this.roles) || !this.getEndpoints().length) {
+      // nothing is polled, so neither the panel nor the header may show the last status
+      clearHealth(this);
+      this._result = undefined;
+      this._history = [];
+      return;
+    }
+
+    const client = createApiClient({ backend: this.backend || undefined, baseUrl: this.backend ? undefined : './', retries: 0, timeout: 5000 });
+    this._stopPolling = pollHealth(client, this.getEndpoints(), Math.max(1, this.interval), result => this.handleResult(result));
+  }
+
+  stopPolling() {
+    if (this._stopPolling) {
+      this._stopPolling();
+      this._stopPolling = undefined;
+    }
+  }
+
+  handleResult(result) {
+    const previousStatus = this._result ? this._result.status : undefined;
+
+    this._result = result;
+    this._history = this._history.concat({ date: result.date, status: result.status, share: getUpShare(result) })
+      .slice(-Math.max(2, this.historySize));
+
+    reportHealth(this, { name: this.getTitle(), status: result.status });
+
+    if (result.status !== previousStatus) {
+      this.dispatchEvent(new CustomEvent('health-change', {
+        detail: { status: result.status, previousStatus, result },
+        bubbles: true,
+        composed: true
+      }));
+    }
+  }
+
+  getTitle() {
+    return this.panelTitle || this.backend || this.i18nBundle.getText(HEALTH_TITLE);
+  }
+
+  renderContent() {
+    const result = this._result;
+
+    return html`
+    <style>
+      .health-summary { display: flex; align-items: center; justify-content: space-between; flex-wrap: wrap; gap: 0.5rem; }
+      .health-status { display: flex; align-items: center; gap: 0.5rem; font-weight: bold; }
+      .health-status[data-status="UP"] { color: var(--sapUiPositiveText, var(--sapPositiveTextColor, #107e3e)); }
+      .health-status[data-status="DOWN"] { color: var(--sapUiNegativeText, var(--sapNegativeTextColor, #b00)); }
+      .health-status[data-status="UNKNOWN"] { color: var(--sapUiCriticalText, var(--sapCriticalTextColor, #e9730c)); }
+      .health-checked { color: var(--sapUiContentLabelColor, var(--sapContent_LabelColor, #6a6d70)); font-size: var(--sapMFontSmallSize, 0.75rem); }
+      .sparkline { width: 8rem; height: 1.5rem; overflow: visible; }
+      .sparkline polyline { fill: none; stroke: var(--sapUiChartSequence1, var(--sapChart_Sequence_1, #5899da)); stroke-width: 1.5; }
+      .sparkline circle[data-status="UP"] { fill: var(--sapUiPositiveElement, var(--sapPositiveElementColor, #107e3e)); }
+      .sparkline circle[data-status="DOWN"] { fill: var(--sapUiNegativeElement, var(--sapNegativeElementColor, #b00)); }
+      .sparkline circle[data-status="UNKNOWN"] { fill: var(--sapUiCriticalElement, var(--sapCriticalElementColor, #e9730c)); }
+      .health-checks { margin-top: 0.5rem; }
+
+      :host([data-ui5-compact-size]) .sparkline { height: 1rem; }
+    </style>
+    <slot>${this.panelContent}</slot>
+    ${this.renderFragment()}
+    ${result ? html`
+    <div class="health-summary">
+      <span class="health-status" data-status="${result.status}" role="status">
+        <ui5-icon src="${this.getStatusIcon(result.status)}"></ui5-icon>
+        ${this.i18nBundle.getText(statusTexts[result.status])}
+      </span>
+      ${this.renderSparkline()}
+      <span class="health-checked">${this.i18nBundle.getText(HEALTH_CHECKED_AT, result.date.toLocaleTimeString(getLanguage() || undefined))}</span>
+    </div>
+    <ui5-list class="health-checks" separators="Inner" no-data-text="${this.i18nBundle.getText(HEALTH_NO_CHECKS)}">
+      ${result.endpoints.map(endpoint => this.renderEndpoint(endpoint))}
+    </ui5-list>
+    ` : html`
+    <div class="health-checked" aria-busy="true">${this.i18nBundle.getText(PANEL_LOADING)}</div>
+    `}
+    `;
+  }
+
+  renderEndpoint(endpoint) {
+    const endpointText = this.getEndpointText(endpoint.path);
+
+    if (endpoint.error) {
+      return html`
+      <ui5-li type="Inactive" icon="${this.getStatusIcon(endpoint.status)}" info="${this.i18nBundle.getText(statusTexts[endpoint.status])}"
+        info-state="${healthValueStates[endpoint.status]}"
+        description="${this.i18nBundle.getText(HEALTH_UNREACHABLE, endpoint.error.message)}">${endpointText}</ui5-li>
+      `;
+    }
+
+    return html`
+    ${endpoint.checks.map(check => html`
+    <ui5-li type="Inactive" icon="${this.getStatusIcon(check.status)}" info="${this.i18nBundle.getText(statusTexts[check.status])}"
+      info-state="${healthValueStates[check.status]}"
+      description="${[endpointText].concat(Object.keys(check.data).map(key => `${key}: ${check.data[key]}`)).join(' · ')}">${check.name}</ui5-li>
+    `)}
+    ${endpoint.checks.length ? '' : html`
+    <ui5-li type="Inactive" icon="${this.getStatusIcon(endpoint.status)}" info="${this.i18nBundle.getText(statusTexts[endpoint.status])}"
+      info-state="${healthValueStates[endpoint.status]}">${endpointText}</ui5-li>
+    `}
+    `;
+  }
+
+  /**
+   * Share of UP checks of the last polls as a line from left (oldest) to right (latest), the latest as a dot.
+   */
+  renderSparkline() {
+    const history = this._history;
+    const width = 100;
+    const height = 20;
+    const step = width / Math.max(1, this.historySize - 1);
+    const points = history.map((entry, index) => [width - (history.length - 1 - index) * step, height - entry.share * height]);
+    const latest = history[history.length - 1];
+    const ups = history.filter(entry => entry.status === healthStatuses.UP).length;
+
+    return html`
+    <svg class="sparkline" viewBox="0 -2 ${width} ${height + 4}" preserveAspectRatio="none" role="img"
+      aria-label="${this.i18nBundle.getText(HEALTH_HISTORY, history.length, ups)}">
+      <polyline points="${points.map(point => point.join(',')).join(' ')}"></polyline>
+      <circle cx="${width}" cy="${latest ? height - latest.share * height : 0}" r="2.5" data-status="${latest ? latest.status : ''}"
+        visibility="${latest ? 'visible' : 'hidden'}"></circle>
+    </svg>
+    `;
+  }
+
+  getEndpointText(path) {
+    const name = path.replace(/\/+$/, '').split('/').pop();
+    return endpointTexts[name] ? this.i18nBundle.getText(endpointTexts[name]) : path;
+  }
+
+  getStatusIcon(status) {
+    switch (status) {
+      case healthStatuses.UP:
+        return 'sap-icon://status-positive';
+      case healthStatuses.DOWN:
+        return 'sap-icon://status-negative';
+      default:
+        return 'sap-icon://status-critical';
+    }
+  }
+
+}
+
+defineElement('my-health-panel', MyHealthPanel);
@@ -0,0 +1,363 @@
+import { defineElement, getLanguage, html } from './runtime.js';
+import { createApiClient } from './api.js';
+import { hasAnyRole } from './auth.js';
+import { filterMetrics, getSeries, metricTypes, pollMetrics } from './metrics.js';
+import {
+  METRICS_BUCKETS, METRICS_COUNT, METRICS_DISTRIBUTION, METRICS_FILTER, METRICS_LOAD_ERROR, METRICS_MEAN,
+  METRICS_NO_DATA, METRICS_QUANTILES, METRICS_RATE, METRICS_REFRESH, METRICS_SERIES, METRICS_SHOWN, METRICS_SUM,
+  METRICS_TREND, METRICS_UPDATED_AT, METRICS_VALUE, PANEL_LOADING,
+} from './i18n-defaults.js';
+import { MyGhPanel } from './my-gh-panel.js';
+
+const chartWidth = 100;
+const chartHeight = 20;
+
+const getHistoryKey = (family, series) => `${family.name}{${series.key}}`;
+
+/**
+ * Panel with the metrics of a backend in the Prometheus text format or OpenMetrics (path, default metrics,
+ * relative to backend), fetched again every interval seconds (0 fetches once).
+ * Each metric is a table of its series: counters and gauges with their value and a chart of the last
+ * history-size values (of counters, their increase per second), histograms with count, sum, mean and
+ * the distribution of their buckets, summaries with their quantiles. filter keeps the metrics and series
+ * that contain all of its words, the panel has a field to change it.
+ *
+ * <my-metrics-panel panel-title="Quarkus" backend="quarkus" path="../q/metrics" filter="http_server"></my-metrics-panel>
+ */
+class MyMetricsPanel extends MyGhPanel {
+
+  static get properties() {
+    return Object.assign({}, super.properties, {
+      path: { type: String },
+      interval: { type: Number },
+      filter: { type: String },
+      historySize: { type: Number, attribute: 'history-size' },
+      _result: { type: Object, attribute: false },
+      _history: { type: Object, attribute: false }
+    });
+  }
+
+  constructor() {
+    super();
+    this.path = 'metrics';
+    this.interval = 30;
+    this.filter = '';
+    this.historySize = 20;
+    this._result = undefined;
+    this._history = new Map();
+  }
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    // the first update starts polling with load, a panel moved in the page starts again here
+    if (this.hasUpdated) {
+      this.restartPolling();
+    }
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+    this.stopPolling();
+  }
+
+  updated(changedProperties) {
+    super.updated(changedProperties);
+
+    if (['path', 'interval'].some(name => changedProperties.has(name))) {
+      this.restartPolling();
+    }
+  }
+
+  /**
+   * Loads src like my-gh-panel and fetches the metrics again, for a changed backend or roles and after sign in.
+   */
+  load() {
+    this.restartPolling();
+    return super.load();
+  }
+
+  /**
+   * Fetches the metrics now, and then every interval seconds.
+   */
+  refresh() {
+    this.restartPolling();
+  }
+
+  restartPolling() {
+    this.stopPolling();
+
+    if (!this.isConnected || !hasAnyRole(this.roles) || !this.path) {
+      return;
+    }
+
+    const client = createApiClient({ backend: this.backend || undefined, baseUrl: this.backend ? undefined : './' });
+    this._stopPolling = pollMetrics(client, this.path, Math.max(0, this.interval), result => this.handleResult(result));
+  }
+
+  stopPolling() {
+    if (this._stopPolling) {
+      this._stopPolling();
+      this._stopPolling = undefined;
+    }
+  }
+
+  handleResult(result) {
+    // failed fetches keep the metrics of the last one
+    this._result = result.error && this._result
+      ? Object.assign({}, this._result, { error: result.error })
+      : result;
+
+    if (!result.families) {
+      return;
+    }
+
+    const history = new Map();
+    const size = Math.max(2, this.historySize);
+
+    result.families.forEach(family => {
+      getSeries(family)
+        .filter(series => series.value !== undefined)
+        .forEach(series => {
+          const key = getHistoryKey(family, series);
+          history.set(key, (this._history.get(key) || []).concat({ date: result.date, value: series.value }).slice(-size));
+        });
+    });
+
+    this._history = history;
+  }
+
+  renderContent() {
+    const result = this._result;
+    const metrics = result && result.families ? filterMetrics(result.families, this.filter) : [];
+
+    return html`
+    <style>
+      .metrics-toolbar { display: flex; flex-wrap: wrap; align-items: center; gap: 0.5rem; margin-bottom: 0.5rem; }
+      .metrics-filter {
+        box-sizing: border-box;
+        flex: 1 1 12rem;
+        min-height: 2.25rem;
+        padding: 0 0.625rem;
+        font: inherit;
+        font-size: var(--sapMFontMediumSize, 0.875rem);
+        color: var(--sapUiFieldTextColor, var(--sapField_TextColor, #32363a));
+        background: var(--sapUiFieldBackground, var(--sapField_Background, #fff));
+        border: 1px solid var(--sapUiFieldBorderColor, var(--sapField_BorderColor, #89919a));
+        border-radius: 0.125rem;
+      }
+      .metrics-filter:focus { outline: 1px dotted var(--sapUiContentFocusColor, var(--sapContent_FocusColor, #000)); outline-offset: -3px; }
+      .metrics-info, .metric-help, .empty {
+        color: var(--sapUiContentLabelColor, var(--sapContent_LabelColor, #6a6d70));
+        font-size: var(--sapMFontSmallSize, 0.75rem);
+      }
+      .message { color: var(--sapUiNegativeText, var(--sapNegativeTextColor, #b00)); }
+      .metric { margin: 1rem 0; }
+      .metric-name { font-family: monospace; font-weight: bold; overflow-wrap: anywhere; }
+      .metric-type {
+        margin-inline-start: 0.5rem;
+        padding: 0 0.25rem;
+        border: 1px solid var(--sapUiListBorderColor, var(--sapList_BorderColor, #e4e4e4));
+        border-radius: 0.25rem;
+        font-size: var(--sapMFontSmallSize, 0.75rem);
+      }
+      .metric-table { width: 100%; border-collapse: collapse; margin-top: 0.25rem; font-size: var(--sapMFontMediumSize, 0.875rem); }
+      .metric-table th, .metric-table td {
+        padding: 0.25rem 0.5rem;
+        text-align: start;
+        border-bottom: 1px solid var(--sapUiListBorderColor, var(--sapList_BorderColor, #e4e4e4));
+      }
+      .metric-table th { color: var(--sapUiContentLabelColor, var(--sapContent_LabelColor, #6a6d70)); font-weight: normal; }
+      .metric-table .number { text-align: end; font-variant-numeric: tabular-nums; white-space: nowrap; }
+      .labels { font-family: monospace; overflow-wrap: anywhere; }
+      .chart { width: 8rem; height: 1.5rem; overflow: visible; vertical-align: middle; }
+      .chart polyline { fill: none; stroke: var(--sapUiChartSequence1, var(--sapChart_Sequence_1, #5899da)); stroke-width: 1.5; }
+      .chart path { fill: var(--sapUiChartSequence1, var(--sapChart_Sequence_1, #5899da)); }
+
+      :host([data-ui5-compact-size]) .metrics-filter { min-height: 1.625rem; padding: 0 0.5rem; }
+      :host([data-ui5-compact-size]) .metric { margin: 0.5rem 0; }
+      :host([data-ui5-compact-size]) .metric-table th,
+      :host([data-ui5-compact-size]) .metric-table td { padding: 0.125rem 0.25rem; }
+      :host([data-ui5-compact-size]) .chart { height: 1rem; }
+    </style>
+    <slot>${this.panelContent}</slot>
+    ${this.renderFragment()}
+    <div class="metrics-toolbar">
+      <input class="metrics-filter" type="search" .value="${this.filter}" placeholder="${this.i18nBundle.getText(METRICS_FILTER)}"
+        aria-label="${this.i18nBundle.getText(METRICS_FILTER)}" @input="${e => { this.filter = e.target.value; }}">
+      ${result && result.families ? html`
+      <span class="metrics-info" role="status">
+        ${this.i18nBundle.getText(METRICS_SHOWN, metrics.length, result.families.length)}
+        · ${this.i18nBundle.getText(METRICS_UPDATED_AT, result.date.toLocaleTimeString(getLanguage() || undefined))}
+      </span>
+      ` : ''}
+      <ui5-button design="Transparent" icon="sap-icon://refresh" @press="${this.refresh}">
+        ${this.i18nBundle.getText(METRICS_REFRESH)}
+      </ui5-button>
+    </div>
+    ${result && result.error ? html`
+    <div class="message" role="alert">${this.i18nBundle.getText(METRICS_LOAD_ERROR, result.error.message)}</div>
+    ` : ''}
+    ${!result ? html`
+    <div class="empty" aria-busy="true">${this.i18nBundle.getText(PANEL_LOADING)}</div>
+    ` : ''}
+    ${result && result.families && !metrics.length ? html`
+    <div class="empty">${this.i18nBundle.getText(METRICS_NO_DATA)}</div>
+    ` : ''}
+    ${metrics.map(({ family, series }) => this.renderMetric(family, series))}
+    `;
+  }
+
+  renderMetric(family, series) {
+    return html`
+    <section class="metric">
+      <div>
+        <span class="metric-name">${family.name}</span><span class="metric-type">${family.type}${family.unit ? ` · ${family.unit}` : ''}</span>
+      </div>
+      ${family.help ? html`<div class="metric-help">${family.help}</div>` : ''}
+      <table class="metric-table">
+        ${this.isDistribution(family) ? this.renderDistributionRows(family, series) : this.renderValueRows(family, series)}
+      </table>
+    </section>
+    `;
+  }
+
+  renderValueRows(family, series) {
+    const counter = family.type === metricTypes.COUNTER;
+
+    return html`
+    <thead>
+      <tr>
+        <th scope="col">${this.i18nBundle.getText(METRICS_SERIES)}</th>
+        <th scope="col" class="number">${this.i18nBundle.getText(METRICS_VALUE)}</th>
+        ${counter ? html`<th scope="col" class="number">${this.i18nBundle.getText(METRICS_RATE)}</th>` : ''}
+        <th scope="col">${this.i18nBundle.getText(METRICS_TREND)}</th>
+      </tr>
+    </thead>
+    <tbody>
+      ${series.map(entry => {
+        const values = counter ? this.getRates(family, entry) : (this._history.get(getHistoryKey(family, entry)) || []).map(point => point.value);
+
+        return html`
+        <tr>
+          <td class="labels">${entry.key || family.name}</td>
+          <td class="number">${this.formatNumber(entry.value)}</td>
+          ${counter ? html`<td class="number">${values.length ? this.formatNumber(values[values.length - 1]) : ''}</td>` : ''}
+          <td>${this.renderTrend(values)}</td>
+        </tr>
+        `;
+      })}
+    </tbody>
+    `;
+  }
+
+  renderDistributionRows(family, series) {
+    const histogram = family.type !== metricTypes.SUMMARY;
+
+    return html`
+    <thead>
+      <tr>
+        <th scope="col">${this.i18nBundle.getText(METRICS_SERIES)}</th>
+        <th scope="col" class="number">${this.i18nBundle.getText(METRICS_COUNT)}</th>
+        <th scope="col" class="number">${this.i18nBundle.getText(METRICS_SUM)}</th>
+        <th scope="col" class="number">${this.i18nBundle.getText(METRICS_MEAN)}</th>
+        <th scope="col">${this.i18nBundle.getText(histogram ? METRICS_DISTRIBUTION : METRICS_QUANTILES)}</th>
+      </tr>
+    </thead>
+    <tbody>
+      ${series.map(entry => html`
+      <tr>
+        <td class="labels">${entry.key || family.name}</td>
+        <td class="number">${this.formatNumber(entry.count)}</td>
+        <td class="number">${this.formatNumber(entry.sum)}</td>
+        <td class="number">${entry.count ? this.formatNumber(entry.sum / entry.count) : ''}</td>
+        <td>${histogram ? this.renderBuckets(entry.buckets) : entry.quantiles
+          .map(quantile => `${this.formatNumber(quantile.quantile)}: ${this.formatNumber(quantile.value)}`).join(', ')}</td>
+      </tr>
+      `)}
+    </tbody>
+    `;
+  }
+
+  /**
+   * Values from left (oldest) to right (latest), scaled between their minimum and maximum.
+   */
+  renderTrend(values) {
+    const finite = values.filter(isFinite);
+
+    if (finite.length < 2) {
+      return '';
+    }
+
+    const min = Math.min(...finite);
+    const range = Math.max(...finite) - min || 1;
+    const step = chartWidth / (finite.length - 1);
+    const points = finite.map((value, index) => `${index * step},${chartHeight - ((value - min) / range) * chartHeight}`);
+
+    return html`
+    <svg class="chart" viewBox="0 -1 ${chartWidth} ${chartHeight + 2}" preserveAspectRatio="none" role="img"
+      aria-label="${finite.map(value => this.formatNumber(value)).join(', ')}">
+      <polyline points="${points.join(' ')}"></polyline>
+    </svg>
+    `;
+  }
+
+  /**
+   * The observations per bucket (not cumulative) as bars, one path for all bars.
+   */
+  renderBuckets(buckets) {
+    const counts = buckets.map((bucket, index) => Math.max(0, bucket.count - (index ? buckets[index - 1].count : 0)));
+    const max = Math.max(...counts);
+
+    if (!counts.length || !max) {
+      return '';
+    }
+
+    const width = chartWidth / counts.length;
+    const path = counts
+      .map((count, index) => {
+        const height = (count / max) * chartHeight;
+        return `M${index * width + width * 0.1},${chartHeight}v${-height}h${width * 0.8}v${height}z`;
+      })
+      .join('');
+
+    return html`
+    <svg class="chart" viewBox="0 0 ${chartWidth} ${chartHeight}" preserveAspectRatio="none" role="img"
+      aria-label="${this.i18nBundle.getText(METRICS_BUCKETS, buckets.map((bucket, index) => `≤ ${this.formatNumber(bucket.le)}: ${this.formatNumber(counts[index])}`).join(', '))}">
+      <path d="${path}"></path>
+    </svg>
+    `;
+  }
+
+  /**
+   * Increases per second of a counter between the fetches, leaving out resets.
+   */
+  getRates(family, series) {
+    const history = this._history.get(getHistoryKey(family, series)) || [];
+
+    return history.slice(1)
+      .map((point, index) => ({ increase: point.value - history[index].value, seconds: (point.date - history[index].date) / 1000 }))
+      .filter(rate => rate.increase >= 0 && rate.seconds > 0)
+      .map(rate => rate.increase / rate.seconds);
+  }
+
+  isDistribution(family) {
+    return [metricTypes.HISTOGRAM, metricTypes.GAUGE_HISTOGRAM, metricTypes.SUMMARY].includes(family.type);
+  }
+
+  formatNumber(value) {
+    if (value === undefined) {
+      return '';
+    }
+    if (!isFinite(value)) {
+      return isNaN(value) ? 'NaN' : `${value > 0 ? '+' : '-'}Inf`;
+    }
+
+    return value.toLocaleString(getLanguage() || undefined, Number.isInteger(value) || Math.abs(value) >= 1
+      ? { maximumFractionDigits: 3 }
+      : { maximumSignificantDigits: 3 });
+  }
+
+}
+
+defineElement('my-metrics-panel', MyMetricsPanel);
@@ -0,0 +1,546 @@
+import { LitElement, defineElement, getCompactSize, html, ifDefined } from './runtime.js';
+import { HttpError, createApiClient } from './api.js';
+import {
+  attachAuthChange, detachAuthChange, getAuthConfiguration, getUser, signIn,
+} from './auth.js';
+import { getAppConfiguration, getBackendUrl } from './config.js';
+import { validateField } from './crud.js';
+import { attachDensityChange, detachDensityChange } from './density.js';
+import { attachLanguageChange, detachLanguageChange, fetchI18nBundle, getI18nBundle } from './i18n.js';
+import {
+  CRUD_VALUE_INVALID, HEADER_SIGN_IN, OPENAPI_AUTH_OTHER_SERVER, OPENAPI_AUTH_SIGNED_IN, OPENAPI_AUTH_SIGNED_OUT,
+  OPENAPI_DEPRECATED, OPENAPI_DURATION, OPENAPI_EMPTY_BODY, OPENAPI_LOAD_ERROR, OPENAPI_NO_ANSWER,
+  OPENAPI_NO_OPERATIONS, OPENAPI_NO_SELECTION, OPENAPI_OPERATIONS, OPENAPI_RESPONSE, OPENAPI_SEND, PANEL_LOADING,
+  SIGN_IN_FAILED_TEXT,
+} from './i18n-defaults.js';
+import {
+  buildRequest, getOperationFields, getOperations, getServerUrl, loadOpenApi,
+} from './openapi.js';
+
+const inputTypes = ["text", "number", "email", "url", "date"];
+
+const methodStates = {
+  GET: 'Success',
+  POST: 'Warning',
+  PUT: 'Warning',
+  PATCH: 'Warning',
+  DELETE: 'Error',
+};
+
+const getStatusState = status => {
+  if (status >= 500 || !status) {
+    return 'Error';
+  }
+  if (status >= 400) {
+    return 'Warning';
+  }
+  return status < 300 ? 'Success' : 'None';
+};
+
+// a document may name any server, the access token goes only to the origin of the page and of the configured backends
+const acceptsToken = url => {
+  const { origin } = new URL(url, window.location.href);
+
+  return origin === window.location.origin || Object.keys(getAppConfiguration().backends)
+    .map(name => getBackendUrl(name))
+    .some(backendUrl => backendUrl && new URL(backendUrl).origin === origin);
+};
+
+/**
+ * Lists the operations of an OpenAPI 3 document (JSON or YAML, spec relative to backend) and sends them
+ * from a form generated from their parameters and request body: checkboxes for booleans, radio buttons for
+ * enums, text areas with JSON for objects and arrays, inputs for the rest. Requests go to the first server
+ * of the document (or server), the answer is shown below the form. They carry the access token of the signed in user
+ * when the server is on the origin of the page or of a backend in the configuration script.
+ * Fires "response" (detail: { operation, request, response }) for each answer.
+ *
+ * <my-openapi-explorer backend="quarkus" spec="../q/openapi?format=json"></my-openapi-explorer>
+ */
+class MyOpenApiExplorer extends LitElement {
+
+  static get properties() {
+    return {
+      backend: { type: String },
+      spec: { type: String },
+      server: { type: String },
+      _document: { type: Object, attribute: false },
+      _operations: { type: Array, attribute: false },
+      _loading: { type: Boolean, attribute: false },
+      _loadError: { type: String, attribute: false },
+      _selectedId: { type: String, attribute: false },
+      _values: { type: Object, attribute: false },
+      _messages: { type: Object, attribute: false },
+      _response: { type: Object, attribute: false },
+      _sending: { type: Boolean, attribute: false },
+      _signInError: { type: String, attribute: false }
+    };
+  }
+
+  constructor() {
+    super();
+    this.backend = '';
+    this.spec = 'q/openapi';
+    this.server = '';
+    this._document = undefined;
+    this._operations = [];
+    this._loading = false;
+    this._loadError = '';
+    this._selectedId = '';
+    this._values = {};
+    this._messages = {};
+    this._response = undefined;
+    this._sending = false;
+    this._signInError = '';
+    this._requests = 0;
+    this._onSettingsChange = () => this.requestUpdate();
+    this.i18nBundle = getI18nBundle("my-gh");
+  }
+
+  connectedCallback() {
+    super.connectedCallback();
+    attachLanguageChange(this._onSettingsChange);
+    attachDensityChange(this._onSettingsChange);
+    // shows whether requests are sent with a token
+    attachAuthChange(this._onSettingsChange);
+    fetchI18nBundle("my-gh").then(this._onSettingsChange);
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+    detachLanguageChange(this._onSettingsChange);
+    detachDensityChange(this._onSettingsChange);
+    detachAuthChange(this._onSettingsChange);
+  }
+
+  updated(changedProperties) {
+    this.toggleAttribute('data-ui5-compact-size', getCompactSize());
+
+    if (changedProperties.has('backend') || changedProperties.has('spec')) {
+      this.load();
+    }
+    if (changedProperties.has('server')) {
+      this._client = undefined;
+    }
+  }
+
+  /**
+   * Loads the document and lists its operations.
+   */
+  async load() {
+    const request = ++this._requests;
+
+    this._loading = true;
+    this._loadError = '';
+    this._client = undefined;
+
+    try {
+      const client = createApiClient({ backend: this.backend || undefined, baseUrl: this.backend ? undefined : './' });
+      const document = await loadOpenApi(client, this.spec);
+      if (request !== this._requests) {
+        return;
+      }
+
+      this._document = document;
+      this._operations = getOperations(document.spec);
+      if (!this.getOperation()) {
+        this._selectedId = '';
+      }
+    } catch (error) {
+      if (request !== this._requests) {
+        return;
+      }
+      this._document = undefined;
+      this._operations = [];
+      this._loadError = error.message;
+    } finally {
+      if (request === this._requests) {
+        this._loading = false;
+      }
+    }
+  }
+
+  getOperation() {
+    return this._operations.find(operation => operation.id === this._selectedId);
+  }
+
+  /**
+   * The fields of the selected operation, without cookie parameters that scripts cannot set.
+   */
+  getFields() {
+    const operation = this.getOperation();
+
+    if (!operation) {
+      return [];
+    }
+    if (!this._fields || this._fields.operation !== operation) {
+      this._fields = { operation, fields: getOperationFields(operation).filter(field => field.in !== 'cookie') };
+    }
+    return this._fields.fields;
+  }
+
+  getTitle() {
+    const info = this._document ? this._document.spec.info || {} : {};
+    return info.title ? `${info.title}${info.version ? ` ${info.version}` : ''}` : this.i18nBundle.getText(OPENAPI_OPERATIONS);
+  }
+
+  render() {
+    const operation = this.getOperation();
+
+    return html`
+    <style>
+      :host { display: block; }
+      .explorer { display: flex; flex-wrap: wrap; align-items: flex-start; gap: 1rem; }
+      .operations { flex: 1 1 18rem; min-width: 0; }
+      .operation { flex: 2 1 24rem; min-width: 0; }
+      form { display: flex; flex-direction: column; gap: 0.75rem; padding: 1rem; }
+      .field { display: flex; flex-direction: column; gap: 0.25rem; }
+      .input {
+        box-sizing: border-box;
+        width: 100%;
+        min-height: 2.25rem;
+        padding: 0 0.625rem;
+        font: inherit;
+        font-size: var(--sapMFontMediumSize, 0.875rem);
+        color: var(--sapUiFieldTextColor, var(--sapField_TextColor, #32363a));
+        background: var(--sapUiFieldBackground, var(--sapField_Background, #fff));
+        border: 1px solid var(--sapUiFieldBorderColor, var(--sapField_BorderColor, #89919a));
+        border-radius: var(--_ui5_input_wrapper_border_radius, 0.125rem);
+      }
+      textarea.input { min-height: 4.5rem; padding: 0.5rem 0.625rem; resize: vertical; }
+      textarea.input[data-type="json"] { font-family: monospace; direction: ltr; }
+      .input:hover { border-color: var(--sapUiFieldHoverBorderColor, var(--sapField_Hover_BorderColor, #0854a0)); }
+      .input:focus { outline: 1px dotted var(--sapUiContentFocusColor, var(--sapContent_FocusColor, #000)); outline-offset: -3px; }
+      .input[data-value-state="Error"] {
+        border: 2px solid var(--sapUiFieldInvalidColor, var(--sapField_InvalidColor, #b00));
+        background: var(--sapUiFieldInvalidBackground, var(--sapField_InvalidBackground, #fff));
+      }
+      .message, .hint { font-size: var(--sapMFontSmallSize, 0.75rem); }
+      .message, .error { color: var(--sapUiNegativeText, var(--sapNegativeTextColor, #b00)); }
+      .hint, .empty, .description { color: var(--sapUiContentLabelColor, var(--sapContent_LabelColor, #6a6d70)); }
+      .description, .error, .note { margin: 0; }
+      .note { display: flex; align-items: center; flex-wrap: wrap; gap: 0.5rem; }
+      .note[data-value-state="Warning"] { color: var(--sapUiCriticalText, var(--sapCriticalTextColor, #e9730c)); }
+      .choices { display: flex; flex-wrap: wrap; }
+      .actions { display: flex; justify-content: flex-end; gap: 0.5rem; }
+      .response { padding: 0 1rem 1rem; }
+      .response-status { font-weight: bold; }
+      .response-status[data-value-state="Success"] { color: var(--sapUiPositiveText, var(--sapPositiveTextColor, #107e3e)); }
+      .response-status[data-value-state="Warning"] { color: var(--sapUiCriticalText, var(--sapCriticalTextColor, #e9730c)); }
+      .response-status[data-value-state="Error"] { color: var(--sapUiNegativeText, var(--sapNegativeTextColor, #b00)); }
+      .response-url { font-family: monospace; overflow-wrap: anywhere; margin: 0.25rem 0; }
+      .response-body {
+        max-height: 24rem;
+        overflow: auto;
+        margin: 0.5rem 0 0;
+        padding: 0.5rem;
+        direction: ltr;
+        text-align: left;
+        background: var(--sapUiListBackground, var(--sapList_Background, #fff));
+        border: 1px solid var(--sapUiListBorderColor, var(--sapList_BorderColor, #e4e4e4));
+      }
+
+      :host([data-ui5-compact-size]) form { gap: 0.5rem; padding: 0.5rem; }
+      :host([data-ui5-compact-size]) .input { min-height: 1.625rem; padding: 0 0.5rem; }
+      :host([data-ui5-compact-size]) .response { padding: 0 0.5rem 0.5rem; }
+    </style>
+    ${this._loadError ? html`
+    <p class="error" role="alert">${this.i18nBundle.getText(OPENAPI_LOAD_ERROR, this._loadError)}</p>
+    ` : ''}
+    <div class="explorer">
+      <ui5-list class="operations" mode="SingleSelect" separators="Inner" header-text="${this.getTitle()}"
+        no-data-text="${this.i18nBundle.getText(this._loading ? PANEL_LOADING : OPENAPI_NO_OPERATIONS)}"
+        aria-busy="${this._loading}" @itemPress="${this.handleItemPress}">
+        ${this._operations.map(entry => html`
+        <ui5-li data-id="${entry.id}" icon="${ifDefined(entry.secured ? 'sap-icon://locked' : undefined)}"
+          info="${entry.method}" info-state="${methodStates[entry.method] || 'None'}"
+          description="${[entry.summary].concat(entry.tags).filter(Boolean).join(' · ')}"
+          ?selected="${entry.id === this._selectedId}">${entry.path}</ui5-li>
+        `)}
+      </ui5-list>
+      <div class="operation">
+        ${operation ? this.renderOperation(operation) : html`
+        <p class="empty">${this.i18nBundle.getText(OPENAPI_NO_SELECTION)}</p>
+        `}
+      </div>
+    </div>
+    `;
+  }
+
+  renderOperation(operation) {
+    const signedIn = !!getUser();
+    const withToken = signedIn && operation.secured && acceptsToken(this.getBaseUrl());
+
+    return html`
+    <form novalidate aria-busy="${this._sending}" @submit="${this.handleSubmit}" @keydown="${this.handleKeyDown}">
+      <ui5-title level="H5">${operation.method} ${operation.path}</ui5-title>
+      ${operation.summary || operation.description ? html`
+      <p class="description">${[operation.summary, operation.description].filter(Boolean).join(' – ')}</p>
+      ` : ''}
+      ${operation.deprecated ? html`
+      <p class="note" data-value-state="Warning">${this.i18nBundle.getText(OPENAPI_DEPRECATED)}</p>
+      ` : ''}
+      ${operation.secured ? html`
+      <p class="note" data-value-state="${withToken ? 'None' : 'Warning'}">
+        <ui5-icon src="sap-icon://${withToken ? 'unlocked' : 'locked'}"></ui5-icon>
+        <span>${this.i18nBundle.getText(withToken ? OPENAPI_AUTH_SIGNED_IN : (signedIn ? OPENAPI_AUTH_OTHER_SERVER : OPENAPI_AUTH_SIGNED_OUT))}</span>
+        ${!signedIn && getAuthConfiguration() ? html`
+        <ui5-button design="Transparent" @press="${this.signIn}">${this.i18nBundle.getText(HEADER_SIGN_IN)}</ui5-button>
+        ` : ''}
+      </p>
+      ${this._signInError ? html`
+      <p class="error" role="alert">${this.i18nBundle.getText(SIGN_IN_FAILED_TEXT, this._signInError)}</p>
+      ` : ''}
+      ` : ''}
+      ${this.getFields().map(field => this.renderField(field))}
+      <div class="actions">
+        <ui5-button design="Emphasized" ?disabled="${this._sending}" @press="${this.send}">${this.i18nBundle.getText(OPENAPI_SEND)}</ui5-button>
+      </div>
+    </form>
+    ${this._response ? this.renderResponse(this._response) : ''}
+    `;
+  }
+
+  renderField(field) {
+    const message = this._messages[field.name];
+
+    return html`
+    <div class="field">
+      <ui5-label id="label-${field.name}" ?required="${field.required}">${field.label} (${field.in})</ui5-label>
+      ${this.renderInput(field, message ? 'Error' : 'None')}
+      ${field.description ? html`<div class="hint">${field.description}</div>` : ''}
+      ${message ? html`
+      <div id="message-${field.name}" class="message" data-value-state="Error">${message}</div>
+      ` : ''}
+    </div>
+    `;
+  }
+
+  renderInput(field, valueState) {
+    const value = this._values[field.name];
+    const describedBy = valueState !== 'None' ? `message-${field.name}` : undefined;
+
+    if (field.type === 'boolean') {
+      return html`
+      <ui5-checkbox id="field-${field.name}" aria-labelledby="label-${field.name}" value-state="${valueState}"
+        ?checked="${!!value}" @change="${e => this.handleValue(field, e.target.checked, true)}"></ui5-checkbox>
+      `;
+    }
+
+    if (field.type === 'choice') {
+      return html`
+      <div id="field-${field.name}" class="choices" role="radiogroup" aria-labelledby="label-${field.name}"
+        aria-describedby="${ifDefined(describedBy)}">
+        ${field.options.map(option => html`
+        <ui5-radiobutton name="${field.name}" text="${option.text}" value-state="${valueState}"
+          ?selected="${option.value === value}" @select="${() => this.handleValue(field, option.value, true)}"></ui5-radiobutton>
+        `)}
+      </div>
+      `;
+    }
+
+    const text = value === undefined || value === null ? '' : `${value}`;
+
+    if (field.type === 'json' || field.type === 'textarea') {
+      return html`
+      <textarea id="field-${field.name}" class="input" data-type="${field.type}" data-value-state="${valueState}" .value="${text}"
+        placeholder="${ifDefined(field.placeholder)}" aria-labelledby="label-${field.name}"
+        aria-invalid="${valueState === 'Error'}" aria-describedby="${ifDefined(describedBy)}" ?required="${field.required}"
+        @input="${e => this.handleValue(field, e.target.value)}"
+        @change="${e => this.handleValue(field, e.target.value, true)}"></textarea>
+      `;
+    }
+
+    return html`
+    <input id="field-${field.name}" class="input" type="${inputTypes.includes(field.type) ? field.type : 'text'}"
+      data-value-state="${valueState}" .value="${text}"
+      placeholder="${ifDefined(field.placeholder)}" aria-labelledby="label-${field.name}"
+      aria-invalid="${valueState === 'Error'}" aria-describedby="${ifDefined(describedBy)}" ?required="${field.required}"
+      @input="${e => this.handleValue(field, this.readValue(field, e.target))}"
+      @change="${e => this.handleValue(field, this.readValue(field, e.target), true)}">
+    `;
+  }
+
+  renderResponse(response) {
+    const body = response.body;
+
+    return html`
+    <section class="response" aria-live="polite">
+      <ui5-title level="H6">${this.i18nBundle.getText(OPENAPI_RESPONSE)}</ui5-title>
+      <div class="response-status" data-value-state="${getStatusState(response.status)}">
+        ${response.status
+          ? `${response.status} ${response.statusText || ''}`.trim()
+          : this.i18nBundle.getText(OPENAPI_NO_ANSWER, response.error.message)}
+        · ${this.i18nBundle.getText(OPENAPI_DURATION, response.duration)}
+      </div>
+      ${response.url ? html`<div class="response-url">${response.method} ${response.url}</div>` : ''}
+      ${response.status ? html`
+      ${body === undefined || body === '' ? html`
+      <p class="empty">${this.i18nBundle.getText(OPENAPI_EMPTY_BODY)}</p>
+      ` : html`
+      <pre class="response-body">${typeof body === 'string' ? body : JSON.stringify(body, null, 2)}</pre>
+      `}
+      ` : ''}
+    </section>
+    `;
+  }
+
+  handleItemPress(e) {
+    this.select(e.detail.item.dataset.id);
+  }
+
+  /**
+   * Shows the form of an operation, with the default values of its schemas.
+   * @param {string} id operationId, or method and path for operations without one
+   */
+  select(id) {
+    this._selectedId = id;
+    this._messages = {};
+    this._response = undefined;
+    this._values = this.getFields().reduce((values, field) => (field.defaultValue === undefined
+      ? values
+      : Object.assign(values, { [field.name]: field.defaultValue })), {});
+  }
+
+  readValue(field, input) {
+    if (field.type !== 'number') {
+      return input.value;
+    }
+
+    // an incomplete number like "1e" reads as "", badInput tells it from an empty field
+    return input.value === '' ? (input.validity && input.validity.badInput ? NaN : undefined) : Number(input.value);
+  }
+
+  /**
+   * Takes over a value, checks it when the field is left (or changed at once, like a checkbox)
+   * and while typing in a field that shows a message.
+   */
+  handleValue(field, value, check) {
+    this._values = Object.assign({}, this._values, { [field.name]: value });
+
+    if (check || this._messages[field.name]) {
+      this.validate(field);
+    }
+  }
+
+  /**
+   * Checks the value of a field like my-crud-form, and JSON and integers in addition.
+   * @returns {boolean} true when the value is valid
+   */
+  validate(field) {
+    const value = this._values[field.name];
+    let result = validateField(field, value);
+
+    if (!result && field.type === 'json' && value) {
+      try {
+        JSON.parse(value);
+      } catch (error) {
+        result = [CRUD_VALUE_INVALID];
+      }
+    }
+    if (!result && field.schema.type === 'integer' && typeof value === 'number' && !Number.isInteger(value)) {
+      result = [CRUD_VALUE_INVALID];
+    }
+
+    const messages = Object.assign({}, this._messages);
+
+    if (result) {
+      messages[field.name] = this.i18nBundle.getText(...result);
+    } else {
+      delete messages[field.name];
+    }
+
+    this._messages = messages;
+    return !result;
+  }
+
+  handleSubmit(e) {
+    e.preventDefault();
+    this.send();
+  }
+
+  handleKeyDown(e) {
+    if (e.key === 'Enter' && e.target.tagName === 'INPUT') {
+      e.preventDefault();
+      this.send();
+    }
+  }
+
+  getBaseUrl() {
+    return this.server ? this.server.replace(/\/?$/, "/") : getServerUrl(this._document.spec, this._document.url);
+  }
+
+  getClient() {
+    if (!this._client) {
+      const baseUrl = this.getBaseUrl();
+
+      // requests are not repeated, the answer is shown as it is
+      this._client = createApiClient({ baseUrl, retries: 0, auth: acceptsToken(baseUrl) });
+    }
+
+    return this._client;
+  }
+
+  /**
+   * Checks the fields and sends the selected operation, else focuses the first invalid field.
+   * @returns {Promise<object|undefined>} the response: { method, url, status, statusText, headers, body, error, duration },
+   *   status undefined when the backend did not answer; undefined for invalid fields
+   */
+  async send() {
+    const operation = this.getOperation();
+    const fields = this.getFields();
+    const invalid = fields.filter(field => !this.validate(field));
+
+    if (!operation || invalid.length) {
+      await this.updateComplete;
+      this.focusField(invalid[0]);
+      return;
+    }
+
+    const request = buildRequest(operation, fields, this._values);
+    const started = Date.now();
+    let response;
+
+    this._sending = true;
+
+    try {
+      const answer = await this.getClient().request(request.method, request.path, {
+        query: request.query, headers: request.headers, body: request.body, response: true,
+      });
+      response = Object.assign({ method: request.method }, answer);
+    } catch (error) {
+      response = error instanceof HttpError ? {
+        method: request.method, url: error.url, status: error.status, statusText: error.statusText, headers: error.headers, body: error.body, error,
+      } : { method: request.method, url: error.url, error };
+    } finally {
+      this._sending = false;
+    }
+
+    response.duration = Date.now() - started;
+    this._response = response;
+    this.dispatchEvent(new CustomEvent('response', { detail: { operation, request, response }, bubbles: true, composed: true }));
+
+    return response;
+  }
+
+  focusField(field) {
+    const element = field ? this.shadowRoot.getElementById(`field-${field.name}`) : undefined;
+    const target = field && field.type === 'choice' && element ? element.querySelector('ui5-radiobutton') : element;
+
+    if (target) {
+      target.focus();
+    }
+  }
+
+  async signIn() {
+    this._signInError = '';
+
+    try {
+      await signIn();
+    } catch (error) {
+      this._signInError = error.message;
+    }
+  }
+
+}
+
+defineElement('my-openapi-explorer', MyOpenApiExplorer);
@@ -0,0 +1,206 @@
+/**
+ * Notifications of the site, read from a feed that is polled while the page is open.
+ * The feed is a static file or a service answering with
+ * - JSON Feed: { "items": [{ "id", "title", "content_text" or "summary", "url", "date_published" }] },
+ * - a JSON array of { id, title, text, url, date }, or
+ * - Atom: <feed><entry><id/><title/><summary/><link href=""/><updated/></entry></feed>.
+ * Which notifications have been read is remembered in localStorage, per feed.
+ */
+
+const readStateStorageKey = url => `my-gh-notifications:${url}`;
+
+const allowedProtocols = new Set(["http:", "https:", "mailto:"]);
+
+// "" for invalid urls and other protocols, a javascript: url of a feed must not run when the notification is opened
+const resolveNotificationUrl = (value, baseUrl) => {
+  try {
+    const url = new URL(value, baseUrl);
+    return allowedProtocols.has(url.protocol) ? url.href : "";
+  } catch (e) {
+    return "";
+  }
+};
+
+const textOf = (element, selector) => {
+  const child = element.querySelector(selector);
+  return child ? child.textContent.trim() : "";
+};
+
+const parseAtomFeed = text => {
+  const doc = new DOMParser().parseFromString(text, "application/xml");
+
+  if (doc.querySelector("parsererror") || doc.documentElement.localName !== "feed") {
+    throw new Error("Incorrect notification feed format. Please use Atom or JSON");
+  }
+
+  return Array.from(doc.documentElement.children)
+    .filter(element => element.localName === "entry")
+    .map(entry => {
+      const link = entry.querySelector("link[rel='alternate']") || entry.querySelector("link:not([rel])");
+      return {
+        id: textOf(entry, "id"),
+        title: textOf(entry, "title"),
+        text: textOf(entry, "summary") || textOf(entry, "content"),
+        url: link ? link.getAttribute("href") : "",
+        date: textOf(entry, "updated") || textOf(entry, "published"),
+      };
+    });
+};
+
+const parseJSONFeed = text => {
+  const feed = JSON.parse(text);
+  const items = Array.isArray(feed) ? feed : feed && feed.items;
+
+  if (!Array.isArray(items)) {
+    throw new Error("Incorrect notification feed format. Please use an array of items or a JSON Feed");
+  }
+
+  return items.filter(item => item).map(item => ({
+    id: `${item.id || ""}`,
+    title: item.title || "",
+    text: item.text || item.content_text || item.summary || "",
+    url: item.url || "",
+    date: item.date || item.date_published || item.date_modified || "",
+  }));
+};
+
+/**
+ * Parses a notification feed, JSON or Atom, into notifications sorted newest first.
+ * Relative urls are resolved against baseUrl (the address of the feed), urls other than http, https and mailto are dropped.
+ * Entries without id use their url or title.
+ * @param {string} text
+ * @param {string} baseUrl
+ * @returns {{ id: string, title: string, text: string, url: string, date: Date|undefined }[]}
+ */
+const parseNotificationFeed = (text, baseUrl) => {
+  const items = text.trim().startsWith("<") ? parseAtomFeed(text) : parseJSONFeed(text);
+
+  return items
+    .filter(item => item.title)
+    .map(item => {
+      const date = item.date ? new Date(item.date) : undefined;
+      return {
+        id: item.id || item.url || item.title,
+        title: item.title,
+        text: item.text,
+        url: item.url ? resolveNotificationUrl(item.url, baseUrl) : "",
+        date: date && !isNaN(date) ? date : undefined,
+      };
+    })
+    .sort((a, b) => (b.date || 0) - (a.date || 0));
+};
+
+/**
+ * Fetches and parses the feed at url, the browser cache is revalidated on every call.
+ * @param {string} url absolute address of the feed
+ * @returns {Promise<object[]>} see parseNotificationFeed
+ */
+const fetchNotifications = async url => {
+  const response = await fetch(url, {
+    cache: "no-cache",
+    headers: { Accept: "application/feed+json, application/json, application/atom+xml;q=0.9, */*;q=0.1" },
+  });
+
+  if (!response.ok) {
+    throw new Error(`${response.status} ${response.statusText}`.trim());
+  }
+
+  return parseNotificationFeed(await response.text(), response.url || url);
+};
+
+/**
+ * Returns the ids of the notifications of a feed that have been read.
+ * @param {string} url address of the feed
+ * @returns {Set<string>}
+ */
+const getReadNotifications = url => {
+  try {
+    const value = window.localStorage.getItem(readStateStorageKey(url));
+    const ids = value === null ? [] : JSON.parse(value);
+    return new Set(Array.isArray(ids) ? ids : []);
+  } catch (e) {
+    // storage disabled or an outdated entry that does not parse
+    return new Set();
+  }
+};
+
+/**
+ * Marks notifications as read. Only the ids of current notifications are kept, so the entry does not grow.
+ * @param {string} url address of the feed
+ * @param {object[]} notifications all notifications of the feed
+ * @param {string[]} ids the ids to mark
+ * @returns {Set<string>} the ids read now
+ */
+const markNotificationsRead = (url, notifications, ids) => {
+  const read = getReadNotifications(url);
+  ids.forEach(id => read.add(id));
+
+  const current = new Set(notifications.map(notification => notification.id));
+  const kept = Array.from(read).filter(id => current.has(id));
+
+  try {
+    window.localStorage.setItem(readStateStorageKey(url), JSON.stringify(kept));
+  } catch (e) {
+    // not persisted, the notifications are read for this page only
+  }
+
+  return new Set(kept);
+};
+
+/**
+ * Fetches the feed now and then every interval seconds and calls callback with the notifications.
+ * Hidden pages (background tabs) are not polled, they fetch again when shown.
+ * A failed request is reported to errorCallback, the last notifications stay as they are.
+ * @param {string} url absolute address of the feed
+ * @param {number} interval seconds between two requests
+ * @param {function(object[])} callback
+ * @param {function(Error)} [errorCallback]
+ * @returns {function()} stops polling
+ */
+const pollNotifications = (url, interval, callback, errorCallback = () => {}) => {
+  let timeout;
+  let stopped = false;
+
+  const poll = async () => {
+    clearTimeout(timeout);
+
+    if (!document.hidden) {
+      try {
+        const notifications = await fetchNotifications(url);
+        if (!stopped) {
+          callback(notifications);
+        }
+      } catch (error) {
+        console.warn(`Notifications ${url} could not be loaded: ${error.message}`);
+        if (!stopped) {
+          errorCallback(error);
+        }
+      }
+    }
+
+    if (!stopped) {
+      // a poll started by visibilitychange may have finished in the meantime
+      clearTimeout(timeout);
+      timeout = setTimeout(poll, interval * 1000);
+    }
+  };
+
+  const onVisibilityChange = () => {
+    if (!document.hidden) {
+      poll();
+    }
+  };
+
+  document.addEventListener("visibilitychange", onVisibilityChange);
+  poll();
+
+  return () => {
+    stopped = true;
+    clearTimeout(timeout);
+    document.removeEventListener("visibilitychange", onVisibilityChange);
+  };
+};
+
+export {
+  fetchNotifications, getReadNotifications, markNotificationsRead, parseNotificationFeed, pollNotifications,
+};
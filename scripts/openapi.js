@@ -0,0 +1,397 @@
+import { parseYaml } from './yaml.js';
+
+/**
+ * Operations of OpenAPI 3 documents for my-openapi-explorer: the operations with their parameters
+ * and request bodies, form fields (as described in crud.js) from their schemas, and the requests from the values.
+ * Quarkus (smallrye-openapi) serves the document at /q/openapi, as YAML or, with ?format=json, as JSON.
+ */
+
+/**
+ * A document that is not OpenAPI 3.
+ */
+class OpenApiError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "OpenApiError";
+  }
+}
+
+const httpMethods = ["get", "put", "post", "delete", "options", "head", "patch", "trace"];
+
+// schemas nest deeper than any form needs, this also ends circular references
+const maxDepth = 8;
+
+/**
+ * Reads an OpenAPI document from JSON or YAML text, or takes a parsed one.
+ * @param {string|object} content
+ * @returns {object}
+ */
+const parseOpenApi = content => {
+  let spec = content;
+
+  if (typeof content === "string") {
+    const text = content.trim();
+    spec = /^[{[]/.test(text) ? JSON.parse(text) : parseYaml(text);
+  }
+
+  if (!spec || typeof spec !== "object" || !/^3\./.test(`${spec.openapi}`)) {
+    throw new OpenApiError(`Not an OpenAPI 3 document${spec && spec.swagger ? ` (Swagger ${spec.swagger})` : ""}`);
+  }
+
+  return spec;
+};
+
+/**
+ * Fetches and reads an OpenAPI document, JSON preferred.
+ * @param {object} client createApiClient
+ * @param {string} path
+ * @returns {Promise<{ spec: object, url: string }>} the document and its URL, rejects with the ApiError,
+ *   a SyntaxError or YamlParseError of the content or an OpenApiError
+ */
+const loadOpenApi = async (client, path) => {
+  const answer = await client.get(path, {
+    headers: { Accept: "application/json, application/yaml; q=0.9, */*; q=0.1" },
+    response: true,
+  });
+
+  return { spec: parseOpenApi(answer.body), url: answer.url };
+};
+
+/**
+ * Returns what a local reference (#/components/schemas/Item) points to.
+ * @param {object} spec
+ * @param {string} ref
+ * @returns {*} undefined for references to other documents and unknown ones
+ */
+const resolveRef = (spec, ref) => {
+  if (typeof ref !== "string" || !ref.startsWith("#/")) {
+    return;
+  }
+
+  return ref.slice(2).split("/")
+    .map(part => decodeURIComponent(part).replace(/~1/g, "/").replace(/~0/g, "~"))
+    .reduce((target, part) => (target && typeof target === "object" ? target[part] : undefined), spec);
+};
+
+const dereference = (spec, value) => {
+  let result = value;
+
+  for (let count = 0; result && result.$ref && count < maxDepth; count++) {
+    result = resolveRef(spec, result.$ref);
+  }
+
+  return result && result.$ref ? undefined : result;
+};
+
+/**
+ * Resolves the references of a schema and merges allOf, down to the properties and items.
+ * @param {object} spec
+ * @param {object} schema
+ * @param {number} [depth]
+ * @returns {object}
+ */
+const resolveSchema = (spec, schema, depth = 0) => {
+  const resolved = dereference(spec, schema);
+
+  if (!resolved || typeof resolved !== "object" || depth > maxDepth) {
+    return {};
+  }
+
+  const result = Object.assign({}, resolved);
+
+  if (Array.isArray(resolved.allOf)) {
+    delete result.allOf;
+    resolved.allOf.map(part => resolveSchema(spec, part, depth + 1)).forEach(part => {
+      result.properties = Object.assign({}, result.properties, part.properties);
+      result.required = (result.required || []).concat(part.required || []);
+      Object.keys(part).filter(key => result[key] === undefined).forEach(key => {
+        result[key] = part[key];
+      });
+    });
+  }
+
+  if (result.properties) {
+    result.properties = Object.keys(result.properties).reduce((properties, name) => Object.assign(properties, {
+      [name]: resolveSchema(spec, result.properties[name], depth + 1),
+    }), {});
+  }
+  if (result.items) {
+    result.items = resolveSchema(spec, result.items, depth + 1);
+  }
+  if (!result.type && result.properties) {
+    result.type = "object";
+  }
+
+  return result;
+};
+
+const getMediaType = content => {
+  const types = Object.keys(content || {});
+  return types.find(type => /[/+]json\b/i.test(type)) || types.find(type => type === "application/x-www-form-urlencoded") || types[0];
+};
+
+/**
+ * Lists the operations of a document in the order of its paths.
+ * @param {object} spec of parseOpenApi
+ * @returns {{ id: string, method: string, path: string, summary: string, description: string, tags: string[],
+ *   deprecated: boolean, secured: boolean, parameters: object[], requestBody: { mediaType: string, schema: object, required: boolean } }[]}
+ *   parameters with their resolved schema; requestBody undefined without one
+ */
+const getOperations = spec => {
+  const operations = [];
+
+  Object.keys(spec.paths || {}).forEach(path => {
+    const pathItem = dereference(spec, spec.paths[path]) || {};
+
+    httpMethods.filter(method => pathItem[method]).forEach(method => {
+      const operation = pathItem[method];
+      const parameters = new Map();
+
+      // parameters of the operation replace those of the path with the same name and location
+      (pathItem.parameters || []).concat(operation.parameters || [])
+        .map(parameter => dereference(spec, parameter))
+        .filter(parameter => parameter && parameter.name && parameter.in)
+        .forEach(parameter => parameters.set(`${parameter.in} ${parameter.name}`, Object.assign({}, parameter, {
+          required: parameter.in === "path" || !!parameter.required,
+          schema: resolveSchema(spec, parameter.schema || (parameter.content && (parameter.content[getMediaType(parameter.content)] || {}).schema)),
+        })));
+
+      const requestBody = dereference(spec, operation.requestBody);
+      const mediaType = requestBody ? getMediaType(requestBody.content) : undefined;
+      const security = operation.security || spec.security || [];
+
+      operations.push({
+        id: operation.operationId || `${method.toUpperCase()} ${path}`,
+        method: method.toUpperCase(),
+        path,
+        summary: operation.summary || "",
+        description: operation.description || "",
+        tags: operation.tags || [],
+        deprecated: !!operation.deprecated,
+        // an empty requirement {} makes the token optional
+        secured: security.length > 0 && !security.some(requirement => !Object.keys(requirement).length),
+        parameters: Array.from(parameters.values()),
+        requestBody: mediaType ? {
+          mediaType,
+          schema: resolveSchema(spec, requestBody.content[mediaType].schema),
+          required: !!requestBody.required,
+        } : undefined,
+      });
+    });
+  });
+
+  return operations;
+};
+
+/**
+ * Returns the URL of the first server of a document, relative ones resolved against the URL of the document.
+ * Without servers, that is the root of the host of the document.
+ * @param {object} spec
+ * @param {string} specUrl
+ * @returns {string} ending with /, the paths of the operations are relative to it
+ */
+const getServerUrl = (spec, specUrl) => {
+  const server = (spec.servers || [])[0];
+  let url = server && server.url ? server.url : "/";
+
+  // {variables} with their defaults
+  if (server && server.variables) {
+    url = url.replace(/\{([^}]+)\}/g, (match, name) => (server.variables[name] ? server.variables[name].default : match));
+  }
+
+  return new URL(url, specUrl).href.replace(/\/?$/, "/");
+};
+
+// patterns of JSON Schema match any part of the value, values of invalid patterns are not checked
+const getPattern = pattern => {
+  if (typeof pattern !== "string") {
+    return;
+  }
+
+  try {
+    return new RegExp(pattern);
+  } catch (error) {
+    return;
+  }
+};
+
+const fieldTypes = {
+  email: "email",
+  uri: "url",
+  url: "url",
+  date: "date",
+};
+
+/**
+ * Returns a form field for a schema: choice for enums, boolean, number, email, url and date from the type
+ * and format, json (a text area with JSON) for objects and arrays, text for the rest.
+ * @param {string} name
+ * @param {object} schema resolved
+ * @param {object} [options]
+ * @param {string} [options.label]
+ * @param {boolean} [options.required]
+ * @param {string} [options.description]
+ * @returns {object} field as described in crud.js, with schema, description and the JSON placeholder,
+ *   the pattern as RegExp
+ */
+const getSchemaField = (name, schema, { label = name, required = false, description } = {}) => {
+  const field = {
+    name,
+    label,
+    required,
+    description: description || schema.description || "",
+    schema,
+    options: [],
+  };
+  const example = schema.example !== undefined ? schema.example : schema.default;
+
+  if (Array.isArray(schema.enum)) {
+    field.type = "choice";
+    field.options = schema.enum.map(value => ({ value, text: `${value}` }));
+  } else if (schema.type === "boolean") {
+    field.type = "boolean";
+    // false is a value, unlike an empty text
+    field.required = false;
+  } else if (schema.type === "integer" || schema.type === "number") {
+    field.type = "number";
+    field.min = schema.minimum;
+    field.max = schema.maximum;
+  } else if (schema.type === "object" || schema.type === "array" || (!schema.type && (schema.properties || schema.items))) {
+    field.type = "json";
+    field.placeholder = example !== undefined ? JSON.stringify(example) : (schema.type === "array" ? "[]" : "{}");
+  } else {
+    field.type = fieldTypes[schema.format] || "text";
+    field.minLength = schema.minLength;
+    field.maxLength = schema.maxLength;
+    field.pattern = getPattern(schema.pattern);
+    field.placeholder = schema.format === "date-time" ? "2021-01-01T12:00:00Z" : undefined;
+  }
+
+  if (example !== undefined && field.type !== "json" && field.placeholder === undefined) {
+    field.placeholder = `${example}`;
+  }
+  if (schema.default !== undefined) {
+    field.defaultValue = field.type === "json" ? JSON.stringify(schema.default, null, 2) : schema.default;
+  }
+
+  return field;
+};
+
+/**
+ * Returns the form fields of an operation: its parameters (named "in.name", e.g. "query.limit"), the
+ * properties of a JSON or form body ("body.name") or one field "body" for other bodies.
+ * @param {object} operation of getOperations
+ * @returns {object[]} fields with in (path, query, header, cookie or body) and property
+ */
+const getOperationFields = operation => {
+  const fields = operation.parameters.map(parameter => Object.assign(getSchemaField(`${parameter.in}.${parameter.name}`, parameter.schema, {
+    label: parameter.name,
+    required: parameter.required,
+    description: parameter.description,
+  }), { in: parameter.in, property: parameter.name }));
+
+  const body = operation.requestBody;
+
+  if (body) {
+    const form = /[/+]json\b|x-www-form-urlencoded/i.test(body.mediaType);
+
+    if (form && body.schema.type === "object" && body.schema.properties && Object.keys(body.schema.properties).length) {
+      const required = body.schema.required || [];
+      Object.keys(body.schema.properties).forEach(name => {
+        fields.push(Object.assign(getSchemaField(`body.${name}`, body.schema.properties[name], {
+          label: name,
+          required: required.includes(name),
+        }), { in: "body", property: name }));
+      });
+    } else {
+      fields.push(Object.assign(getSchemaField("body", /[/+]json\b/i.test(body.mediaType) ? body.schema : { type: "string" }, {
+        label: body.mediaType,
+        required: body.required,
+      }), { in: "body", type: /[/+]json\b/i.test(body.mediaType) && body.schema.type !== "string" ? "json" : "textarea" }));
+    }
+  }
+
+  return fields;
+};
+
+/**
+ * Reads a field value for the request: the JSON of json fields, nothing for empty ones.
+ * @throws {SyntaxError} for invalid JSON
+ */
+const readFieldValue = (field, value) => {
+  if (value === undefined || value === null || value === "") {
+    return;
+  }
+  return field.type === "json" ? JSON.parse(value) : value;
+};
+
+/**
+ * Builds the request of an operation from form values.
+ * @param {object} operation of getOperations
+ * @param {object[]} fields of getOperationFields
+ * @param {Object<string, *>} values by field name
+ * @returns {{ method: string, path: string, query: object, headers: object, body: * }} for client.request,
+ *   path relative to the server URL
+ * @throws {SyntaxError} for invalid JSON in a json field
+ */
+const buildRequest = (operation, fields, values) => {
+  const query = {};
+  const headers = {};
+  let body;
+  let path = operation.path;
+
+  fields.forEach(field => {
+    const value = readFieldValue(field, values[field.name]);
+
+    if (value === undefined) {
+      return;
+    }
+
+    if (field.in === "path") {
+      path = path.split(`{${field.property}}`).join(encodeURIComponent(value));
+    } else if (field.in === "query") {
+      query[field.property] = Array.isArray(value) ? value : (typeof value === "object" ? JSON.stringify(value) : value);
+    } else if (field.in === "header") {
+      headers[field.property] = `${value}`;
+    } else if (field.in === "body" && field.property) {
+      body = Object.assign({}, body, { [field.property]: value });
+    } else if (field.in === "body") {
+      body = value;
+    }
+    // cookie parameters cannot be set by scripts
+  });
+
+  const mediaType = operation.requestBody ? operation.requestBody.mediaType : undefined;
+  const json = /[/+]json\b/i.test(mediaType);
+
+  if (body === undefined && json && operation.requestBody.required) {
+    body = {};
+  }
+  if (body !== undefined && mediaType === "application/x-www-form-urlencoded") {
+    body = new URLSearchParams(body).toString();
+  } else if (body !== undefined && !json && typeof body !== "string") {
+    body = JSON.stringify(body);
+  }
+  // the client sends objects as JSON, text as it is with the media type of the operation
+  if (typeof body === "string" && mediaType) {
+    headers["Content-Type"] = mediaType;
+  }
+
+  return {
+    method: operation.method, path, query, headers, body,
+  };
+};
+
+export {
+  OpenApiError,
+  buildRequest,
+  getOperationFields,
+  getOperations,
+  getSchemaField,
+  getServerUrl,
+  loadOpenApi,
+  parseOpenApi,
+  readFieldValue,
+  resolveRef,
+  resolveSchema,
+};
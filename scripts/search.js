@@ -0,0 +1,140 @@
+/**
+ * Client-side search over the pages of the site.
+ * The index is the JSON file generated by Jekyll (search.json): [{ title, url, headings: [], text }].
+ * It is fetched once per page load and a copy is kept in localStorage, so search keeps working offline.
+ */
+
+const indexRequests = new Map();
+
+const indexStorageKey = url => `my-gh-search:${url}`;
+
+const readStoredIndex = url => {
+  try {
+    const value = window.localStorage.getItem(indexStorageKey(url));
+    return value === null ? undefined : JSON.parse(value);
+  } catch (e) {
+    // storage disabled or an outdated entry that does not parse
+    return;
+  }
+};
+
+const writeStoredIndex = (url, pages) => {
+  try {
+    window.localStorage.setItem(indexStorageKey(url), JSON.stringify(pages));
+  } catch (e) {
+    // quota exceeded or storage disabled, search still works while online
+  }
+};
+
+const normalize = text => (text || "").toLowerCase();
+
+const prepareIndex = pages => pages
+  .filter(page => page && page.title && page.url)
+  .map(page => ({
+    title: page.title,
+    url: page.url,
+    text: page.text || "",
+    headings: page.headings || [],
+    _title: normalize(page.title),
+    _headings: normalize((page.headings || []).join("\n")),
+    _text: normalize(page.text),
+  }));
+
+const fetchSearchIndex = async url => {
+  let pages;
+
+  try {
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(`${response.status} ${response.statusText}`.trim());
+    }
+    pages = await response.json();
+    writeStoredIndex(url, pages);
+  } catch (error) {
+    pages = readStoredIndex(url);
+    if (!pages) {
+      throw error;
+    }
+  }
+
+  if (!Array.isArray(pages)) {
+    throw new Error("Incorrect search index format. Please use an array of pages");
+  }
+
+  return prepareIndex(pages);
+};
+
+/**
+ * Returns the search index at url, from the network or, when offline, from the stored copy.
+ * Concurrent and later calls share one request; a failed request is retried on the next call.
+ * @param {string} url absolute address of search.json
+ * @returns {Promise<object[]>}
+ */
+const loadSearchIndex = url => {
+  if (!indexRequests.has(url)) {
+    indexRequests.set(url, fetchSearchIndex(url).catch(error => {
+      indexRequests.delete(url);
+      throw error;
+    }));
+  }
+
+  return indexRequests.get(url);
+};
+
+const excerptLength = 120;
+
+const createExcerpt = (page, terms) => {
+  const position = terms
+    .map(term => page._text.indexOf(term))
+    .filter(index => index >= 0)
+    .reduce((first, index) => Math.min(first, index), Infinity);
+
+  if (position === Infinity) {
+    return page.text.slice(0, excerptLength).trim();
+  }
+
+  const start = Math.max(0, position - excerptLength / 3);
+  const end = start + excerptLength;
+
+  return `${start > 0 ? "…" : ""}${page.text.slice(start, end).trim()}${end < page.text.length ? "…" : ""}`;
+};
+
+/**
+ * Finds the pages that contain all words of the query, best matches first.
+ * Matches in the title count more than matches in headings, these count more than matches in the text.
+ * @param {object[]} index result of loadSearchIndex
+ * @param {string} query
+ * @param {number} [limit=10]
+ * @returns {{ title: string, url: string, excerpt: string }[]}
+ */
+const searchPages = (index, query, limit = 10) => {
+  const terms = normalize(query).split(/\s+/).filter(term => term);
+
+  if (!terms.length) {
+    return [];
+  }
+
+  return index
+    .map(page => {
+      let score = 0;
+
+      for (const term of terms) {
+        const termScore = (page._title.includes(term) ? 10 : 0)
+          + (page._headings.includes(term) ? 5 : 0)
+          + (page._text.includes(term) ? 1 : 0);
+
+        if (!termScore) {
+          return;
+        }
+        score += termScore;
+      }
+
+      return { page, score };
+    })
+    .filter(match => match)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit)
+    .map(({ page }) => ({ title: page.title, url: page.url, excerpt: createExcerpt(page, terms) }));
+};
+
+export { loadSearchIndex, searchPages };
@@ -0,0 +1,164 @@
+import {
+  attachAuthChange, getAuthConfiguration, getSession, renewSession, restoreSession, signInSilently, whenAuthReady,
+} from './auth.js';
+
+/**
+ * Keeps the sign in of auth.js alive while pages of the site are open:
+ * - renews the tokens shortly before they expire (a quarter of their lifetime, at most one minute before),
+ * - tells the other tabs of the site about sign in and sign out (BroadcastChannel), without the tokens:
+ *   each tab signs in silently at the provider and renews tokens of its own,
+ *   so no refresh token is used by two tabs and pages of other sites on the same origin never see one,
+ * - reports a session that cannot be renewed to attachSessionExpired callbacks (my-gh-header asks to sign in again).
+ */
+
+const channelName = "my-gh-auth";
+
+const minimumRenewalDelay = 5000;
+
+const sessionExpiredCallbacks = new Set();
+
+let channel;
+let renewalTimeout;
+let renewal;
+let joining;
+
+// whether the other tabs have been told that this one is signed in
+let signedIn = false;
+
+// true while a sign out of another tab is taken over, so it is not sent back
+let receiving = false;
+
+/**
+ * Calls callback with the error when the session could not be renewed.
+ * The tokens stay valid until they expire, the user has to sign in again to continue afterwards.
+ * @param {function(Error)} callback
+ */
+const attachSessionExpired = callback => {
+  sessionExpiredCallbacks.add(callback);
+};
+
+const detachSessionExpired = callback => {
+  sessionExpiredCallbacks.delete(callback);
+};
+
+const getRenewalDelay = session => {
+  const lifetime = session.expiresAt - (session.issuedAt || session.expiresAt);
+  const renewBefore = Math.min(60000, lifetime / 4);
+
+  return Math.max(minimumRenewalDelay, session.expiresAt - renewBefore - Date.now());
+};
+
+/**
+ * Renews the session now. Parallel calls share one renewal.
+ * @returns {Promise<void>} rejects when renewal fails, the expired callbacks have been called then
+ */
+const renew = () => {
+  if (!renewal) {
+    const session = getSession();
+
+    renewal = renewSession()
+      .catch(error => {
+        // signed out or in again in the meantime
+        if (getSession() !== session) {
+          return;
+        }
+
+        console.warn(`Session could not be renewed: ${error.message}`);
+        sessionExpiredCallbacks.forEach(callback => callback(error));
+        throw error;
+      })
+      .finally(() => {
+        renewal = undefined;
+      });
+  }
+
+  return renewal;
+};
+
+const scheduleRenewal = () => {
+  clearTimeout(renewalTimeout);
+
+  const session = getSession();
+  if (!session) {
+    return;
+  }
+
+  // a failed renewal is not retried, the expired callbacks ask the user instead
+  renewalTimeout = setTimeout(() => renew().catch(() => {}), getRenewalDelay(session));
+};
+
+const post = message => {
+  if (channel && !receiving) {
+    channel.postMessage(message);
+  }
+};
+
+// another tab signed in, so the user is signed in at the provider as well
+const join = () => {
+  if (!joining) {
+    // the provider may still ask the user, e.g. when its cookie is blocked in the frame, the header offers sign in then
+    joining = signInSilently()
+      .catch(() => {})
+      .finally(() => {
+        joining = undefined;
+      });
+  }
+};
+
+const handleMessage = e => {
+  const message = e.data || {};
+  const session = getSession();
+
+  receiving = true;
+  try {
+    if (message.type === "signin" && !session) {
+      join();
+    } else if (message.type === "signout" && session) {
+      restoreSession(undefined);
+    } else if (message.type === "request" && session) {
+      // a new tab of the site asks whether to sign in, sessionStorage is not shared between tabs
+      channel.postMessage({ type: "signin" });
+    }
+  } finally {
+    receiving = false;
+  }
+};
+
+const startSession = () => {
+  if (!getAuthConfiguration()) {
+    return;
+  }
+
+  signedIn = !!getSession();
+
+  if (typeof BroadcastChannel === "function") {
+    channel = new BroadcastChannel(channelName);
+    channel.addEventListener("message", handleMessage);
+
+    // ask the other tabs whether they are signed in, or tell them that this page is
+    channel.postMessage({ type: signedIn ? "signin" : "request" });
+  }
+
+  // renewals change the session as well, they stay in this tab
+  attachAuthChange(() => {
+    if (!!getSession() !== signedIn) {
+      signedIn = !!getSession();
+      post({ type: signedIn ? "signin" : "signout" });
+    }
+    scheduleRenewal();
+  });
+
+  // timers do not run while the computer sleeps, a page that is shown again renews an expired session at once
+  document.addEventListener("visibilitychange", () => {
+    const session = getSession();
+    if (!document.hidden && session && getRenewalDelay(session) <= minimumRenewalDelay) {
+      renew().catch(() => {});
+    }
+  });
+
+  scheduleRenewal();
+};
+
+whenAuthReady().then(startSession);
+
+export { attachSessionExpired, detachSessionExpired, renew as renewSession };
@@ -0,0 +1,69 @@
+import { getTheme, registerThemeProperties, setTheme } from './runtime.js';
+import {
+  THEME_SAP_BELIZE, THEME_SAP_BELIZE_HCB, THEME_SAP_BELIZE_HCW, THEME_SAP_FIORI_3, THEME_SAP_FIORI_3_DARK,
+} from './i18n-defaults.js';
+
+/**
+ * Themes offered by the theme menu of my-gh-header, text is the translatable label.
+ * sap_fiori_3 is built into the runtime, the others load their properties from scripts/themes/<name>.css.
+ */
+const themes = [
+  { name: "sap_fiori_3", text: THEME_SAP_FIORI_3 },
+  { name: "sap_fiori_3_dark", text: THEME_SAP_FIORI_3_DARK },
+  { name: "sap_belize", text: THEME_SAP_BELIZE },
+  { name: "sap_belize_hcb", text: THEME_SAP_BELIZE_HCB },
+  { name: "sap_belize_hcw", text: THEME_SAP_BELIZE_HCW },
+];
+
+const defaultTheme = "sap_fiori_3";
+
+const themeStorageKey = "my-gh-theme";
+
+themes
+  .filter(theme => theme.name !== defaultTheme)
+  .forEach(theme => registerThemeProperties("@ui5/webcomponents", theme.name, new URL(`./themes/${theme.name}.css`, import.meta.url).href));
+
+const isKnownTheme = name => themes.some(theme => theme.name === name);
+
+const readStoredTheme = () => {
+  try {
+    const name = window.localStorage.getItem(themeStorageKey);
+    return isKnownTheme(name) ? name : undefined;
+  } catch (e) {
+    // storage can be disabled (private mode, cookie settings)
+    return;
+  }
+};
+
+const writeStoredTheme = name => {
+  try {
+    window.localStorage.setItem(themeStorageKey, name);
+  } catch (e) {
+    // not persisted, the theme still changes for this page
+  }
+};
+
+/**
+ * Applies a theme and remembers it for the next pages.
+ * @param {string} name one of the names in themes
+ * @returns {Promise<void>}
+ */
+const changeTheme = async name => {
+  if (!isKnownTheme(name)) {
+    console.warn(`Unknown theme ${name}. Please use one of ${themes.map(theme => theme.name).join(", ")}`);
+    return;
+  }
+
+  await setTheme(name);
+  writeStoredTheme(name);
+};
+
+// a sap-ui-theme URL parameter wins over the stored choice
+const storedTheme = readStoredTheme();
+if (storedTheme && !new URLSearchParams(window.location.search).has("sap-ui-theme")) {
+  setTheme(storedTheme).catch(error => {
+    console.warn(`Theme ${storedTheme} could not be applied: ${error.message}`);
+  });
+}
+
+export { changeTheme, getTheme, themes };
@@ -0,0 +1,429 @@
+/**
+ * Reads the YAML of OpenAPI documents, as Quarkus serves them at /q/openapi, without a YAML library:
+ * block mappings and sequences, plain, quoted and block scalars (| and >), flow collections ([a, b] and {a: 1})
+ * and comments. Anchors, aliases, tags and multiple documents are not supported.
+ */
+
+/**
+ * Text that is not YAML or uses what this parser does not support, line is its number (from 1).
+ */
+class YamlParseError extends Error {
+  constructor(message, line) {
+    super(line === undefined ? message : `${message} in line ${line}`);
+    this.name = "YamlParseError";
+    this.line = line;
+  }
+}
+
+const escapes = {
+  0: "\0", a: "\x07", b: "\b", t: "\t", n: "\n", v: "\v", f: "\f", r: "\r", e: "\x1b", " ": " ", "/": "/", "\"": "\"", "\\": "\\", N: "\x85", _: "\xa0",
+};
+
+const readDoubleQuoted = (text, lineNumber) => text.replace(/\\(x[0-9a-fA-F]{2}|u[0-9a-fA-F]{4}|U[0-9a-fA-F]{8}|.)/g, (match, escape) => {
+  if (escape.length > 1) {
+    return String.fromCodePoint(parseInt(escape.slice(1), 16));
+  }
+  if (escapes[escape] === undefined) {
+    throw new YamlParseError(`Invalid escape "\\${escape}"`, lineNumber);
+  }
+  return escapes[escape];
+});
+
+/**
+ * Reads a plain or quoted scalar, without the rest of the line.
+ */
+const readScalar = (text, lineNumber) => {
+  const value = text.trim();
+
+  if (value.startsWith("\"")) {
+    if (!/^"(?:[^"\\]|\\.)*"$/.test(value)) {
+      throw new YamlParseError("Unterminated double quoted scalar", lineNumber);
+    }
+    return readDoubleQuoted(value.slice(1, -1), lineNumber);
+  }
+  if (value.startsWith("'")) {
+    if (!/^'(?:[^']|'')*'$/.test(value)) {
+      throw new YamlParseError("Unterminated single quoted scalar", lineNumber);
+    }
+    return value.slice(1, -1).replace(/''/g, "'");
+  }
+  if (/^[&*!]/.test(value)) {
+    throw new YamlParseError("Anchors, aliases and tags are not supported", lineNumber);
+  }
+  if (/^(|~|null|Null|NULL)$/.test(value)) {
+    return null;
+  }
+  if (/^(true|True|TRUE)$/.test(value)) {
+    return true;
+  }
+  if (/^(false|False|FALSE)$/.test(value)) {
+    return false;
+  }
+  if (/^[-+]?\d+$/.test(value)) {
+    return parseInt(value, 10);
+  }
+  if (/^0x[0-9a-fA-F]+$/.test(value)) {
+    return parseInt(value.slice(2), 16);
+  }
+  if (/^0o[0-7]+$/.test(value)) {
+    return parseInt(value.slice(2), 8);
+  }
+  if (/^[-+]?(\.\d+|\d+(\.\d*)?)([eE][-+]?\d+)?$/.test(value)) {
+    return Number(value);
+  }
+  if (/^[-+]?\.(inf|Inf|INF)$/.test(value)) {
+    return value.startsWith("-") ? -Infinity : Infinity;
+  }
+  if (/^\.(nan|NaN|NAN)$/.test(value)) {
+    return NaN;
+  }
+  return value;
+};
+
+/**
+ * Returns the position of the end of a quoted scalar starting at start.
+ */
+const skipQuoted = (text, start) => {
+  const quote = text[start];
+
+  for (let index = start + 1; index < text.length; index++) {
+    if (quote === "\"" && text[index] === "\\") {
+      index++;
+    } else if (text[index] === quote) {
+      if (quote === "'" && text[index + 1] === "'") {
+        index++;
+      } else {
+        return index;
+      }
+    }
+  }
+  return text.length;
+};
+
+// text without a comment: # at the start or after a space, outside quotes
+const stripComment = text => {
+  for (let index = 0; index < text.length; index++) {
+    const character = text[index];
+
+    if ((character === "\"" || character === "'") && (index === 0 || /[\s[{,:-]/.test(text[index - 1]))) {
+      index = skipQuoted(text, index);
+    } else if (character === "#" && (index === 0 || /\s/.test(text[index - 1]))) {
+      return text.slice(0, index).trimEnd();
+    }
+  }
+  return text.trimEnd();
+};
+
+/**
+ * Splits "key: value" at the colon of the key, outside quotes.
+ * @returns {{ key: string, value: string }|undefined} undefined for text that is not a mapping entry
+ */
+const splitEntry = (text, lineNumber) => {
+  let index = 0;
+
+  if (text[0] === "\"" || text[0] === "'") {
+    index = skipQuoted(text, 0) + 1;
+  } else if (/^[[{]/.test(text)) {
+    return;
+  }
+
+  for (; index < text.length; index++) {
+    if (text[index] === ":" && (index === text.length - 1 || /\s/.test(text[index + 1]))) {
+      return { key: `${readScalar(text.slice(0, index), lineNumber)}`, value: text.slice(index + 1).trim() };
+    }
+    if (text[index] === "#" && /\s/.test(text[index - 1])) {
+      return;
+    }
+  }
+};
+
+/**
+ * Reads a flow collection like [a, "b", {c: 1}].
+ */
+const readFlow = (text, lineNumber) => {
+  let index = 0;
+
+  const skipSpaces = () => {
+    while (/\s/.test(text[index] || "")) {
+      index++;
+    }
+  };
+
+  let readValue;
+
+  const readPlain = stops => {
+    const start = index;
+
+    if (text[index] === "\"" || text[index] === "'") {
+      index = skipQuoted(text, index) + 1;
+    } else {
+      while (index < text.length && !stops.includes(text[index]) && !(text[index] === ":" && /[\s,\]}]/.test(text[index + 1] || " "))) {
+        index++;
+      }
+    }
+    return readScalar(text.slice(start, index), lineNumber);
+  };
+
+  const readCollection = (end, entry) => {
+    const values = [];
+    index++;
+    skipSpaces();
+
+    while (text[index] !== end) {
+      if (index >= text.length) {
+        throw new YamlParseError(`Missing "${end}"`, lineNumber);
+      }
+      values.push(entry());
+      skipSpaces();
+      if (text[index] === ",") {
+        index++;
+        skipSpaces();
+      } else if (text[index] !== end) {
+        throw new YamlParseError(`Expected "," or "${end}"`, lineNumber);
+      }
+    }
+    index++;
+    return values;
+  };
+
+  readValue = () => {
+    skipSpaces();
+
+    if (text[index] === "[") {
+      return readCollection("]", readValue);
+    }
+    if (text[index] === "{") {
+      const result = {};
+      readCollection("}", () => {
+        const key = readPlain(",}");
+        skipSpaces();
+        if (text[index] === ":") {
+          index++;
+          skipSpaces();
+          result[key] = text[index] === "," || text[index] === "}" ? null : readValue();
+        } else {
+          result[key] = null;
+        }
+      });
+      return result;
+    }
+    return readPlain(",]}");
+  };
+
+  const value = readValue();
+  skipSpaces();
+
+  if (index < text.length) {
+    throw new YamlParseError(`Unexpected "${text.slice(index)}"`, lineNumber);
+  }
+  return value;
+};
+
+const isFlowComplete = text => {
+  let depth = 0;
+
+  for (let index = 0; index < text.length; index++) {
+    if (text[index] === "\"" || text[index] === "'") {
+      index = skipQuoted(text, index);
+    } else if (text[index] === "[" || text[index] === "{") {
+      depth++;
+    } else if (text[index] === "]" || text[index] === "}") {
+      depth--;
+    }
+  }
+  return depth <= 0;
+};
+
+/**
+ * Parses a YAML document.
+ * @param {string} text
+ * @returns {*}
+ */
+const parseYaml = text => {
+  const rawLines = `${text}`.replace(/^\uFEFF/, "").split(/\r?\n/);
+  const lines = rawLines.map((raw, index) => {
+    const indent = raw.search(/\S|$/);
+
+    if (/^ *\t/.test(raw) && raw.trim()) {
+      throw new YamlParseError("Tabs are not allowed for indentation", index + 1);
+    }
+    return { indent, text: stripComment(raw.slice(indent)), number: index + 1 };
+  });
+  let position = 0;
+
+  const skipEmpty = () => {
+    while (position < lines.length && (!lines[position].text || lines[position].text === "---")) {
+      if (lines[position].text === "---" && position > 0 && lines.slice(0, position).some(line => line.text && line.text !== "---")) {
+        throw new YamlParseError("Multiple documents are not supported", lines[position].number);
+      }
+      position++;
+    }
+    if (position < lines.length && lines[position].text === "...") {
+      position = lines.length;
+    }
+    return lines[position];
+  };
+
+  const isSequenceItem = line => line.text === "-" || line.text.startsWith("- ");
+
+  // | and > with their chomping (+ keep, - strip) and indentation indicators
+  const readBlockScalar = (header, parentIndent, lineNumber) => {
+    const match = /^([|>])([+-]?)(\d?)([+-]?)$/.exec(header);
+    if (!match) {
+      throw new YamlParseError(`Invalid block scalar "${header}"`, lineNumber);
+    }
+
+    const chomping = match[2] || match[4];
+    const block = [];
+    let indent = match[3] ? parentIndent + Number(match[3]) : undefined;
+
+    while (position < lines.length) {
+      const raw = rawLines[position];
+      const lineIndent = raw.search(/\S|$/);
+
+      if (raw.trim()) {
+        if (indent === undefined) {
+          indent = lineIndent;
+        }
+        if (lineIndent < indent || lineIndent <= parentIndent) {
+          break;
+        }
+      }
+      block.push(raw.trim() ? raw.slice(indent) : "");
+      position++;
+    }
+
+    while (block.length && !block[block.length - 1].trim() && chomping !== "+") {
+      block.pop();
+    }
+
+    // > joins lines with spaces, empty lines become line breaks and more indented lines keep theirs
+    const content = match[1] === "|"
+      ? block.join("\n")
+      : block.reduce((result, line, index) => {
+        const previous = block[index - 1];
+
+        if (index === 0) {
+          return line;
+        }
+        if (line === "") {
+          return `${result}\n`;
+        }
+        if (previous === "") {
+          return result + line;
+        }
+        return result + (/^\s/.test(line) || /^\s/.test(previous) ? "\n" : " ") + line;
+      }, "");
+
+    return chomping === "-" ? content : `${content}\n`;
+  };
+
+  let readNode;
+
+  // a value after "key:" or "- ": inline, a block scalar, a flow collection over lines or the block below
+  const readValue = (value, parentIndent, lineNumber) => {
+    if (/^[|>]/.test(value)) {
+      return readBlockScalar(value, parentIndent, lineNumber);
+    }
+
+    if (/^[[{]/.test(value)) {
+      let flow = value;
+      while (!isFlowComplete(flow) && position < lines.length) {
+        flow += ` ${lines[position].text}`;
+        position++;
+      }
+      return readFlow(flow, lineNumber);
+    }
+
+    if (value) {
+      // plain and quoted scalars can continue in more indented lines
+      let scalar = value;
+      while (position < lines.length && skipEmpty() && lines[position].indent > parentIndent
+        && !splitEntry(lines[position].text, lines[position].number) && !isSequenceItem(lines[position])) {
+        scalar += ` ${lines[position].text}`;
+        position++;
+      }
+      return readScalar(scalar, lineNumber);
+    }
+
+    const next = skipEmpty();
+    if (next && (next.indent > parentIndent || (next.indent === parentIndent && isSequenceItem(next)))) {
+      return readNode(next.indent);
+    }
+    return null;
+  };
+
+  const readSequence = indent => {
+    const result = [];
+
+    while (skipEmpty() && lines[position].indent === indent && isSequenceItem(lines[position])) {
+      const line = lines[position];
+      const rest = line.text.slice(1).trimStart();
+      const restIndent = indent + line.text.length - rest.length;
+
+      if (rest && (splitEntry(rest, line.number) || rest.startsWith("- "))) {
+        // "- key: value" starts a mapping, "- - a" a sequence, at the position of the rest
+        lines[position] = { indent: restIndent, text: rest, number: line.number };
+        result.push(readNode(restIndent));
+      } else {
+        position++;
+        result.push(readValue(rest, indent, line.number));
+      }
+    }
+
+    return result;
+  };
+
+  const readMapping = indent => {
+    const result = {};
+
+    while (skipEmpty() && lines[position].indent === indent && !isSequenceItem(lines[position])) {
+      const line = lines[position];
+      const entry = splitEntry(line.text, line.number);
+
+      if (!entry) {
+        throw new YamlParseError(`Expected "key: value" but found "${line.text}"`, line.number);
+      }
+      if (Object.prototype.hasOwnProperty.call(result, entry.key)) {
+        throw new YamlParseError(`Duplicate key "${entry.key}"`, line.number);
+      }
+
+      position++;
+      result[entry.key] = readValue(entry.value, indent, line.number);
+    }
+
+    return result;
+  };
+
+  readNode = indent => {
+    const line = skipEmpty();
+
+    if (isSequenceItem(line)) {
+      return readSequence(indent);
+    }
+    if (splitEntry(line.text, line.number)) {
+      return readMapping(indent);
+    }
+
+    position++;
+    return readValue(line.text, indent - 1, line.number);
+  };
+
+  const first = skipEmpty();
+  if (!first) {
+    return null;
+  }
+
+  const result = readNode(first.indent);
+  const rest = skipEmpty();
+
+  if (rest) {
+    throw new YamlParseError(`Unexpected "${rest.text}"`, rest.number);
+  }
+  return result;
+};
+
+export {
+  YamlParseError,
+  parseYaml,
+};